@@ -1,27 +1,37 @@
 /*
  * link-aggregator
- * Aggregates popular links from Twitter and Pocket lists, ranking and sorting based on popularity.
- * TODO: remove Codebird dependency, talk directly to Twitter API instead.
+ * Aggregates popular links from Twitter, Mastodon and Pocket lists, Hacker News, Reddit and
+ * RSS/Atom feeds, ranking and sorting based on popularity.
  */
-const Codebird = require('codebird');
 const R = require('ramda');
 const fetch = require('isomorphic-fetch');
 const Promise = require('promise-polyfill');
 const urlUtil = require('url');
-const redis = require('redis');
+const readline = require('readline');
 const origRequest = require('request');
 const async = require('async');
 const winston = require('winston');
 const cheerio = require('cheerio');
 const defaultJunkParams = require('./default-junk-params');
 const parseMessyTime = require('parse-messy-time');
+const TwitterClient = require('./twitter-client');
+const ScrapeScheduler = require('./scrape-scheduler');
+const RobotsTxt = require('./robots-txt');
+const RedisStore = require('./stores/redis-store');
+const MemoryStore = require('./stores/memory-store');
+const SqliteStore = require('./stores/sqlite-store');
 
 winston.level = 'debug';
 
+const msInAnHour = 3600000;
+const msInADay = 86400000;
 const msInAWeek = 604800000;
 const msInAMonth = 2592000000;
 
-const client = redis.createClient();
+// Hacker News API endpoints.  See https://github.com/HackerNews/API
+const hnApiUrl = 'https://hacker-news.firebaseio.com/v0/';
+
+const redditApiUrl = 'https://www.reddit.com/';
 
 // Keep track of module name for logging purposes.
 const moduleName = 'link-aggregator';
@@ -29,11 +39,100 @@ const moduleName = 'link-aggregator';
 // Flag for cached urls that were removed (e.g by the user) and should be ignored.
 const urlRemovedFlagKey = 'isRemoved';
 
-// Namespace prefix for organizing Redis data.
-let redisNS = 'la-';
+// Default namespace prefix for organizing Redis data.
+const defaultRedisNS = 'la-';
 
 const redisIsFetchingKey = 'isCurrentlyFetching';
 
+// Prefix for each Twitter API endpoint's rate limit budget, shared between processes.
+const redisTwitterRateLimitKey = 'twitterRateLimit:';
+
+// Twitter rate limit window, for 429 replies missing rate limit headers.
+const twitterRateLimitWindowMS = 900000;
+
+// Prefix for the newest tweet id seen in each Twitter list, for incremental fetching.
+const redisTwitterSinceIDKey = 'twitterSinceID:';
+
+// Hash of feeds imported from OPML, keyed by feed url.
+const redisFeedsKey = 'feeds';
+
+// List of urls added by hand with addUrl.
+const redisManualUrlsKey = 'manualUrls';
+
+// List of urls removed with removeUrl.
+const redisRemovedUrlsKey = 'removedUrls';
+
+// Most cached redirects to follow for a url.
+const maxCachedRedirects = 10;
+
+// How long to cache url details for each scrape outcome (ms, or null to keep forever).  Failures
+// that are likely temporary are retried soonest.
+const defaultCacheTTLs = {
+  success: null,
+  redirect: null,
+  unsupportedContentType: msInAMonth,
+  clientError: msInAWeek,
+  serverError: msInAnHour,
+  noResponse: msInAnHour,
+  // Skipped, so scraped once robots.txt (cached as long) allows it.
+  robotsDisallowed: msInADay
+};
+
+// Cache outcome for urls cached without scraping, by their `scrapeSkipped` reason.
+const skippedCacheOutcomes = {
+  robots: 'robotsDisallowed'
+};
+
+// Scraped url details older than this are refreshed by refreshStaleUrls.
+const defaultCacheRefreshAgeMS = msInAWeek;
+
+// Number of keys to look at at a time when walking the cache.
+const cacheScanCount = 500;
+
+// Cached url details keys (after the namespace) start with a url.
+const cachedUrlPattern = /^https?:\/\//;
+
+// Network errors and HTTP statuses worth retrying a scrape for, since the site may just be
+// overloaded.
+const retryableErrorCodes = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET'];
+const retryableStatusCodes = [429, 502, 503, 504];
+
+// Scrape retries, with exponential backoff between them (ms).
+const defaultScrapeRetries = 3;
+const defaultScrapeRetryBaseDelayMS = 1000;
+const defaultScrapeRetryMaxDelayMS = 30000;
+
+// Name the scraper goes by in robots.txt rules.
+const defaultBotName = 'link-aggregator';
+
+// Cached robots.txt files, by origin (e.g. robots:https://medium.com).
+const redisRobotsKey = 'robots:';
+
+// How long to cache robots.txt files, and those that couldn't be fetched (which disallow
+// everything until then, per RFC 9309).
+const robotsCacheTTLMS = msInADay;
+const robotsUnreachableTTLMS = msInAnHour;
+
+// Longest robots.txt Crawl-delay to honor, so one host can't hold up list fetching for long.
+const maxCrawlDelayMS = 60000;
+
+// Format version of cache snapshots written by exportCache.
+const cacheSnapshotVersion = 1;
+
+// Default number of pages to fetch from a Twitter list.
+const twitterDefaultPages = 5;
+
+// Default number of items per Pocket API request, and overall cap per Pocket list.
+const pocketDefaultPageSize = 100;
+const pocketDefaultMaxItems = 1000;
+
+// Default rank boosts for favorited Pocket items and those with highlights.
+const pocketDefaultFavoriteBoost = 0.5;
+const pocketDefaultHighlightBoost = 0.25;
+
+// Default time urls added by hand stay in fetchLists results.
+const manualDefaultRetentionMS = msInAMonth;
+
 // Configure request.js
 const request = origRequest.defaults({
   // Enable global cookies (some sites won't function normally without cookies)
@@ -58,25 +157,144 @@ if (process.env.NODE_ENV !== 'production') {
   process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 }
 
+/**
+ * Error passed back when an API's rate limit has been used up.  resetTime is when the limit
+ * resets (ms since epoch).
+ */
+class RateLimitedError extends Error {
+  constructor(endpoint, resetTime) {
+    super(`${endpoint} rate limit reached, resets at ${(new Date(resetTime)).toISOString()}`);
+
+    this.name = 'RateLimited';
+    this.endpoint = endpoint;
+    this.resetTime = resetTime;
+  }
+}
+
 /**
  * Public functions.
  */
 class Aggregator {
   constructor(config) {
-    // Init Codebird (helper for accessing Twitter API)
-    this.codebird = new Codebird();
+    // Twitter API client.  The base url can be overridden to point at a mock server for tests.
+    this.twitter = new TwitterClient({
+      baseUrl: config && config.twitterBaseUrl
+    });
 
     // Hash of all links.  Need to keep this reference here so both Twitter and Pocket can update
     // it.
     this.urls = {};
 
-    client.set(`${redisNS}${redisIsFetchingKey}`, 0);
+    // Registered url sources (Twitter, Pocket, etc), keyed by their name in fetchLists' lists.
+    this.sources = {};
+    this._registerBuiltInSources();
+
+    // Cached url details migrations, keyed by the schema version they migrate to.  Records are
+    // stamped with the latest version (schemaVersion) when cached.
+    this.migrations = {};
+    this.schemaVersion = 0;
+    this._registerBuiltInMigrations();
+
+    // Storage (Redis by default) and namespace prefix, so aggregators with different configs can
+    // share a process.
+    this.store = this._createStore(config || {});
+    this.redisNS = (config && config.redisPrefix) || defaultRedisNS;
+
+    // Clears a list fetch lock left by a crashed process.  Tools running alongside a fetch (e.g.
+    // the cache utilities) keep it, so they don't let a second fetch start.
+    if (!(config && config.keepFetchingLock)) {
+      this.store.unlock(`${this.redisNS}${redisIsFetchingKey}`);
+    }
 
     // Used for internal performance timing.
     this._performanceTimers = {};
 
-    // Allow redis prefix override.
-    if (config && config.redisPrefix) redisNS = config.redisPrefix;
+    // How long to pause list fetching for a Twitter rate limit to reset, before giving up.
+    this.twitterMaxRateLimitWaitMS = (config && config.twitterMaxRateLimitWaitMS) || 0;
+
+    // Rank boosts for urls an editor starred or highlighted in Pocket.  Added together (up to 0.9),
+    // urls with a bigger boost rank above those with a smaller one, ahead of any other signal.
+    const configCopy = config || {};
+    this.pocketFavoriteBoost = R.defaultTo(pocketDefaultFavoriteBoost,
+      configCopy.pocketFavoriteBoost);
+    this.pocketHighlightBoost = R.defaultTo(pocketDefaultHighlightBoost,
+      configCopy.pocketHighlightBoost);
+
+    // How long urls added by hand stay in fetchLists results, however old or low ranked.
+    this.manualRetentionMS = R.defaultTo(manualDefaultRetentionMS, configCopy.manualRetentionMS);
+
+    // Cache TTLs per scrape outcome (see defaultCacheTTLs), and how old scraped details can get
+    // before refreshStaleUrls scrapes them again.
+    this.cacheTTLs = Object.assign({}, defaultCacheTTLs, configCopy.cacheTTLs);
+    this.cacheRefreshAgeMS = configCopy.cacheRefreshAgeMS || defaultCacheRefreshAgeMS;
+
+    // Timer for startBackgroundRefresh.
+    this._refreshTimer = null;
+
+    // Retries for scrapes that fail in ways that are likely temporary (timeouts, 503s, etc), with
+    // delays doubling from scrapeRetryBaseDelayMS up to scrapeRetryMaxDelayMS.
+    this.scrapeRetries = R.defaultTo(defaultScrapeRetries, configCopy.scrapeRetries);
+    this.scrapeRetryBaseDelayMS = R.defaultTo(defaultScrapeRetryBaseDelayMS,
+      configCopy.scrapeRetryBaseDelayMS);
+    this.scrapeRetryMaxDelayMS = R.defaultTo(defaultScrapeRetryMaxDelayMS,
+      configCopy.scrapeRetryMaxDelayMS);
+
+    // Shared by every scrape, so no single host gets too many requests at once however many
+    // lists are being fetched: `scrapeConcurrency` requests in flight overall, and
+    // `scrapeHostConcurrency` per host, started at least `scrapeHostDelayMS` apart.
+    this.scrapeScheduler = new ScrapeScheduler({
+      maxConcurrency: configCopy.scrapeConcurrency,
+      maxPerHost: configCopy.scrapeHostConcurrency,
+      hostDelayMS: configCopy.scrapeHostDelayMS
+    });
+
+    // Bot identity for robots.txt: the name rules are matched against, and optionally a
+    // User-Agent to send in place of the default browser-like one.  Set `respectRobotsTxt` to
+    // false to scrape regardless (e.g. for local testing).
+    this.botName = configCopy.botName || defaultBotName;
+    this.botUserAgent = configCopy.botUserAgent || null;
+    this.respectRobotsTxt = R.defaultTo(true, configCopy.respectRobotsTxt);
+
+    // Callbacks waiting on robots.txt requests in progress, by origin.
+    this._robotsRequests = {};
+  }
+
+  /**
+   * Creates the storage backend chosen with `store`:
+   *   'redis' (default) - pass in a client (`redisClient`), or a url (`redisUrl`) and/or
+   *     `redisOptions` for a new one.
+   *   'memory' - kept in memory, for local development and tests.
+   *   'sqlite' - kept in the SQLite file `sqliteFile`.  Needs the optional sqlite3 package.
+   * Or pass in any object implementing the same methods as these (see stores/).
+   */
+  _createStore(config) {
+    const fnName = `${moduleName}/_createStore`;
+
+    if (config.store && typeof config.store === 'object') return config.store;
+
+    switch (config.store || 'redis') {
+      case 'redis':
+        return new RedisStore({
+          client: config.redisClient,
+          url: config.redisUrl,
+          options: config.redisOptions
+        });
+      case 'memory':
+        return new MemoryStore();
+      case 'sqlite':
+        return new SqliteStore({ file: config.sqliteFile });
+      default:
+        throw new Error(`${fnName}: unknown store ${config.store}`);
+    }
+  }
+
+  /**
+   * Closes the storage connection, so the process can exit cleanly.  Redis clients passed in with
+   * `redisClient` are left open for their owner to close.
+   */
+  close(done) {
+    this.stopBackgroundRefresh();
+    this.store.close(done || (() => {}));
   }
 
   /**
@@ -104,14 +322,22 @@ class Aggregator {
    * Sets consumer key and secret for Twitter API.
    */
   setTwitterConsumerKey(key, secret) {
-    this.codebird.setConsumerKey(key, secret);
+    this.twitter.setConsumerKey(key, secret);
   }
 
   /**
-   * Sets token and secret for Twitter API.
+   * Sets token and secret for Twitter API (user auth).
    */
   setTwitterToken(token, secret) {
-    this.codebird.setToken(token, secret);
+    this.twitter.setToken(token, secret);
+  }
+
+  /**
+   * Sets bearer token for Twitter API (app-only auth).  If neither this nor a user token is set,
+   * a bearer token is requested with the consumer key.
+   */
+  setTwitterBearerToken(token) {
+    this.twitter.setBearerToken(token);
   }
 
   /**
@@ -192,587 +418,1711 @@ class Aggregator {
   }
 
   /**
-   * Fetches links from a Twitter list.
-   * https://dev.twitter.com/rest/reference/get/lists/statuses
+   * Registers a url source, which fetchLists will then call for each entry in lists[name].
+   *
+   * Adapter properties:
+   *   fetch(listConfig, done) - required.  Called with the aggregator as `this`.  Fetches the
+   *     source's raw items and scrapes them (usually via sourceItemsToURLs), calling
+   *     done(err, urls).
+   *   map(item, urlObj) - required.  Maps a raw item onto a url object, returning
+   *     { sourceDetails, timestamp, fields }, or null if the item was already merged in.
+   *   source - label added to each url object's `source` array (defaults to name).
+   *   fields - default values for the source-specific fields of a url object.
+   *   signals - ranking inputs, e.g. [{ key: 'tweetRetweetCount', priority: 20 }].  Signals with
+   *     `type: 'length'` rank by the length of an array field.  Higher priorities rank first.
+   *   counts - numeric fields that add up when merging variants of a url (mobile, AMP, etc), e.g.
+   *     ['hnPoints'].  Other numbers take the larger value, and arrays are combined.
+   *   itemIDs - optional field holding the ids of the items merged into a url object, e.g.
+   *     'hnIDs'.  Counts are then recorded by item, so an item found by several variants of a
+   *     url only adds up once.
+   *   getTime(urlObj) - optional timestamp to use when filtering out stale urls.
+   *   keepsOldUrls - optional, true to keep the source's urls in fetchLists results however old
+   *     they are (e.g. one-shot imports).
+   *   getRetentionMS() - optional, how long to keep the source's urls in fetchLists results
+   *     (counting from getTime), however old or low ranked they are otherwise.
+   *   getLists(listConfigs, done) - optional, adds lists stored elsewhere (e.g. imported feeds)
+   *     to the ones passed to fetchLists.
+   *   getFallbackDetails(item) - optional, gets { title, excerpt } from a raw item, used in place
+   *     of scraping pages robots.txt disallows.
+   *   metaKey - optional urlMeta key holding the raw item (for built-in sources).
    */
-  _asyncGetTwitterList(args, cb) {
-    const fnName = '_asyncGetTwitterList';
+  registerSource(name, adapter) {
+    const fnName = `${moduleName}/registerSource`;
 
-    winston.debug(fnName);
+    if (!name || !adapter || typeof adapter.fetch !== 'function' ||
+      typeof adapter.map !== 'function') {
+      throw new Error(`${fnName}: source ${name} needs fetch and map functions`);
+    }
 
-    const argsCopy = Object.assign({}, args);
+    this.sources[name] = Object.assign({
+      source: name,
+      fields: {},
+      signals: [],
+      counts: []
+    }, adapter);
+  }
 
-    // Tests: return a data stub immediately.
-    if (argsCopy.dataStub) return cb(null, argsCopy.dataStub);
+  /**
+   * Gets the adapter registered for a source.
+   */
+  getSource(name) {
+    return this.sources[name];
+  }
 
-    let tweets = [];
+  /**
+   * Registers a migration for cached url details, run on records with an older schema version
+   * when they're read (see migrateUrlDetails) or by migrateCache.  migrate(urlDetailsObj) returns
+   * the record in the new format.  Versions are whole numbers, run in order.
+   */
+  registerMigration(version, migrate) {
+    const fnName = `${moduleName}/registerMigration`;
 
-    // Initialize if needed.
-    if (!argsCopy.data) {
-      argsCopy.data = [];
-      argsCopy.iterations = 0;
+    if (!Number.isInteger(version) || version < 1 || typeof migrate !== 'function') {
+      throw new Error(`${fnName}: migration ${version} needs a version above 0 and a function`);
     }
 
-    const listOptions = {
-      owner_screen_name: argsCopy.owner,
-      slug: argsCopy.name,
-      count: argsCopy.count || 110
-    };
+    if (this.migrations[version]) {
+      throw new Error(`${fnName}: migration ${version} is already registered`);
+    }
 
-    // Pagination
-    if ('max_id' in argsCopy) listOptions.max_id = argsCopy.max_id;
+    this.migrations[version] = migrate;
+    this.schemaVersion = Math.max(this.schemaVersion, version);
+  }
 
-    winston.debug(`${fnName}: fetching...`, argsCopy);
+  _registerBuiltInMigrations() {
+    // 1: url objects cached before every source's fields were filled in.
+    this.registerMigration(1, (urlDetailsObj) => this._backfillSourceFields(urlDetailsObj));
+  }
 
-    // TODO: send pagination calls out in parallel instead of sequentially
-    return this.codebird.__call(
-      'lists_statuses',
-      listOptions,
-      (reply, rate, err) => {
-        // TODO pay attention to rate limits
+  /**
+   * Fills in source arrays and source-specific fields missing from a url object (e.g. for sources
+   * registered after it was cached).
+   */
+  _backfillSourceFields(urlObj) {
+    const backfilledUrlObj = Object.assign({
+      source: [],
+      sourceDetails: [],
+      categories: []
+    }, urlObj);
+
+    R.values(this.sources).forEach((adapter) => {
+      R.keys(adapter.fields || {}).forEach((key) => {
+        if (!(key in backfilledUrlObj)) backfilledUrlObj[key] = R.clone(adapter.fields[key]);
+      });
+    });
 
-        if (err) {
-          return cb(err);
-        }
+    return backfilledUrlObj;
+  }
 
-        if (reply.errors) {
-          return cb(JSON.stringify(reply.errors));
-        }
+  /**
+   * Finds the source adapter and raw item referenced by url metadata.
+   */
+  _getSourceForMeta(urlMeta) {
+    if (urlMeta.sourceName) {
+      return {
+        adapter: this.sources[urlMeta.sourceName],
+        item: urlMeta.item
+      };
+    }
 
-        argsCopy.iterations++;
-
-        if (argsCopy.multipleCallbacks) {
-          // Return current batch immediately.  This will result in the callback being called
-          // multiple times as the data comes in, which will be faster than waiting for one big
-          // callback at the end.
-          cb(null, reply);
-        } else if (!argsCopy.multipleCallbacks && tweets) {
-          // Group up results into one callback;
-
-          // append
-          tweets = tweets.concat(reply);
-        } else if (!argsCopy.multipleCallbacks && !tweets) {
-          // init
-          tweets = reply;
-        }
+    const name = R.find((sourceName) => {
+      const metaKey = this.sources[sourceName].metaKey;
+      return metaKey && urlMeta[metaKey];
+    }, R.keys(this.sources));
 
-        // Reached the limit
-        // TODO pull out iteration #, or base results on filtered count
-        if (argsCopy.iterations > 4) {
-          // cb already sent above
-          if (argsCopy.multipleCallbacks) return null;
-          return cb(null, tweets);
-        }
+    if (!name) return {};
 
-        // Fetch the next page
-        if (reply.length === 0) {
-          return cb('Twitter API reply is 0 length - hit a rate limit?');
-        }
+    return {
+      adapter: this.sources[name],
+      item: urlMeta[this.sources[name].metaKey]
+    };
+  }
 
-        const lastItem = reply[reply.length - 1] || {};
-        const lastItemID = R.path(['id'], lastItem);
+  /**
+   * Scrapes a url found by a registered source, merging in the source's raw item.
+   */
+  sourceItemToURL(sourceName, url, item, done) {
+    const fnName = `${moduleName}/sourceItemToURL`;
 
-        if (!lastItemID) {
-          winston.error(`${fnName}: could not find id of last tweet in list`);
-          console.log(reply);
-        }
+    return this.getUrlDetails(url, { sourceName, item }, (err, urlDetailsObj) => {
+      if (err) winston.error(`${fnName} getUrlDetails: ${err}`);
 
-        argsCopy.max_id = lastItemID;
-        return this._asyncGetTwitterList(argsCopy, cb);
-      }
-    );
+      // Return early if url was rejected.
+      if (!urlDetailsObj) return done();
+
+      return done(null, urlDetailsObj);
+    });
   }
 
   /**
-   * Searches a text string for matching categories.
+   * Scrapes the urls found by a registered source, given as [ { url, item } ].  Calls back with
+   * url objects for those that were scraped and look like articles.
    */
-  _getCategoriesFromText(text, categories) {
-    const fnName = `${moduleName}/_getCategoriesFromText`;
-
-    //winston.debug(`${fnName}: ${text}`);
+  sourceItemsToURLs(sourceName, urlItems, done) {
+    const fnName = `${moduleName}/sourceItemsToURLs`;
 
-    let cats = [];
-    const categoriesCopy = categories || this.categories || [];
+    const parallelFns = urlItems.map(({ url, item }) => (parallelCb) => {
+      this.sourceItemToURL(sourceName, url, item, parallelCb);
+    });
 
-    cats = R.filter((category) => text && text.match(category.keywords.regexp))(categoriesCopy);
+    return async.parallelLimit(parallelFns, 5, (err, urlObjs) => {
+      if (err) winston.error(`${fnName} ${sourceName}: ${err}`);
 
-    cats = R.pluck('name', cats);
+      const urlObjsCopy = R.reject(R.isNil, urlObjs || []);
 
-    return cats;
+      return done(null, this.filterNonArticles(urlObjsCopy));
+    });
   }
 
   /**
-   * Filters out tweets missing urls, or containing words that should be ignored.
+   * Twitter, Pocket and RSS/Atom feeds, expressed as source adapters.
    */
-  filterTweets(tweets, ignoreWords) {
-    const fnName = `${moduleName}/filterTweets`;
+  _registerBuiltInSources() {
+    this.registerSource('pocket', {
+      metaKey: 'pocketObj',
+      fields: {
+        pocketTag: [],
+        pocketTimeAdded: [],
+        pocketID: [],
+        pocketFavorite: false,
+        pocketTimeFavoritedMS: 0,
+        pocketWordCount: 0,
+        pocketHighlights: []
+      },
+      signals: [
+        { key: 'pocketTimeAdded', type: 'length', priority: 40 }
+      ],
+      getTime: (urlObj) => R.path(['pocketTimeAdded', 0], urlObj),
+      getFallbackDetails: (pocketObj) => ({
+        title: pocketObj.resolved_title || pocketObj.given_title,
+        excerpt: pocketObj.excerpt
+      }),
+      fetch: (pocketList, done) => {
+        // Separate call for each Pocket tag.
+        const parallelFns = (pocketList.tags || []).map((tag) => {
+          const pocketArgs = Object.assign({}, pocketList, { tag });
+          return (parallelCb) => this.fetchPocketList(pocketArgs, parallelCb);
+        });
 
-    const numBefore = tweets.length;
+        async.parallelLimit(parallelFns, 2, (err, urls) => done(err, R.flatten(urls || [])));
+      },
+      map: (pocketObj, urlObj) => {
+        const {
+          username,
+          tag,
+          time_added,
+          item_id,
+          favorite,
+          time_favorited,
+          word_count
+        } = pocketObj;
+
+        const timeAddedMS = time_added * 1000;
+        const timeFavoritedMS = (parseInt(time_favorited, 10) || 0) * 1000;
+
+        // Highlighted quotes.  Pocket calls these annotations.
+        const highlights = R.values(pocketObj.annotations || pocketObj.highlights || {})
+          .map((annotation) => annotation.quote)
+          .filter((quote) => !!quote);
+
+        return {
+          sourceDetails: username,
+          timestamp: urlObj.articleTimestamp || timeAddedMS,
+          fields: {
+            pocketTag: R.union(urlObj.pocketTag, [ tag ]),
+            pocketTimeAdded: R.union(urlObj.pocketTimeAdded, [ timeAddedMS ]),
+            pocketID: R.union(urlObj.pocketID, [ item_id ]),
+            pocketFavorite: urlObj.pocketFavorite || `${favorite}` === '1',
+            pocketTimeFavoritedMS: Math.max(urlObj.pocketTimeFavoritedMS, timeFavoritedMS),
+            pocketWordCount: parseInt(word_count, 10) || urlObj.pocketWordCount,
+            pocketHighlights: R.union(urlObj.pocketHighlights, highlights)
+          }
+        };
+      }
+    });
 
-    const tweetsAfter = R.reject((tweet) => {
-      // If this tweet includes a quoted or rewteeted tweet, reference the original tweet.
-      if (tweet.quoted_status) tweet = tweet.quoted_status;
-      if (tweet.retweeted_status) tweet = tweet.retweeted_status;
+    this.registerSource('twitter', {
+      metaKey: 'tweetObj',
+      fields: {
+        tweetTexts: [],
+        tweetIDs: [],
+        tweetMentionCount: 0,
+        tweetFavoriteCount: 0,
+        tweetRetweetCount: 0,
+        tweetFirstMentionMS: 0,
+        tweetLastMentionMS: 0
+      },
+      signals: [
+        { key: 'tweetRetweetCount', priority: 20 },
+        { key: 'tweetFavoriteCount', priority: 10 }
+      ],
+      counts: ['tweetMentionCount', 'tweetRetweetCount', 'tweetFavoriteCount'],
+      itemIDs: 'tweetIDs',
+      fetch: (twitterList, done) => this.fetchTwitterList(twitterList, done),
+      getFallbackDetails: (tweetObj) => ({ excerpt: tweetObj.text }),
+      map: (tweetObj, urlObj) => {
+        // Pull out metadata from the tweet.
+        const {
+          favorite_count,
+          retweet_count,
+          listOwner,
+          listName,
+          listLabel,
+          text,
+          created_at,
+          id_str,
+          user
+        } = tweetObj;
+
+        // No-op if tweet was already processed.
+        if (urlObj.tweetIDs.indexOf(id_str) !== -1) return null;
+
+        const tweetTimeMS = (new Date(created_at)).getTime();
+
+        const fields = {
+          tweetTexts: R.union(urlObj.tweetTexts, [`@${user.screen_name}: ${text}`]),
+          tweetMentionCount: urlObj.tweetMentionCount + 1,
+          tweetRetweetCount: urlObj.tweetRetweetCount + retweet_count,
+          tweetFavoriteCount: urlObj.tweetFavoriteCount + favorite_count,
+          tweetIDs: R.union(urlObj.tweetIDs, [id_str])
+        };
+
+        // Init times if needed.
+        if (urlObj.source.length === 0) {
+          fields.tweetFirstMentionMS = tweetTimeMS;
+          fields.tweetLastMentionMS = tweetTimeMS;
+        }
 
-      // Discard tweets with no urls.
-      if (!tweet.entities || !tweet.entities.urls || tweet.entities.urls.length === 0) {
-        //winston.debug(`Rejecting - no urls present in tweet: ${tweet.text}`);
-        return true;
-      }
+        // TODO: update mention times
 
-      // Discard ignored words.  Url filtering will happen later.
-      const shouldIgnore = R.find((ignoreWord) => {
-        let txt = `@${tweet.user.screen_name}: ${tweet.text}`;
-        const matches = `${txt}`.match(new RegExp(ignoreWord, 'gi'));
+        return {
+          sourceDetails: listLabel || `${listOwner}/${listName}`,
+          timestamp: urlObj.articleTimestamp || tweetTimeMS,
+          fields
+        };
+      }
+    });
 
-        //if (matches) winston.debug(`Rejecting due to ignore word "${matches[0]}": ${tweet.text}`);
+    this.registerSource('hackernews', {
+      fields: {
+        hnIDs: [],
+        hnPoints: 0,
+        hnCommentCount: 0
+      },
+      signals: [
+        { key: 'hnPoints', priority: 15 },
+        { key: 'hnCommentCount', priority: 5 }
+      ],
+      counts: ['hnPoints', 'hnCommentCount'],
+      itemIDs: 'hnIDs',
+      fetch: (hnList, done) => this.fetchHackerNewsList(hnList, done),
+      getFallbackDetails: (hnItem) => ({ title: hnItem.title }),
+      map: (hnItem, urlObj) => {
+        const {
+          id,
+          score,
+          descendants,
+          time,
+          listName
+        } = hnItem;
+
+        // No-op if story was already processed.
+        if (urlObj.hnIDs.indexOf(id) !== -1) return null;
+
+        return {
+          sourceDetails: `hackernews/${listName}`,
+          timestamp: urlObj.articleTimestamp || time * 1000,
+          fields: {
+            hnIDs: R.union(urlObj.hnIDs, [ id ]),
+            hnPoints: urlObj.hnPoints + (score || 0),
+            hnCommentCount: urlObj.hnCommentCount + (descendants || 0)
+          }
+        };
+      }
+    });
 
-        return matches;
-      })(ignoreWords || []);
+    this.registerSource('reddit', {
+      fields: {
+        redditIDs: [],
+        redditScore: 0,
+        redditCommentCount: 0
+      },
+      signals: [
+        { key: 'redditScore', priority: 12 },
+        { key: 'redditCommentCount', priority: 3 }
+      ],
+      counts: ['redditScore', 'redditCommentCount'],
+      itemIDs: 'redditIDs',
+      fetch: (redditList, done) => this.fetchRedditList(redditList, done),
+      getFallbackDetails: (redditPost) => ({ title: redditPost.title }),
+      map: (redditPost, urlObj) => {
+        const {
+          name,
+          subreddit,
+          score,
+          num_comments,
+          created_utc
+        } = redditPost;
+
+        // No-op if post was already processed.
+        if (urlObj.redditIDs.indexOf(name) !== -1) return null;
+
+        return {
+          sourceDetails: `r/${subreddit}`,
+          timestamp: urlObj.articleTimestamp || created_utc * 1000,
+          fields: {
+            redditIDs: R.union(urlObj.redditIDs, [ name ]),
+            redditScore: urlObj.redditScore + (score || 0),
+            redditCommentCount: urlObj.redditCommentCount + (num_comments || 0)
+          }
+        };
+      }
+    });
 
-      return shouldIgnore;
-    }, tweets);
+    this.registerSource('mastodon', {
+      fields: {
+        mastodonTexts: [],
+        mastodonIDs: [],
+        mastodonBoostCount: 0,
+        mastodonFavouriteCount: 0
+      },
+      // Boosts and favourites rank just below their Twitter equivalents.
+      signals: [
+        { key: 'mastodonBoostCount', priority: 19 },
+        { key: 'mastodonFavouriteCount', priority: 9 }
+      ],
+      counts: ['mastodonBoostCount', 'mastodonFavouriteCount'],
+      itemIDs: 'mastodonIDs',
+      fetch: (mastodonList, done) => this.fetchMastodonList(mastodonList, done),
+      getFallbackDetails: (status) => ({ excerpt: this._mastodonContentToText(status.content) }),
+      map: (status, urlObj) => {
+        const {
+          uri,
+          account,
+          content,
+          created_at,
+          reblogs_count,
+          favourites_count,
+          listLabel
+        } = status;
+
+        // No-op if status was already processed.  Note: uri is the same across instances.
+        if (urlObj.mastodonIDs.indexOf(uri) !== -1) return null;
+
+        const text = `@${R.path(['acct'], account)}: ${this._mastodonContentToText(content)}`;
+
+        return {
+          sourceDetails: listLabel,
+          timestamp: urlObj.articleTimestamp || (new Date(created_at)).getTime(),
+          fields: {
+            mastodonTexts: R.union(urlObj.mastodonTexts, [ text ]),
+            mastodonIDs: R.union(urlObj.mastodonIDs, [ uri ]),
+            mastodonBoostCount: urlObj.mastodonBoostCount + (reblogs_count || 0),
+            mastodonFavouriteCount: urlObj.mastodonFavouriteCount + (favourites_count || 0)
+          }
+        };
+      }
+    });
 
-    const numRejected = numBefore - tweetsAfter.length;
+    this.registerSource('feeds', {
+      source: 'feed',
+      metaKey: 'feedObj',
+      fields: {
+        feedTitle: [],
+        feedPublishedMS: [],
+        feedEntryIDs: []
+      },
+      signals: [
+        { key: 'feedPublishedMS', type: 'length', priority: 30 }
+      ],
+      getTime: (urlObj) => {
+        const feedPublishedMS = urlObj.feedPublishedMS || [];
+
+        // Fall back to the feed's own published date when the page didn't have one.
+        if (urlObj.articleTimestamp || feedPublishedMS.length === 0) return null;
+
+        return Math.max(...feedPublishedMS);
+      },
+      getLists: (feeds, done) => this.getFeeds((err, storedFeeds) => {
+        done(err, R.unionWith(R.eqBy(R.prop('url')), feeds, storedFeeds || []));
+      }),
+      fetch: (feed, done) => this.fetchFeedList(feed, done),
+      getFallbackDetails: (feedObj) => ({
+        title: feedObj.entryTitle,
+        excerpt: feedObj.entryExcerpt
+      }),
+      map: (feedObj, urlObj) => {
+        const {
+          feedTitle,
+          feedUrl,
+          entryID,
+          publishedMS
+        } = feedObj;
+
+        // No-op if feed entry was already processed.
+        if (urlObj.feedEntryIDs.indexOf(entryID) !== -1) return null;
+
+        return {
+          sourceDetails: feedTitle || feedUrl,
+          timestamp: urlObj.articleTimestamp || publishedMS,
+          fields: {
+            feedTitle: R.union(urlObj.feedTitle, [ feedTitle ]),
+            feedPublishedMS: R.union(urlObj.feedPublishedMS, [ publishedMS ]),
+            feedEntryIDs: R.union(urlObj.feedEntryIDs, [ entryID ])
+          }
+        };
+      }
+    });
 
-    //winston.info(`${fnName}: ${numRejected} tweet urls rejected`);
+    this.registerSource('import', {
+      fields: {
+        importTags: [],
+        importAddedMS: []
+      },
+      keepsOldUrls: true,
+      fetch: (bookmarks, done) => this.importBookmarks(bookmarks.html, bookmarks, done),
+      getFallbackDetails: (bookmark) => ({ title: bookmark.title }),
+      map: (bookmark, urlObj) => {
+        const {
+          tags,
+          addedMS,
+          fileName
+        } = bookmark;
+
+        const fields = {
+          importTags: R.union(urlObj.importTags, tags)
+        };
+
+        if (addedMS) fields.importAddedMS = R.union(urlObj.importAddedMS, [ addedMS ]);
+
+        return {
+          sourceDetails: fileName || 'bookmarks',
+          timestamp: urlObj.articleTimestamp || addedMS || Date.now(),
+          fields
+        };
+      }
+    });
 
-    return tweetsAfter;
+    this.registerSource('manual', {
+      fields: {
+        manualSubmittedBy: [],
+        manualNotes: [],
+        manualCategories: [],
+        manualAddedMS: [],
+        manualRankFloor: 0
+      },
+      // Kept for a while after being added (see manualRetentionMS).
+      getTime: (urlObj) => R.reduce(R.max, 0, urlObj.manualAddedMS || []) || null,
+      getRetentionMS: () => this.manualRetentionMS,
+      // Urls added by hand are fetched whenever there are any, without needing a list.
+      getLists: (listConfigs, done) => this.store.listLength(`${this.redisNS}${redisManualUrlsKey}`,
+        (err, count) => done(err, (count > 0) ? [ {} ] : [])),
+      fetch: (listConfig, done) => this.fetchManualUrls(done),
+      getFallbackDetails: (submission) => ({ excerpt: submission.note }),
+      map: (submission, urlObj) => {
+        const {
+          submittedBy,
+          note,
+          categories,
+          addedMS,
+          rankFloor
+        } = submission;
+
+        return {
+          sourceDetails: submittedBy || 'manual',
+          timestamp: urlObj.articleTimestamp || addedMS,
+          fields: {
+            manualSubmittedBy: R.union(urlObj.manualSubmittedBy,
+              submittedBy ? [ submittedBy ] : []),
+            manualNotes: R.union(urlObj.manualNotes, note ? [ note ] : []),
+            manualCategories: R.union(urlObj.manualCategories, categories || []),
+            manualAddedMS: R.union(urlObj.manualAddedMS, [ addedMS ]),
+            manualRankFloor: Math.max(urlObj.manualRankFloor, rankFloor || 0)
+          }
+        };
+      }
+    });
   }
 
   /**
-   * Filters out url objects containing words on the ignore list.
+   * Gets the stored rate limit budget for a Twitter API endpoint, e.g. { limit: 900,
+   * remaining: 12, reset: 1487600000 } (reset is in epoch seconds).  Null if unknown.
    */
-  filterUrlsWithIgnoreWords(urls, ignoreWords) {
-    const fnName = `${moduleName}/filterUrlsWithIgnoreWords`;
-
-    const numUrlsBefore = urls.length;
-
-    const urlsAfter = R.reject((url) => {
-      // Discard ignored words.
-      const shouldIgnore = R.find((ignoreWord) => {
-        // Append urls to text to simplify regexp logic
-        const searchString = (typeof url === 'object')
-          ? `${url.url} ${url.title} ${url.excerpt}`
-          : url;
+  getTwitterRateLimit(endpoint, done) {
+    const fnName = `${moduleName}/getTwitterRateLimit`;
 
-        const matches = searchString.match(new RegExp(`\\b${ignoreWord}\\b`, 'gi'));
+    const key = `${this.redisNS}${redisTwitterRateLimitKey}${endpoint}`;
 
-        if (matches) winston.debug(`Rejecting url due to ignore word "${matches[0]}": \
-${searchString}`);
+    this.store.hashGetAll(key, (err, budget) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      if (!budget) return done(err, null);
 
-        return matches;
-      })(ignoreWords || []);
+      return done(null, R.map((val) => parseInt(val, 10), budget));
+    });
+  }
 
-      return shouldIgnore;
-    }, urls);
+  /**
+   * Stores a Twitter API endpoint's rate limit budget (from response headers), so it's shared by
+   * all processes using this Redis namespace.  Expires once the limit resets.
+   */
+  _setTwitterRateLimit(endpoint, rate, done) {
+    const fnName = `${moduleName}/_setTwitterRateLimit`;
+    const key = `${this.redisNS}${redisTwitterRateLimitKey}${endpoint}`;
 
-    const numUrlsRejected = numUrlsBefore - urlsAfter.length;
+    done = done || (() => {});
 
-    //winston.info(`${fnName}: ${numUrlsRejected} urls with ignore words rejected after scraping, ${urlsAfter.length} remaining`);
+    const budget = R.pick(['limit', 'remaining', 'reset'], rate);
 
-    return urlsAfter;
+    this.store.hashReplace(key, budget, (rate.reset + 1) * 1000, (err) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      done(err);
+    });
   }
 
   /**
-   * Merges new url info with old info, preventing duplication.
+   * Reserves one call from a Twitter API endpoint's rate limit budget.  Calls back with
+   * { allowed, resetTime }, where resetTime (ms) is set when the budget is used up.
    */
-  mergeUrls(url1, urlMeta) {
-    let mergedUrlObj = Object.assign({}, url1);
+  _reserveTwitterCall(endpoint, done) {
+    const fnName = `${moduleName}/_reserveTwitterCall`;
+    const key = `${this.redisNS}${redisTwitterRateLimitKey}${endpoint}`;
 
-    // Init if necessary.
-    if (!mergedUrlObj.source) {
-      mergedUrlObj = Object.assign(mergedUrlObj, {
-        source: [],
-        sourceDetails: [],
-        categories: [],
-        tweetTexts: [],
-        tweetIDs: [],
-        tweetMentionCount: 0,
-        tweetFavoriteCount: 0,
-        tweetRetweetCount: 0,
-        tweetFirstMentionMS: 0,
-        tweetLastMentionMS: 0,
-        pocketTag: [],
-        pocketTimeAdded: [],
-        pocketID: [],
-      });
-    }
+    this.store.hashGetAll(key, (err, budget) => {
+      // Unknown budget (or Redis problems), so let the API decide.
+      if (err) winston.error(`${fnName}: ${err}`);
+      if (err || !budget || !budget.reset) return done(null, { allowed: true });
 
-    let source, sourceDetails, categories, timestamp;
-
-    if (urlMeta.tweetObj) {
-      // Tweet handling.
-
-      // Pull out metadata from the tweet.
-      const {
-        favorite_count,
-        retweet_count,
-        listOwner,
-        listName,
-        text,
-        created_at,
-        id_str,
-        user,
-      } = urlMeta.tweetObj;
-
-      // No-op if tweet was already processed.
-      const tweetAlreadyProcessed = mergedUrlObj.tweetIDs && (mergedUrlObj.tweetIDs.indexOf(urlMeta.tweetObj.id_str) !== -1);
-      if (tweetAlreadyProcessed) return mergedUrlObj;
-
-      const tweetTimeMS = (new Date(created_at)).getTime();
-
-      // Init times if needed.
-      if (mergedUrlObj.source.length === 0) {
-        mergedUrlObj.tweetFirstMentionMS = tweetTimeMS;
-        mergedUrlObj.tweetLastMentionMS = tweetTimeMS;
-      }
+      const resetTime = parseInt(budget.reset, 10) * 1000;
 
-      source = 'twitter';
-      sourceDetails = `${listOwner}/${listName}`;
-      mergedUrlObj.tweetTexts = R.union(mergedUrlObj.tweetTexts, [`@${user.screen_name}: ${text}`]);
-      timestamp = mergedUrlObj.articleTimestamp || tweetTimeMS;
-      mergedUrlObj.tweetMentionCount++;
-      mergedUrlObj.tweetRetweetCount += retweet_count;
-      mergedUrlObj.tweetFavoriteCount += favorite_count;
-      mergedUrlObj.tweetIDs = R.union(mergedUrlObj.tweetIDs, [id_str]);
-
-      // TODO: update mention times
-    } else if(urlMeta.pocketObj) {
-      // Pocket url processing.
-
-      const {
-        username,
-        tag,
-        time_added,
-        item_id
-      } = urlMeta.pocketObj;
-
-      const timeAddedMS = time_added * 1000;
-
-      source = 'pocket';
-      sourceDetails = username;
-      timestamp = mergedUrlObj.articleTimestamp || timeAddedMS;
-      mergedUrlObj.pocketTag = R.union(mergedUrlObj.pocketTag, [ tag ]);
-      mergedUrlObj.pocketTimeAdded = R.union(mergedUrlObj.pocketTimeAdded, [ timeAddedMS ]);
-      mergedUrlObj.pocketID = R.union(mergedUrlObj.pocketID, [ item_id ]);
-    }
+      // Budget already reset.
+      if (resetTime <= Date.now()) return done(null, { allowed: true });
 
-    if (source) {
-      mergedUrlObj.source = R.union(mergedUrlObj.source, [ source ]);
-      mergedUrlObj.sourceDetails = R.union(mergedUrlObj.sourceDetails, [ sourceDetails ]);
-      mergedUrlObj.timestamp = timestamp;
-    }
+      if (parseInt(budget.remaining, 10) <= 0) return done(null, { allowed: false, resetTime });
 
-    // Get categories from url and title.
-    const urlPlusTitle = `${mergedUrlObj.url} ${mergedUrlObj.title}`;
-    mergedUrlObj.categories = this._getCategoriesFromText(urlPlusTitle, this.categories);
+      // Take one call from the shared budget.  Another process may take the last one first.
+      return this.store.hashIncrement(key, 'remaining', -1, (incrementErr, remaining) => {
+        if (incrementErr) winston.error(`${fnName}: ${incrementErr}`);
 
-    // Fallback: get categories from excerpt.
-    if (mergedUrlObj.categories.length === 0) {
-      mergedUrlObj.categories = this._getCategoriesFromText(mergedUrlObj.excerpt, this.categories);
-    }
+        // Budget expired in the meantime.
+        if (remaining === null || typeof remaining === 'undefined') {
+          return done(null, { allowed: true });
+        }
 
-    return mergedUrlObj;
+        return done(null, { allowed: remaining >= 0, resetTime });
+      });
+    });
   }
 
   /**
-   * Scraper: Gets url excerpt and other info.  First checks catch, then fetches only on cache
-   * misses.
+   * Handles a used up Twitter rate limit while paging through a list: pauses until the limit
+   * resets if that's soon enough, otherwise defers the remaining pages to the next run (returning
+   * what's been fetched so far), or passes back a RateLimitedError if nothing was fetched.
    */
-  getUrlDetails(url, urlMeta, done) {
-    const fnName = `${moduleName}/getUrlDetails`;
+  _onTwitterRateLimited(args, endpoint, resetTime, cb) {
+    const fnName = `${moduleName}/_onTwitterRateLimited`;
 
-    let urlCopy = url;
-    let urlDetailsObj;
+    const waitMS = Math.max(resetTime - Date.now(), 0);
+    const maxWaitMS = ('maxRateLimitWaitMS' in args) ?
+      args.maxRateLimitWaitMS :
+      this.twitterMaxRateLimitWaitMS;
 
-    // Sanity check.
-    if (!urlCopy) return done();
+    if (waitMS <= maxWaitMS) {
+      winston.info(`${fnName}: ${endpoint} rate limited, pausing for ${waitMS} ms`);
+      return setTimeout(() => this._asyncGetTwitterList(args, cb), waitMS);
+    }
 
-    // Remove marketing/tracking junk params.
-    urlCopy = this.removeJunkURLParams(urlCopy);
+    if (args.iterations > 0) {
+      winston.info(`${fnName}: ${endpoint} rate limited, deferring remaining pages`);
 
-    // Check the cache.
-    return client.get(`${redisNS}${urlCopy}`, (err, reply) => {
-      if (reply) {
-        const parsedReply = JSON.parse(reply);
+      // Skipped pages are fetched next run (see _saveTwitterCheckpoint).
+      // cb already sent for each page
+      if (args.multipleCallbacks) return null;
+      return cb(null, args.data, this._getTwitterFetchInfo(args, { deferred: true }));
+    }
 
-        //winston.debug(`${fnName}: cache hit for ${urlCopy}`);
+    return cb(new RateLimitedError(endpoint, resetTime));
+  }
 
-        // Reject if url is an invalid content type (pdf, jpeg, etc) or had some error (404, etc).
-        if (parsedReply.scraperError) return done();
+  /**
+   * Describes a Twitter source for sourceDetails and checkpoints: "owner/name" for lists,
+   * "search:<query>" for searches and "user:<handle>" for user timelines.
+   */
+  _getTwitterListLabel(args) {
+    if (args.search) return `search:${args.search}`;
+    if (args.user) return `user:${args.user.replace(/^@/, '')}`;
+    return `${args.owner}/${args.name}`;
+  }
 
-        // Reject if url has been removed previously (e.g. by the user).
-        if (parsedReply[urlRemovedFlagKey]) {
-          //winston.debug(`${fnName}: removed previously by user: ${urlCopy}`);
-          return done();
+  /**
+   * Gets the API endpoint and params for a Twitter list, search query or user timeline.
+   */
+  _getTwitterRequest(args) {
+    if (args.search) {
+      return {
+        endpoint: 'search/tweets',
+        params: {
+          q: args.search,
+          result_type: 'recent',
+          count: args.count || 100
         }
+      };
+    }
 
-        // Follow cached redirect if needed.
-        const redirectURLIsDifferent = parsedReply.redirect !== urlCopy;
-        if (parsedReply.redirect) {
-          if (redirectURLIsDifferent) {
-            return this.getUrlDetails(`${parsedReply.redirect}`, urlMeta, done);
-          } else {
-            winston.error(`${fnName}: ignoring circular redirect: ${urlCopy} ${parsedReply.redirect}`);
-          } 
+    if (args.user) {
+      return {
+        endpoint: 'statuses/user_timeline',
+        params: {
+          screen_name: args.user.replace(/^@/, ''),
+          include_rts: true,
+          count: args.count || 200
         }
+      };
+    }
 
-        urlDetailsObj = this.mergeUrls(parsedReply, urlMeta);
-
-        // Update cache with merged info.
-        client.set(`${redisNS}${urlCopy}`, JSON.stringify(urlDetailsObj));
-
-        return done(null, urlDetailsObj);
+    return {
+      endpoint: 'lists/statuses',
+      params: {
+        owner_screen_name: args.owner,
+        slug: args.name,
+        count: args.count || 110
       }
+    };
+  }
 
-      // Cache miss - new url, so scrape the page.
-      //winston.debug(`${fnName}: cache miss for ${urlCopy}`);
-      return this.fetchUrlDetails(urlCopy, urlMeta, done);
+  /**
+   * Gets the id of the newest tweet fetched from a Twitter list (see _getTwitterListLabel), if
+   * any.
+   */
+  getTwitterSinceID(listLabel, done) {
+    const fnName = `${moduleName}/getTwitterSinceID`;
+
+    this.store.get(`${this.redisNS}${redisTwitterSinceIDKey}${listLabel}`, (err, sinceID) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      done(err, sinceID);
     });
   }
 
   /**
-   * Scraper: gets article excerpt and other info.
+   * Stores the id of the newest tweet fetched from a Twitter list, so the next fetch only needs
+   * to get newer tweets.
    */
-  fetchUrlDetails(url, args, done) {
-    const fnName = `${moduleName}/fetchUrlDetails`;
+  _setTwitterSinceID(listLabel, sinceID, done) {
+    const fnName = `${moduleName}/_setTwitterSinceID`;
 
-    let urlCopy = this.removeJunkURLParams(url);
+    done = done || (() => {});
 
-    // TODO: add functionality for retrying sites that may be overloaded.
-    const requestOptions = {
-      timeout: 15000
-    };
+    this.store.set(`${this.redisNS}${redisTwitterSinceIDKey}${listLabel}`, sinceID, (err) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      done(err);
+    });
+  }
 
-    request(urlCopy, requestOptions, (error, response, body) => {
-      let urlDetails = {};
+  /**
+   * Describes how a Twitter fetch went, for _saveTwitterCheckpoint: { sinceID, newestID,
+   * deferred }.
+   */
+  _getTwitterFetchInfo(args, info) {
+    return Object.assign({
+      sinceID: args.since_id,
+      newestID: args.newestID,
+      deferred: false
+    }, info);
+  }
 
-      // Sanity check.
-      if (!response) {
-        winston.error(`${fnName}: ${urlCopy} returned no response`);
-        console.log(error, response, body);
+  /**
+   * Saves how far a Twitter list has been fetched, once its tweets have been processed: the
+   * checkpoint moves up to the newest tweet.  Fetches cut short by the rate limit leave it, so
+   * the deferred pages are fetched next run.
+   */
+  _saveTwitterCheckpoint(listLabel, fetchInfo, done) {
+    done = done || (() => {});
 
-        // Cache result so we don't waste time processing this in the future.
-        client.set(`${redisNS}${urlCopy}`, JSON.stringify(Object.assign({}, urlDetails, {
-          scraperError: `No response`
-        })));
+    // e.g. data stubs.
+    if (!fetchInfo || !fetchInfo.newestID || fetchInfo.deferred) return done(null);
 
-        return done(null, urlDetails);
-      }
+    return this._setTwitterSinceID(listLabel, fetchInfo.newestID, done);
+  }
 
-      const resp = response || { headers: { } };
-      const contentType = resp.headers['content-type'];
+  /**
+   * Gets the id one below a tweet id, for paging with max_id (which is inclusive).  Works on the
+   * id strings, as tweet ids are too big for Numbers.
+   */
+  _decrementTwitterID(idStr) {
+    const digits = idStr.split('');
+    let index = digits.length - 1;
+
+    // Borrow from the left through any trailing zeros.
+    while (index > 0 && digits[index] === '0') {
+      digits[index] = '9';
+      index--;
+    }
 
-      if (!contentType) winston.debug(`No content-type found for ${urlCopy}`);
+    digits[index] = `${parseInt(digits[index], 10) - 1}`;
 
-      // Checks for non-HTML content (such as PDFs, etc).
-      const isUnsupportedFiletype = !contentType || !contentType.match('text/html');
-      if (isUnsupportedFiletype) {
-        winston.error(`${fnName}: ${urlCopy} is unsupported content type ${contentType}`);
+    return digits.join('').replace(/^0+(?=\d)/, '');
+  }
 
-        // Cache result so we don't waste time processing this in the future.
-        client.set(`${redisNS}${urlCopy}`, JSON.stringify(Object.assign({}, urlDetails, {
-          scraperError: contentType
-        })));
+  /**
+   * Fetches links from a Twitter list, search query (`search`) or user timeline (`user`).  Only
+   * tweets newer than the previous fetch are requested, unless `fullRefresh` is set.  Up to
+   * `pages` pages (default 5) of `count` tweets are fetched.
+   * Calls back with (err, tweets, fetchInfo) - see _getTwitterFetchInfo.
+   * https://dev.twitter.com/rest/reference/get/lists/statuses
+   * https://dev.twitter.com/rest/reference/get/search/tweets
+   * https://dev.twitter.com/rest/reference/get/statuses/user_timeline
+   */
+  _asyncGetTwitterList(args, cb) {
+    const fnName = '_asyncGetTwitterList';
 
-        return done();
-      }
+    winston.debug(fnName);
 
-      if (error) {
-        winston.error(`${fnName}: ${error} for ${urlCopy}`);
-        return done(null, urlDetails);
-      }
+    const argsCopy = Object.assign({}, args);
+    const listLabel = this._getTwitterListLabel(argsCopy);
 
-      // Handles bad HTTP status codes.
-      if (response.statusCode !== 200) {
-        winston.debug(`${fnName}: HTTP ${resp.statusCode} for ${urlCopy}`);
+    // Tests: return a data stub immediately.
+    if (argsCopy.dataStub) return cb(null, argsCopy.dataStub);
 
-        // Cache result so we don't waste time processing this in the future.
-        client.set(`${redisNS}${urlCopy}`, JSON.stringify(Object.assign({}, urlDetails, {
-          scraperError: `HTTP ${resp.statusCode}`
-        })));
+    // Initialize if needed.
+    if (!argsCopy.data) {
+      return this.getTwitterSinceID(listLabel, (err, sinceID) => {
+        argsCopy.data = [];
+        argsCopy.iterations = 0;
 
-        return done(null, urlDetails);
-      }
+        if (sinceID && !argsCopy.fullRefresh) argsCopy.since_id = sinceID;
 
-      // Handle URL redirects.
-      const newUrl = response.request.uri.href;
-      const wasRedirected = urlCopy !== newUrl;
-      urlCopy = this.removeJunkURLParams(newUrl);
+        return this._asyncGetTwitterList(argsCopy, cb);
+      });
+    }
 
-      if (wasRedirected) {
-        //winston.debug(`${fnName}: redirect, so rewriting ${url} to ${urlCopy}`);
+    const { endpoint, params } = this._getTwitterRequest(argsCopy);
+    const listOptions = params;
 
-        // Cache redirect info, so this URL won't need to be fetched again.
-        client.set(`${redisNS}${url}`, JSON.stringify({
-          redirect: urlCopy
-        }));
-      }
+    // Incremental fetching.
+    if (argsCopy.since_id) listOptions.since_id = argsCopy.since_id;
 
-      urlDetails.url = urlCopy;
+    // Pagination
+    if ('max_id' in argsCopy) listOptions.max_id = argsCopy.max_id;
 
-      // Load HTML body into Cherrio for HTML parsing.
-      const $ = cheerio.load(body);
+    winston.debug(`${fnName}: fetching...`, argsCopy);
 
-      // Wrap in try-catch for large pages that may fail (needed due to bug in domutils).
-      // See http://bit.ly/2iTvQNS
-      try {
-        //winston.debug(`${fnName}: parsing HTML`);
+    return this._reserveTwitterCall(endpoint, (reserveErr, budget) => {
+      if (!budget.allowed) {
+        return this._onTwitterRateLimited(argsCopy, endpoint, budget.resetTime, cb);
+      }
 
-        // Get page title.
-        urlDetails.title = this.getPageTitle($);
+      // TODO: send pagination calls out in parallel instead of sequentially
+      return this.twitter.get(
+        endpoint,
+        listOptions,
+        (err, reply, rate) => {
+          // Share the remaining budget with other processes.
+          if (rate) this._setTwitterRateLimit(endpoint, rate);
+
+          if (err && err.statusCode === 429) {
+            const resetTime = (rate) ? rate.reset * 1000 : Date.now() + twitterRateLimitWindowMS;
+            return this._onTwitterRateLimited(argsCopy, endpoint, resetTime, cb);
+          }
 
-        // Get page excerpt.
-        urlDetails.excerpt = this.getPageExcerpt.call(this, $);
+          if (err) {
+            return cb(err.errors ? JSON.stringify(err.errors) : err.message);
+          }
 
-        urlDetails.articleTwitterAuthor = this.getTwitterAuthor($);
+          if (reply.errors) {
+            return cb(JSON.stringify(reply.errors));
+          }
 
-        urlDetails.articleTimestamp = this.getPublishedTime($);
-      } catch (e) {
-        winston.error(`${fnName}: Failed to parse ${urlCopy}: ${e.message} ${e.stack}`);
-      }
+          // Search results are wrapped in an object.
+          const tweets = Array.isArray(reply) ? reply : (reply.statuses || []);
 
-      // Add in relevant tweet/Pocket info.
-      urlDetails = this.mergeUrls(urlDetails, args);
+          argsCopy.iterations++;
 
-      // TODO: pocket merge
+          // Lists are newest first, so the first tweet is the next run's checkpoint.
+          if (!argsCopy.newestID && tweets.length > 0) {
+            argsCopy.newestID = tweets[0].id_str;
+          }
 
-      // TODO: remove, use redis.setObj instead
-      const urlDetailsStr = JSON.stringify(urlDetails);
+          if (argsCopy.multipleCallbacks) {
+            // Return current batch immediately.  This will result in the callback being called
+            // multiple times as the data comes in, which will be faster than waiting for one big
+            // callback at the end.
+            cb(null, tweets);
+          } else {
+            // Group up results into one callback.
+            argsCopy.data = argsCopy.data.concat(tweets);
+          }
 
-      //winston.debug(`${fnName}: ${urlCopy} details: ${urlDetailsStr}`);
+          const lastItemID = R.path(['id_str'], R.last(tweets) || {});
 
-      // update cache
-      client.set(`${redisNS}${urlCopy}`, urlDetailsStr);
+          if (tweets.length > 0 && !lastItemID) {
+            winston.error(`${fnName}: could not find id of last tweet in list`);
+            winston.debug(`${fnName}: last page`, tweets);
+          }
 
-      return this.uniqueLPUSH(`${redisNS}urls`, urlCopy, (err, reply) => {
-        done(null, urlDetails);
-      });
+          // Reached the limit, or the end of the list (or of the tweets since the last fetch),
+          // which a short page means.
+          // TODO base results on filtered count
+          const pages = argsCopy.pages || twitterDefaultPages;
+          const isLastPage = tweets.length < listOptions.count || !lastItemID;
+          if (argsCopy.iterations >= pages || isLastPage) {
+            // cb already sent above
+            if (argsCopy.multipleCallbacks) return null;
+            return cb(null, argsCopy.data, this._getTwitterFetchInfo(argsCopy));
+          }
+
+          // Fetch the next page, of tweets older than the last one.
+          argsCopy.max_id = this._decrementTwitterID(lastItemID);
+          return this._asyncGetTwitterList(argsCopy, cb);
+        }
+      );
     });
-  };
+  }
 
-  uniqueLPUSH(key, val, cb) {
-    const fnName = `${moduleName}/uniqueLPUSH`;
+  /**
+   * Searches a text string for matching categories.
+   */
+  _getCategoriesFromText(text, categories) {
+    const fnName = `${moduleName}/_getCategoriesFromText`;
 
-    cb = cb || (() => {});
+    //winston.debug(`${fnName}: ${text}`);
 
-    const placeholderVal = '__tempForUniquePush';
-    const beforeOrAfterPivot = 'BEFORE';
+    let cats = [];
+    const categoriesCopy = categories || this.categories || [];
 
-    // Try to insert placeholder before the value, if it aleady exists.
-    return client.linsert(key, beforeOrAfterPivot, val, placeholderVal, (err, linsertReply) => {
-      if (err) winston.error(`${fnName}: err`);
+    cats = R.filter((category) => text && text.match(category.keywords.regexp))(categoriesCopy);
 
-      const keyNotFound = linsertReply === -1;
-      const listEmpty = linsertReply === 0;
-      if (keyNotFound || listEmpty) {
-        // Key doesn't exist in list yet, so push it.
-        client.lpush(key, val, (err, pushReply) => {
-          if (err) winston.error(`${fnName}: err`);
-        });
-      }
+    cats = R.pluck('name', cats);
 
-      // Cleanup placeholder.
-      return client.lrem(key, 0, placeholderVal, cb);
-    });
+    return cats;
   }
 
   /**
-   * Scraper: gets time an article was published.
+   * Filters out tweets missing urls, or containing words that should be ignored.
    */
-  getPublishedTime($) {
-    const now = new Date();
-    const MS_IN_A_YEAR = 31536000000;
-    const lastYear = (new Date(now - MS_IN_A_YEAR)).getFullYear();
-    const currentYear = now.getFullYear();
-
-    let time;
-    let timeModified;
+  filterTweets(tweets, ignoreWords) {
+    const fnName = `${moduleName}/filterTweets`;
 
-    // Attempt to find published time.
-    const publishedTag = $(`[property="article:published_time"],
-[property="article:post_date"],
-[itemprop="datePublished"],
-[property="article:published_time"],
-[name="date"],
-[name="search_date"],
-[name="pubdate"],
-[property="datePublished"],
-[property="DC.date.issued"],
-[itemprop="startDate"]
-`);
-    time = publishedTag.first().attr('content');
+    const numBefore = tweets.length;
 
-    // Fallbacks, with highest as the top priority.
-    let fallbackMatches = [];
-    let likelyMatches = [];
-    if (!time) {
-      const fallbackTimeTags = [
-        'time',
-        '[datetime]',
-        'h2[class*="datetime"], h2[id*="datetime"], h2[class*="date"], h2[id*="date"]',
-        '[class*="datetime"], [id*="datetime"], [class*="date"], [id*="date"]',
-        '[class*="published"], [id*="published"]',
-        'h2',
-        '[class*="meta"], [id*="meta"]'
-      ];
+    const tweetsAfter = R.reject((tweet) => {
+      // If this tweet includes a quoted or rewteeted tweet, reference the original tweet.
+      if (tweet.quoted_status) tweet = tweet.quoted_status;
+      if (tweet.retweeted_status) tweet = tweet.retweeted_status;
 
-      const processTagObj = (index, tagElt) => {
-        const curElt = $(tagElt)[0] || tagElt;
-        const hasChildren = curElt.children && curElt.children.length > 1;
-        if (hasChildren) {
-          $(tagElt)[0].children.forEach((child, index) => processTagObj(index, child));
-        } else {
-          let txt = $(tagElt).first().text();
-          const isLikelyYear = txt.match(new RegExp(`${currentYear}|${lastYear}`), 'gi');
+      // Discard tweets with no urls.
+      if (!tweet.entities || !tweet.entities.urls || tweet.entities.urls.length === 0) {
+        //winston.debug(`Rejecting - no urls present in tweet: ${tweet.text}`);
+        return true;
+      }
 
-          if (txt) {
-            if (isLikelyYear) {
-              likelyMatches.push(txt);
-            } else {
-              fallbackMatches.push(txt);
-            }
-          }
-        }
-      };
+      // Discard ignored words.  Url filtering will happen later.
+      const shouldIgnore = R.find((ignoreWord) => {
+        let txt = `@${tweet.user.screen_name}: ${tweet.text}`;
+        const matches = `${txt}`.match(new RegExp(ignoreWord, 'gi'));
 
-      fallbackTimeTags.forEach((tag) => {
-        const tagElts = $(tag);
+        //if (matches) winston.debug(`Rejecting due to ignore word "${matches[0]}": ${tweet.text}`);
 
-        tagElts.each(processTagObj);
-      });
+        return matches;
+      })(ignoreWords || []);
 
-      time = likelyMatches[0] || fallbackMatches[0] || '';
-    }
+      return shouldIgnore;
+    }, tweets);
 
-    // Attempt to find updated time.
-    const updatedTag = $(`[property="article:post_modified"],
-[itemprop="dateModified"],
-[itemprop="endDate"],
-[name="revised"],
-[name="last-modified"],
-[name="last-updated"]`);
-    timeModified = updatedTag.first().attr('content');
+    const numRejected = numBefore - tweetsAfter.length;
 
-    if (!timeModified) {
-      const updatedTag = $('[class*="updated"], [id*="updated"]');
-      timeModified = updatedTag.first().text();
-    }
+    //winston.info(`${fnName}: ${numRejected} tweet urls rejected`);
 
+    return tweetsAfter;
+  }
 
-    // If no published time, but only modified time, use the latter.
-    if (!time && timeModified) {
-      time = timeModified;
-    }
+  /**
+   * Filters out url objects containing words on the ignore list.
+   */
+  filterUrlsWithIgnoreWords(urls, ignoreWords) {
+    const fnName = `${moduleName}/filterUrlsWithIgnoreWords`;
 
-    // Note: brackets seem to throw off the parser.
-    time = time.replace(/\[|\]/g, '');
+    const numUrlsBefore = urls.length;
 
-    // Remove stuff that doesn't look like a date.
-    const stuffThatLookLikeDates = [
-      '\\d',
-      '-',
+    const urlsAfter = R.reject((url) => {
+      // Discard ignored words.
+      const shouldIgnore = R.find((ignoreWord) => {
+        // Append urls to text to simplify regexp logic
+        const searchString = (typeof url === 'object')
+          ? `${url.url} ${url.title} ${url.excerpt}`
+          : url;
+
+        const matches = searchString.match(new RegExp(`\\b${ignoreWord}\\b`, 'gi'));
+
+        if (matches) winston.debug(`Rejecting url due to ignore word "${matches[0]}": \
+${searchString}`);
+
+        return matches;
+      })(ignoreWords || []);
+
+      return shouldIgnore;
+    }, urls);
+
+    const numUrlsRejected = numUrlsBefore - urlsAfter.length;
+
+    //winston.info(`${fnName}: ${numUrlsRejected} urls with ignore words rejected after scraping, ${urlsAfter.length} remaining`);
+
+    return urlsAfter;
+  }
+
+  /**
+   * Merges new url info with old info, preventing duplication.
+   */
+  mergeUrls(url1, urlMeta) {
+    // Init if necessary.
+    let mergedUrlObj = this._backfillSourceFields(url1);
+
+    const { adapter, item } = this._getSourceForMeta(urlMeta || {});
+
+    if (adapter) {
+      const mapped = adapter.map(item, mergedUrlObj);
+
+      // No-op if item was already processed.
+      if (!mapped) return mergedUrlObj;
+
+      if (adapter.itemIDs) {
+        mergedUrlObj.sourceItemCounts = this._addItemCounts(adapter, mergedUrlObj, mapped.fields);
+      }
+
+      mergedUrlObj = Object.assign(mergedUrlObj, mapped.fields);
+      mergedUrlObj.source = R.union(mergedUrlObj.source, [ adapter.source ]);
+      mergedUrlObj.sourceDetails = R.union(mergedUrlObj.sourceDetails, [ mapped.sourceDetails ]);
+      mergedUrlObj.timestamp = mapped.timestamp;
+    }
+
+    // Get categories from url and title.
+    const urlPlusTitle = `${mergedUrlObj.url} ${mergedUrlObj.title}`;
+    mergedUrlObj.categories = this._getCategoriesFromText(urlPlusTitle, this.categories);
+
+    // Fallback: get categories from excerpt.
+    if (mergedUrlObj.categories.length === 0) {
+      mergedUrlObj.categories = this._getCategoriesFromText(mergedUrlObj.excerpt, this.categories);
+    }
+
+    // Categories chosen by editors when adding the url by hand.
+    mergedUrlObj.categories = R.union(mergedUrlObj.categories, mergedUrlObj.manualCategories || []);
+
+    return mergedUrlObj;
+  }
+
+  /**
+   * Records the counts a newly mapped item adds to a url object (e.g. a story's hnPoints) under
+   * the item's id, in `sourceItemCounts` by source.
+   */
+  _addItemCounts(adapter, urlObj, fields) {
+    const itemCounts = urlObj.sourceItemCounts || {};
+    const newIDs = R.difference(fields[adapter.itemIDs] || [], urlObj[adapter.itemIDs] || []);
+
+    if (newIDs.length !== 1 || adapter.counts.length === 0) return itemCounts;
+
+    const counts = R.fromPairs(adapter.counts.map((key) => [
+      key,
+      R.propOr(urlObj[key], key, fields) - (urlObj[key] || 0)
+    ]));
+
+    return R.assocPath([adapter.source, newIDs[0]], counts, itemCounts);
+  }
+
+  /**
+   * Scraper: Gets url excerpt and other info.  First checks catch, then fetches only on cache
+   * misses.
+   */
+  getUrlDetails(url, urlMeta, done) {
+    const fnName = `${moduleName}/getUrlDetails`;
+
+    let urlCopy = url;
+    let urlDetailsObj;
+
+    // Sanity check.
+    if (!urlCopy) return done();
+
+    // Remove marketing/tracking junk params.
+    urlCopy = this.removeJunkURLParams(urlCopy);
+
+    // Check the cache.
+    return this.store.get(`${this.redisNS}${urlCopy}`, (err, reply) => {
+      if (reply) {
+        // Bring records cached in an older format up to date.  Saved again below.
+        const parsedReply = this.migrateUrlDetails(JSON.parse(reply));
+
+        //winston.debug(`${fnName}: cache hit for ${urlCopy}`);
+
+        // Reject if url is an invalid content type (pdf, jpeg, etc) or had some error (404, etc).
+        if (parsedReply.scraperError) return done();
+
+        // Reject if url has been removed previously (e.g. by the user).
+        if (parsedReply[urlRemovedFlagKey]) {
+          //winston.debug(`${fnName}: removed previously by user: ${urlCopy}`);
+          return done();
+        }
+
+        // Follow cached redirect if needed.
+        const redirectURLIsDifferent = parsedReply.redirect !== urlCopy;
+        if (parsedReply.redirect) {
+          if (redirectURLIsDifferent) {
+            return this.getUrlDetails(`${parsedReply.redirect}`, urlMeta, done);
+          } else {
+            winston.error(`${fnName}: ignoring circular redirect: ${urlCopy} ${parsedReply.redirect}`);
+          } 
+        }
+
+        urlDetailsObj = this.mergeUrls(parsedReply, urlMeta);
+
+        // Update cache with merged info.  Keeps the time it has left, so it's still scraped again
+        // once that's up.
+        this.store.set(`${this.redisNS}${urlCopy}`, JSON.stringify(urlDetailsObj),
+          { keepTTL: true });
+
+        return done(null, urlDetailsObj);
+      }
+
+      // Cache miss - new url, so scrape the page.
+      //winston.debug(`${fnName}: cache miss for ${urlCopy}`);
+      return this.fetchUrlDetails(urlCopy, urlMeta, done);
+    });
+  }
+
+  /**
+   * Caches url details, expiring them after the cache TTL for the scrape outcome (see
+   * defaultCacheTTLs).
+   */
+  _cacheUrlDetails(url, urlDetails, outcome, done) {
+    const ttlMS = this.cacheTTLs[outcome];
+
+    this.store.set(`${this.redisNS}${url}`, JSON.stringify(urlDetails),
+      ttlMS ? { ttlMS } : {}, done);
+  }
+
+  /**
+   * Stamps newly scraped url details with the latest schema version, unless they already carry
+   * one (from details cached before, which keep their version until migrated).
+   */
+  _stampSchemaVersion(urlDetails) {
+    return Object.assign({ schemaVersion: this.schemaVersion }, urlDetails);
+  }
+
+  /**
+   * Runs registered migrations on cached url details with an older schema version, returning the
+   * migrated record (or the record as is if it's up to date).  Redirects and failed scrapes aren't
+   * versioned.
+   */
+  migrateUrlDetails(urlDetailsObj) {
+    const fnName = `${moduleName}/migrateUrlDetails`;
+
+    const fromVersion = urlDetailsObj.schemaVersion || 0;
+
+    if (urlDetailsObj.redirect || urlDetailsObj.scraperError ||
+      fromVersion >= this.schemaVersion) {
+      return urlDetailsObj;
+    }
+
+    const versions = R.keys(this.migrations)
+      .map((version) => parseInt(version, 10))
+      .filter((version) => version > fromVersion)
+      .sort((a, b) => a - b);
+
+    let migratedObj = urlDetailsObj;
+
+    // Stops at the first failed migration, leaving the record at the last good version.
+    versions.every((version) => {
+      try {
+        migratedObj = Object.assign(this.migrations[version](migratedObj), {
+          schemaVersion: version
+        });
+        return true;
+      } catch (e) {
+        winston.error(`${fnName}: migration ${version} failed for ${urlDetailsObj.url}: \
+${e.message}`);
+        return false;
+      }
+    });
+
+    return migratedObj;
+  }
+
+  /**
+   * Scraper: gets article excerpt and other info.  Pass the cached details as
+   * `args.previousDetails` to re-scrape a url, keeping its source info (and keeping the details
+   * as they are if the site is temporarily down).
+   */
+  fetchUrlDetails(url, args, done) {
+    const fnName = `${moduleName}/fetchUrlDetails`;
+
+    let urlCopy = this.removeJunkURLParams(url);
+
+    // Brought up to date first, since they're merged into the newly scraped details.
+    const previousDetails = args && args.previousDetails &&
+      this.migrateUrlDetails(args.previousDetails);
+
+    // Number of requests it took, including retries.
+    let scrapeAttempts = 1;
+
+    // Caches a failed scrape, calling back with what to return.
+    const cacheFailure = (outcome, scraperError, result) => {
+      const isTemporary = outcome === 'noResponse' || outcome === 'serverError';
+
+      if (previousDetails && isTemporary) {
+        winston.debug(`${fnName}: keeping previous details for ${urlCopy}`);
+        return done(null, previousDetails);
+      }
+
+      this._cacheUrlDetails(urlCopy, {
+        scraperError,
+        scrapedAt: Date.now(),
+        scrapeAttempts
+      }, outcome);
+
+      return done(null, result);
+    };
+
+    const requestOptions = {
+      timeout: 15000
+    };
+
+    requestOptions.headers = Object.assign(this.botUserAgent ?
+      { 'User-Agent': this.botUserAgent } : {}, this._getConditionalHeaders(previousDetails));
+
+    const onResponse = (error, response, body, attempts) => {
+      let urlDetails = {};
+
+      scrapeAttempts = attempts;
+
+      // Sanity check.
+      if (!response) {
+        winston.error(`${fnName}: ${urlCopy} returned no response`);
+        console.log(error, response, body);
+
+        // Cache result so we don't waste time processing this again until it expires.
+        return cacheFailure('noResponse', 'No response', urlDetails);
+      }
+
+      const resp = response || { headers: { } };
+      const contentType = resp.headers['content-type'];
+
+      // Unchanged since the last scrape (see _getConditionalHeaders), so the details still hold.
+      if (response.statusCode === 304 && previousDetails) {
+        winston.debug(`${fnName}: ${urlCopy} not modified`);
+
+        const checkedDetails = this.mergeUrls(Object.assign({}, previousDetails, {
+          lastCheckedAt: Date.now()
+        }), args);
+
+        this._cacheUrlDetails(urlCopy, checkedDetails, 'success');
+
+        return done(null, checkedDetails);
+      }
+
+      // Handles bad HTTP status codes.  Checked first, since error pages are often not HTML.
+      if (response.statusCode !== 200) {
+        winston.debug(`${fnName}: HTTP ${resp.statusCode} for ${urlCopy}`);
+
+        // Cache result so we don't waste time processing this again until it expires.
+        const isServerError = resp.statusCode >= 500 || resp.statusCode === 429;
+        const outcome = isServerError ? 'serverError' : 'clientError';
+        return cacheFailure(outcome, `HTTP ${resp.statusCode}`, urlDetails);
+      }
+
+      if (!contentType) winston.debug(`No content-type found for ${urlCopy}`);
+
+      // Checks for non-HTML content (such as PDFs, etc).
+      const isUnsupportedFiletype = !contentType || !contentType.match('text/html');
+      if (isUnsupportedFiletype) {
+        winston.error(`${fnName}: ${urlCopy} is unsupported content type ${contentType}`);
+
+        // Cache result so we don't waste time processing this again until it expires.
+        return cacheFailure('unsupportedContentType', contentType);
+      }
+
+      if (error) {
+        winston.error(`${fnName}: ${error} for ${urlCopy}`);
+        return done(null, urlDetails);
+      }
+
+      // Handle URL redirects.
+      const newUrl = response.request.uri.href;
+      const wasRedirected = urlCopy !== newUrl;
+      urlCopy = this.removeJunkURLParams(newUrl);
+
+      if (wasRedirected) {
+        //winston.debug(`${fnName}: redirect, so rewriting ${url} to ${urlCopy}`);
+
+        // Cache redirect info, so this URL won't need to be fetched again.
+        this._cacheUrlDetails(url, { redirect: urlCopy }, 'redirect');
+      }
+
+      urlDetails.url = urlCopy;
+      urlDetails.scrapedAt = Date.now();
+      urlDetails.lastCheckedAt = urlDetails.scrapedAt;
+      urlDetails.scrapeAttempts = scrapeAttempts;
+
+      // Validators for conditional re-scrapes.
+      urlDetails.etag = resp.headers.etag || null;
+      urlDetails.lastModified = resp.headers['last-modified'] || null;
+
+      // Load HTML body into Cherrio for HTML parsing.
+      const $ = cheerio.load(body);
+
+      let canonicalUrl = null;
+
+      // Wrap in try-catch for large pages that may fail (needed due to bug in domutils).
+      // See http://bit.ly/2iTvQNS
+      try {
+        //winston.debug(`${fnName}: parsing HTML`);
+
+        // Get page title.
+        urlDetails.title = this.getPageTitle($);
+
+        // Get page excerpt.
+        urlDetails.excerpt = this.getPageExcerpt.call(this, $);
+
+        urlDetails.articleTwitterAuthor = this.getTwitterAuthor($);
+
+        urlDetails.articleTimestamp = this.getPublishedTime($);
+
+        canonicalUrl = this.getCanonicalUrl($, urlCopy);
+      } catch (e) {
+        winston.error(`${fnName}: Failed to parse ${urlCopy}: ${e.message} ${e.stack}`);
+      }
+
+      // Add in relevant tweet/Pocket info, keeping what was already known when re-scraping.
+      const knownDetails = R.omit(['scrapeSkipped'], previousDetails || {});
+      urlDetails = this.mergeUrls(Object.assign({}, knownDetails, urlDetails), args);
+      urlDetails = this._stampSchemaVersion(urlDetails);
+
+      // TODO: pocket merge
+
+      //winston.debug(`${fnName}: ${urlCopy} details: ${JSON.stringify(urlDetails)}`);
+
+      // Variants of a page (mobile, AMP, etc) are stored under the url the page names instead.
+      if (canonicalUrl && canonicalUrl !== urlCopy) {
+        return this._cacheCanonicalUrl(canonicalUrl, wasRedirected ? [url, urlCopy] : [urlCopy],
+          urlDetails, done);
+      }
+
+      return this._cacheScrapedUrl(urlDetails, done);
+    };
+
+    if (!this.respectRobotsTxt) return this._requestWithRetry(urlCopy, requestOptions, onResponse);
+
+    return this._isAllowedByRobots(urlCopy, (isAllowed) => {
+      if (isAllowed) return this._requestWithRetry(urlCopy, requestOptions, onResponse);
+
+      winston.debug(`${fnName}: robots.txt disallows ${urlCopy}`);
+
+      return this._cacheUnscrapedUrl(urlCopy, 'robots', Object.assign({}, args, { previousDetails }),
+        done);
+    });
+  };
+
+  /**
+   * Caches scraped url details and adds the url to the urls list.
+   */
+  _cacheScrapedUrl(urlDetails, done) {
+    this._cacheUrlDetails(urlDetails.url, urlDetails, 'success');
+
+    return this.uniqueLPUSH(`${this.redisNS}urls`, urlDetails.url, (err, reply) => {
+      done(null, urlDetails);
+    });
+  }
+
+  /**
+   * Caches details scraped from a variant of a page (its mobile or AMP version, with tracking
+   * params, etc) under the page's canonical url, merged with what's already cached for it.  The
+   * variant urls are cached as redirects to it, like real HTTP redirects.
+   */
+  _cacheCanonicalUrl(canonicalUrl, variantUrls, urlDetails, done) {
+    const fnName = `${moduleName}/_cacheCanonicalUrl`;
+
+    this.store.get(`${this.redisNS}${canonicalUrl}`, (err, reply) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+
+      const cachedObj = reply ? this.migrateUrlDetails(JSON.parse(reply)) : null;
+
+      // The canonical url redirects elsewhere, so the page can't really live there.
+      if (R.path(['redirect'], cachedObj)) {
+        winston.debug(`${fnName}: ignoring canonical url ${canonicalUrl}, which redirects`);
+        return this._cacheScrapedUrl(urlDetails, done);
+      }
+
+      winston.debug(`${fnName}: ${variantUrls.join(', ')} is a variant of ${canonicalUrl}`);
+
+      variantUrls.forEach((variantUrl) => {
+        this._cacheUrlDetails(variantUrl, { redirect: canonicalUrl }, 'redirect');
+      });
+
+      // Removed urls stay removed, whichever variant they're found by.
+      if (R.path([urlRemovedFlagKey], cachedObj)) return done();
+
+      // Validators are only good for the url they came from (see _getConditionalHeaders).
+      const variantObj = Object.assign(R.omit(['etag', 'lastModified'], urlDetails), {
+        url: canonicalUrl
+      });
+
+      // Keeps the canonical page's own scraped details, if any, adding the variant's engagement.
+      const canonicalObj = (cachedObj && !cachedObj.scraperError) ?
+        this.mergeUrlVariants(cachedObj, variantObj) : variantObj;
+
+      this._cacheUrlDetails(canonicalUrl, canonicalObj, this._getCacheOutcome(canonicalObj));
+
+      // Variants listed before they were known to be variants.
+      return async.eachSeries(variantUrls, (variantUrl, eachCb) => {
+        this.store.listRemove(`${this.redisNS}urls`, variantUrl, () => eachCb());
+      }, () => {
+        this.uniqueLPUSH(`${this.redisNS}urls`, canonicalUrl, () => done(null, canonicalObj));
+      });
+    });
+  }
+
+  /**
+   * Merges the source info (tweets, Pocket saves, etc) of a variant of a url into the url's
+   * details, e.g. when the mobile and desktop versions of an article were both shared.  Fields
+   * in a source's `counts` add up for items the url doesn't have yet, other numbers take the
+   * larger value, and arrays are combined.
+   */
+  mergeUrlVariants(urlObj, variantObj) {
+    const mergedUrlObj = this._backfillSourceFields(urlObj);
+    const variantCopy = this._backfillSourceFields(variantObj);
+
+    mergedUrlObj.source = R.union(mergedUrlObj.source, variantCopy.source);
+    mergedUrlObj.sourceDetails = R.union(mergedUrlObj.sourceDetails, variantCopy.sourceDetails);
+
+    R.values(this.sources).forEach((adapter) => {
+      // Worked out before the item ids are combined below.
+      const variantCounts = this._getVariantCounts(adapter, mergedUrlObj, variantCopy);
+
+      R.keys(adapter.fields).forEach((key) => {
+        const value = mergedUrlObj[key];
+        const variantValue = variantCopy[key];
+
+        if (Array.isArray(value)) {
+          mergedUrlObj[key] = R.union(value, variantValue || []);
+        } else if (typeof value === 'number') {
+          mergedUrlObj[key] = (R.contains(key, adapter.counts) && variantCounts) ?
+            value + (variantCounts[key] || 0) : Math.max(value, variantValue || 0);
+        } else if (typeof value === 'boolean') {
+          mergedUrlObj[key] = value || !!variantValue;
+        }
+      });
+    });
+
+    if (mergedUrlObj.sourceItemCounts || variantCopy.sourceItemCounts) {
+      mergedUrlObj.sourceItemCounts = R.mergeWith(R.merge, variantCopy.sourceItemCounts || {},
+        mergedUrlObj.sourceItemCounts || {});
+    }
+
+    // Categories are worked out again from the merged details.
+    return this.mergeUrls(mergedUrlObj);
+  }
+
+  /**
+   * Gets the counts a variant of a url adds to the url's details: those recorded for the items
+   * the url doesn't have yet (see itemIDs).  Details cached before counts were recorded by item
+   * add their totals if none of their items are shared, and null is returned if there's no
+   * telling which counts are new.
+   */
+  _getVariantCounts(adapter, urlObj, variantObj) {
+    const variantCounts = R.pick(adapter.counts, variantObj);
+
+    if (!adapter.itemIDs) return variantCounts;
+
+    const variantIDs = variantObj[adapter.itemIDs] || [];
+    const newIDs = R.difference(variantIDs, urlObj[adapter.itemIDs] || []);
+    const itemCounts = R.path(['sourceItemCounts', adapter.source], variantObj) || {};
+
+    if (newIDs.every((id) => itemCounts[id])) {
+      return R.fromPairs(adapter.counts.map((key) => [
+        key,
+        R.sum(newIDs.map((id) => itemCounts[id][key] || 0))
+      ]));
+    }
+
+    if (newIDs.length === variantIDs.length) return variantCounts;
+
+    return null;
+  }
+
+  /**
+   * Gets the headers that let a re-scrape come back as 304 Not Modified, from the ETag and
+   * Last-Modified headers of the last scrape.
+   */
+  _getConditionalHeaders(previousDetails) {
+    const headers = {};
+
+    if (!previousDetails) return headers;
+
+    if (previousDetails.etag) headers['If-None-Match'] = previousDetails.etag;
+    if (previousDetails.lastModified) headers['If-Modified-Since'] = previousDetails.lastModified;
+
+    return headers;
+  }
+
+  /**
+   * Caches a url without scraping it (e.g. when robots.txt disallows it), marked with
+   * `scrapeSkipped: reason`.  Uses what was already known about it: details cached before, or
+   * its source's title and excerpt (Pocket's, the tweet text, etc).
+   */
+  _cacheUnscrapedUrl(url, reason, args, done) {
+    const { adapter, item } = this._getSourceForMeta(args || {});
+
+    const fallbackDetails = (adapter && adapter.getFallbackDetails) ?
+      R.reject(R.isNil, adapter.getFallbackDetails(item) || {}) : {};
+
+    let urlDetails = Object.assign({}, fallbackDetails, args && args.previousDetails, {
+      url,
+      scrapeSkipped: reason,
+      scrapedAt: Date.now()
+    });
+
+    urlDetails = this._stampSchemaVersion(this.mergeUrls(urlDetails, args));
+
+    this._cacheUrlDetails(url, urlDetails, skippedCacheOutcomes[reason]);
+
+    return this.uniqueLPUSH(`${this.redisNS}urls`, url, () => done(null, urlDetails));
+  }
+
+  /**
+   * Checks whether robots.txt lets the scraper (as botName) fetch a url, and passes on any
+   * Crawl-delay to the scrape scheduler.  Calls back with true or false.
+   */
+  _isAllowedByRobots(url, done) {
+    const parsedUrl = urlUtil.parse(url);
+
+    this._getRobotsTxt(`${parsedUrl.protocol}//${parsedUrl.host}`, (robotsTxt) => {
+      const crawlDelayMS = robotsTxt.getCrawlDelayMS(this.botName);
+
+      if (crawlDelayMS) {
+        this.scrapeScheduler.setHostDelay(parsedUrl.hostname,
+          Math.min(crawlDelayMS, maxCrawlDelayMS));
+      }
+
+      done(robotsTxt.isAllowed(this.botName, parsedUrl.path || '/'));
+    });
+  }
+
+  /**
+   * Gets a site's robots.txt (as a RobotsTxt), from the cache or else fetched.  Missing files
+   * (4xx) allow everything, and ones that can't be fetched (5xx, timeouts) disallow everything.
+   */
+  _getRobotsTxt(origin, done) {
+    const fnName = `${moduleName}/_getRobotsTxt`;
+
+    const key = `${this.redisNS}${redisRobotsKey}${origin}`;
+
+    // Share one request between scrapes of the same site.
+    if (this._robotsRequests[origin]) return this._robotsRequests[origin].push(done);
+
+    this._robotsRequests[origin] = [ done ];
+
+    const finish = (text) => {
+      const robotsTxt = new RobotsTxt(text);
+      const callbacks = this._robotsRequests[origin];
+
+      delete this._robotsRequests[origin];
+
+      callbacks.forEach((callback) => callback(robotsTxt));
+    };
+
+    return this.store.get(key, (err, cachedText) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+
+      if (cachedText !== null && typeof cachedText !== 'undefined') return finish(cachedText);
+
+      const requestOptions = { timeout: 10000 };
+
+      if (this.botUserAgent) requestOptions.headers = { 'User-Agent': this.botUserAgent };
+
+      return this._requestWithRetry(`${origin}/robots.txt`, requestOptions,
+        (error, response, body) => {
+          let text = '';
+          let ttlMS = robotsCacheTTLMS;
+
+          if (!response || response.statusCode >= 500) {
+            winston.debug(`${fnName}: couldn't fetch robots.txt for ${origin}`);
+            text = 'User-agent: *\nDisallow: /';
+            ttlMS = robotsUnreachableTTLMS;
+          } else if (response.statusCode === 200) {
+            text = `${body || ''}`;
+          }
+
+          this.store.set(key, text, { ttlMS });
+
+          finish(text);
+        });
+    });
+  }
+
+  /**
+   * Requests a page, retrying timeouts, dropped connections and overloaded servers (429, 502, 503,
+   * 504) up to scrapeRetries times.  Requests wait their turn with the scrape scheduler.  Calls
+   * back with (error, response, body, attempts).
+   */
+  _requestWithRetry(url, options, done, attempt) {
+    const fnName = `${moduleName}/_requestWithRetry`;
+
+    const attemptCopy = attempt || 1;
+
+    const onResponse = (error, response, body) => {
+      const delayMS = this._getRetryDelay(error, response, attemptCopy);
+
+      if (delayMS === null) return done(error, response, body, attemptCopy);
+
+      winston.debug(`${fnName}: retrying ${url} in ${delayMS}ms after attempt ${attemptCopy}`);
+
+      return setTimeout(() => this._requestWithRetry(url, options, done, attemptCopy + 1),
+        delayMS);
+    };
+
+    this.scrapeScheduler.schedule(url, (release) => {
+      request(url, options, (error, response, body) => {
+        release();
+        onResponse(error, response, body);
+      });
+    });
+  }
+
+  /**
+   * Gets how long to wait before retrying a request (doubling each attempt, with jitter so
+   * requests to an overloaded site spread out), or null if it shouldn't be retried.  Honors
+   * Retry-After, unless it's longer than scrapeRetryMaxDelayMS.
+   */
+  _getRetryDelay(error, response, attempt) {
+    if (attempt > this.scrapeRetries) return null;
+
+    const isRetryableError = !!error && retryableErrorCodes.indexOf(error.code) !== -1;
+    const isRetryableStatus = !!response &&
+      retryableStatusCodes.indexOf(response.statusCode) !== -1;
+
+    if (!isRetryableError && !isRetryableStatus) return null;
+
+    const backoffMS = Math.min(this.scrapeRetryMaxDelayMS,
+      this.scrapeRetryBaseDelayMS * Math.pow(2, attempt - 1));
+    const delayMS = Math.round((backoffMS / 2) + (Math.random() * (backoffMS / 2)));
+
+    const retryAfterMS = this._parseRetryAfter(R.path(['headers', 'retry-after'], response));
+
+    if (retryAfterMS === null) return delayMS;
+
+    if (retryAfterMS > this.scrapeRetryMaxDelayMS) return null;
+
+    return Math.max(retryAfterMS, delayMS);
+  }
+
+  /**
+   * Parses a Retry-After header (seconds, or an HTTP date) into ms from now, or null if missing.
+   */
+  _parseRetryAfter(retryAfter) {
+    if (!retryAfter) return null;
+
+    if (/^\d+$/.test(retryAfter)) return parseInt(retryAfter, 10) * 1000;
+
+    const retryAtMS = Date.parse(retryAfter);
+
+    return isNaN(retryAtMS) ? null : Math.max(0, retryAtMS - Date.now());
+  }
+
+  uniqueLPUSH(key, val, cb) {
+    return this.store.listPushUnique(key, val, cb);
+  }
+
+
+  /**
+   * Scraper: gets time an article was published.
+   */
+  getPublishedTime($) {
+    const now = new Date();
+    const MS_IN_A_YEAR = 31536000000;
+    const lastYear = (new Date(now - MS_IN_A_YEAR)).getFullYear();
+    const currentYear = now.getFullYear();
+
+    let time;
+    let timeModified;
+
+    // Attempt to find published time.
+    const publishedTag = $(`[property="article:published_time"],
+[property="article:post_date"],
+[itemprop="datePublished"],
+[property="article:published_time"],
+[name="date"],
+[name="search_date"],
+[name="pubdate"],
+[property="datePublished"],
+[property="DC.date.issued"],
+[itemprop="startDate"]
+`);
+    time = publishedTag.first().attr('content');
+
+    // Fallbacks, with highest as the top priority.
+    let fallbackMatches = [];
+    let likelyMatches = [];
+    if (!time) {
+      const fallbackTimeTags = [
+        'time',
+        '[datetime]',
+        'h2[class*="datetime"], h2[id*="datetime"], h2[class*="date"], h2[id*="date"]',
+        '[class*="datetime"], [id*="datetime"], [class*="date"], [id*="date"]',
+        '[class*="published"], [id*="published"]',
+        'h2',
+        '[class*="meta"], [id*="meta"]'
+      ];
+
+      const processTagObj = (index, tagElt) => {
+        const curElt = $(tagElt)[0] || tagElt;
+        const hasChildren = curElt.children && curElt.children.length > 1;
+        if (hasChildren) {
+          $(tagElt)[0].children.forEach((child, index) => processTagObj(index, child));
+        } else {
+          let txt = $(tagElt).first().text();
+          const isLikelyYear = txt.match(new RegExp(`${currentYear}|${lastYear}`), 'gi');
+
+          if (txt) {
+            if (isLikelyYear) {
+              likelyMatches.push(txt);
+            } else {
+              fallbackMatches.push(txt);
+            }
+          }
+        }
+      };
+
+      fallbackTimeTags.forEach((tag) => {
+        const tagElts = $(tag);
+
+        tagElts.each(processTagObj);
+      });
+
+      time = likelyMatches[0] || fallbackMatches[0] || '';
+    }
+
+    // Attempt to find updated time.
+    const updatedTag = $(`[property="article:post_modified"],
+[itemprop="dateModified"],
+[itemprop="endDate"],
+[name="revised"],
+[name="last-modified"],
+[name="last-updated"]`);
+    timeModified = updatedTag.first().attr('content');
+
+    if (!timeModified) {
+      const updatedTag = $('[class*="updated"], [id*="updated"]');
+      timeModified = updatedTag.first().text();
+    }
+
+
+    // If no published time, but only modified time, use the latter.
+    if (!time && timeModified) {
+      time = timeModified;
+    }
+
+    // Note: brackets seem to throw off the parser.
+    time = time.replace(/\[|\]/g, '');
+
+    // Remove stuff that doesn't look like a date.
+    const stuffThatLookLikeDates = [
+      '\\d',
+      '-',
       '\\s',
       '\\+',
       'th',
@@ -783,984 +2133,2607 @@ ${searchString}`);
       '\\.',
       'Z'
     ];
-    const months = [
-      'january',
-      'jan',
-      'february',
-      'feb',
-      'march',
-      'mar',
-      'april',
-      'apr',
-      'may',
-      'june',
-      'jun',
-      'july',
-      'jul',
-      'august',
-      'aug',
-      'september',
-      'sept',
-      'sep',
-      'october',
-      'oct',
-      'november',
-      'nov',
-      'december',
-      'dec'
+    const months = [
+      'january',
+      'jan',
+      'february',
+      'feb',
+      'march',
+      'mar',
+      'april',
+      'apr',
+      'may',
+      'june',
+      'jun',
+      'july',
+      'jul',
+      'august',
+      'aug',
+      'september',
+      'sept',
+      'sep',
+      'october',
+      'oct',
+      'november',
+      'nov',
+      'december',
+      'dec'
+    ];
+    const acceptableStrings = stuffThatLookLikeDates.concat(months).join('|');
+    const regexp = new RegExp(acceptableStrings, 'gi');
+    time = time.match(regexp);
+    if (time) time = time.join('').trim();
+
+    // Convert to timestamp.
+    let timestamp;
+    if (time) {
+      timestamp = new Date(time);
+      timestamp = timestamp.getTime();
+    }
+
+    const isInvalidDate = Number.isNaN(timestamp);
+    if (isInvalidDate && time) {
+      // Try parsing human-readable time
+      timestamp = parseMessyTime(time);
+      timestamp = timestamp.getTime();
+    }
+
+    return timestamp || 0;
+  }
+
+  stripNonAlphaNumeric(str = '') {
+    return str.replace(/[^a-zA-Z\d:_]/gi, '');
+  }
+
+  /**
+   * Scraper: gets the Twittle handle of the article author.  Note: often this turns out to be the
+   * platform's Twitter handle instead of the actual author (e.g. "@wallstreetjournal instead of
+   * @joeschmoe").
+   */
+  getTwitterAuthor($) {
+    let author = '';
+    let via = '';
+    let screen_name = '';
+
+    // Look for a Twitter creator card.
+    const twitterCreatorTag = $('[name="twitter:creator"]');
+    author = twitterCreatorTag.attr('content');
+
+    // Next look for link tag.
+    let linkTagMatches = [];
+    if (!author) {
+      const twitterLinkTags = $('a[href*="twitter.com/"]');
+
+      twitterLinkTags.each((index, linkTag) => {
+        if (linkTag) {
+          const isComment = $(linkTag).closest('[class*="Comment"], [id*="Comment"], [class*="comment"], [id*="comment"]').length > 0;
+          if (isComment) return;
+
+          const isLikelyAuthor = $(linkTag).closest('[class*="Attribution"], [id*="Attribution"], [class*="attribution"], [id*="attribution"], footer').length > 0;
+
+          let href = linkTag.attribs.href;
+          if (href) {
+            // Fix for protocol-less urls (url util has problems with them).
+            const hasProtocol = !!href.match(/http:\/\/|https:\/\//);
+            if (!hasProtocol) {
+              href = href.replace(/(\/\/)?twitter.com/, `https://twitter.com`);
+            }
+
+            // Fix for hashbangs.
+            href = href.replace(/#\!\//, '');
+
+            // Ignore tweets, share, etc.
+            const isTweet = href.match(/(\/status\/)+/i);
+            const isShare = href.match(/(\/twitter.com\/share\??)+/i);
+            const isSearch = href.match(/(\/twitter.com\/search\??)+/i);
+            const isHome = href.match(/(\/twitter.com\/home\??)+/i);
+            const isIntent = href.match(/(\/intent\/)+/i);
+
+            // See if we can extract a Twitter name.
+            const parsedURL = urlUtil.parse(href, true);
+            if (isIntent || isShare || isSearch || isHome) {
+              via = via || R.path(['query', 'via'], parsedURL);
+              screen_name = screen_name || R.path(['query', 'screen_name'], parsedURL);
+            } else if (!isTweet) {
+              if (isLikelyAuthor) {
+                linkTagMatches.unshift(R.path(['pathname'], parsedURL));
+              } else {
+                linkTagMatches.push(R.path(['pathname'], parsedURL));
+              }
+            }
+          }
+        }
+      });
+
+      author = linkTagMatches[0];
+    }
+
+    // Next look for a Twitter site card.
+    if (!author) {
+      const twitterSiteTag = $('[name="twitter:site"]');
+      author = twitterSiteTag.attr('content');
+    }
+
+    if (!author) author = screen_name || via;
+
+    if (!author) {
+      author = '';
+    } else {
+      // Strip out junk url params
+      author = author.split('?')[0];
+    }
+
+    // Strip out unwanted characters.
+    author = this.stripNonAlphaNumeric(author);
+
+    return author;
+  }
+
+  /**
+   * Scraper: gets the title of the article.
+   */
+  getPageTitle($) {
+    let title;
+
+    // First check for open graph title.
+    const ogTitleTag = $('[property="og:title"]');
+    title = ogTitleTag.attr('content');
+
+    // Next check for Twitter card.
+    if (!title) {
+      const twitterTitleTag = $('[name="twitter:title"]');
+      title = twitterTitleTag.attr('content');
+    }
+    
+    // Next check for good old fashioned page title.
+    if (!title) {
+      const titleTag = $('title');
+      title = titleTag.first().text().trim();
+    }
+
+    return title.substr(0, 150) || '';
+  }
+
+  /**
+   * Scraper: gets the url a page names as its original (canonical) version, from
+   * <link rel="canonical"> or og:url, resolved against the page's own url.  Null if there's none.
+   */
+  getCanonicalUrl($, pageUrl) {
+    const candidates = [
+      $('link[rel~="canonical"]').first().attr('href'),
+      $('[property="og:url"]').first().attr('content')
+    ];
+
+    const canonicalUrls = candidates
+      .filter((candidate) => candidate && candidate.trim())
+      .map((candidate) => this.removeJunkURLParams(urlUtil.resolve(pageUrl, candidate.trim())))
+      .filter((candidateUrl) => {
+        const parsedUrl = urlUtil.parse(candidateUrl);
+
+        // Some sites name their home page as every page's canonical url, so that's ignored.
+        const isHomePage = (parsedUrl.path || '/') === '/' && urlUtil.parse(pageUrl).path !== '/';
+
+        return /^https?:$/.test(parsedUrl.protocol) && !isHomePage;
+      });
+
+    return canonicalUrls[0] || null;
+  }
+
+  /**
+   * Scraper: gets an excerpt from the beginning of an article.
+   */
+  getPageExcerpt($) {
+    let excerpt = '';
+
+    // Check for Open Graph description.
+    const ogDescriptionTag = $('[property="og:description"]');
+    excerpt = ogDescriptionTag.attr('content');
+
+    // Check for Twitter description.
+    if (!excerpt) {
+      const twitterDescriptionTag = $('[name="twitter:description"]');
+      excerpt = twitterDescriptionTag.attr('content');;
+    }
+
+    // Check for regular meta description tag.
+    if (!excerpt) {
+      const metaDescriptionTag = $('[name="description"]');
+      excerpt = metaDescriptionTag.attr('content');
+    }
+
+    // Fallback to scraping the first paragraph.
+    if (!excerpt) {
+      // Find the first paragraph containing more than 20 words, then use that as an excerpt.
+      // Note: don't use fat arrow here because 'this' context needs to NOT be outer closure
+      // context.
+      const paragraphs = $('*:not(aside) p');
+      paragraphs.each(function processParagraph() {
+        // TODO: DON'T traverse ALL ps
+        if (!excerpt && $(this).text().split(/\s+/).length > 10) {
+          excerpt = $(this).text();
+        }
+      });
+    }
+
+    if (!excerpt) return '';
+
+    // Strip out certain HTML tags, plus preserve when needed.
+    const tagsToStrip = [
+      'a',
+      'strong',
+      'br',
+      'b',
+      'i'
     ];
-    const acceptableStrings = stuffThatLookLikeDates.concat(months).join('|');
-    const regexp = new RegExp(acceptableStrings, 'gi');
-    time = time.match(regexp);
-    if (time) time = time.join('').trim();
 
-    // Convert to timestamp.
-    let timestamp;
-    if (time) {
-      timestamp = new Date(time);
-      timestamp = timestamp.getTime();
+    const tagsToStripRegEx = tagsToStrip.join('|');
+
+    const censoredOpeningTags = new RegExp(`(&lt;|<)(\\s)*((?:(${tagsToStripRegEx})))+(\\s|\\w|=|"|'|&quot;|\:|\\/|\\.)*(>|&gt;)?`, 'gi');
+    const censoredClosingTags = new RegExp(`(&lt;|<)(\\s)*\/(\\s)*((?:(${tagsToStripRegEx})))+(\\s|\\w|=|"|')*(>|&gt;)?`, 'gi');
+    excerpt = excerpt.replace(censoredOpeningTags, '');
+    excerpt = excerpt.replace(censoredClosingTags, '');
+
+    // Create placeholders for ok HTML tags.
+    excerpt = excerpt.replace(new RegExp(`(&lt;|<)(?:\s*)?`, 'gi'), '--lt--');
+    excerpt = excerpt.replace(new RegExp(`>|&gt;`, 'gi'), '--gt--');
+
+    excerpt = excerpt.replace(/&gt;|>/gi, '--gt--');
+    const $$ = cheerio.load(`<div id="stripFn">${excerpt}</div>`);
+    excerpt = $$('#stripFn').text();
+
+    // Replace placeholders for ok HTML tags.
+    excerpt = excerpt.replace(/--lt--/gi, '&lt;');
+    excerpt = excerpt.replace(/--gt--/gi, '&gt;');
+
+    // Trim excerpt.
+    const maxLength = 200;
+    excerpt = excerpt.split(' ').reduce((a, b) => {return (a.length > maxLength) ? a : `${a} ${b}`});
+
+    return excerpt;
+  }
+
+  /**
+   * Filters out non-articles (e.g. links to other tweets).
+   */
+  filterNonArticles(urls) {
+    const fnName = `${moduleName}/filterNonArticles`;
+
+    const numUrlsBefore = urls.length;
+
+    const isNonArticle = (url) => {
+      const urlStr = (typeof url === 'object') ? url.url : url;
+      return urlStr.match('twitter.com');
+    }
+    const filteredUrls = R.reject(isNonArticle, urls);
+    const numUrlsRejected = numUrlsBefore - filteredUrls.length;
+    //winston.debug(`${fnName}: discarded ${numUrlsRejected} non-article urls (tweets only)`);
+
+    return filteredUrls;
+  }
+
+  /**
+   * Filters out old articles.
+   */
+
+  filterStaleUrls(urlObjects, prop = 'timestamp', expiry = msInAMonth) {
+    const fnName = `${moduleName}/filterStaleUrls`;
+
+    const numUrlsBefore = urlObjects.length;
+    
+    const isURLStale = (url) => {
+      if(!url) {
+        winston.error(`${fnName}: url object is null`);
+        return true;
+      }
+      const timestamp = (typeof prop === 'function') ? prop(url) : url[prop];
+      const timestampArr = (Array.isArray(timestamp)) ? timestamp : [ timestamp ];
+
+      let isFresh;
+      if (typeof expiry === 'function') {
+        // Special expiry function passed in, so use that.
+        isFresh = R.any(timeMS => expiry(url, timeMS))(timestampArr);
+      } else {
+        // Normal: find expiry by cutoff time.
+        const cutoffTimeMS = Date.now() - expiry;
+        isFresh = R.any(timeMS => timeMS > cutoffTimeMS)(timestampArr);
+      }
+
+      return !isFresh;
+    }
+    const flattenedUrlObjects = R.reject(isURLStale, urlObjects);
+    const numUrlsRejected = numUrlsBefore - flattenedUrlObjects.length;
+    //winston.debug(`${fnName}: discarded ${numUrlsRejected} stale urls`);
+
+    return flattenedUrlObjects;
+  }
+
+  /**
+   * Pulls out urls from each tweet.
+   */
+  tweetsToURLs(tweets, args, done) {
+    const fnName = `${moduleName}/tweetsToURLs`;
+
+    //winston.debug(`${fnName}: processing ${tweets.length} tweets...`);
+
+    this._timerStart(fnName);
+
+    const parallelFns = R.map((tweet) => ((parallelCb) => this.tweetToURLs(tweet, args, parallelCb)), tweets);
+    async.parallelLimit(parallelFns, 5, (err, reply) => {
+      //winston.debug(`${fnName} parallelLimit reply:`, reply);
+
+      this._timerEnd(fnName);
+
+      const flattenedUrlObjectsUnfiltered = R.flatten(reply);
+
+      // Remove rejected urls.
+      let flattenedUrlObjects = R.reject(R.isNil, flattenedUrlObjectsUnfiltered);
+
+      // Filter out old urls.
+      flattenedUrlObjects = this.filterStaleUrls(flattenedUrlObjects, 'articleTimestamp');
+      const staleURLObjects = R.differenceWith((x, y) => x && y && x.url === y.url, flattenedUrlObjectsUnfiltered, flattenedUrlObjects);
+      const staleURLs = R.map((obj) => {
+        if (!obj) return;
+        const timestamp = new Date(obj.articleTimestamp);
+        const url = obj.url;
+        return `${timestamp}: ${url}`
+      }, staleURLObjects);
+
+      winston.debug(`${fnName}: ${staleURLs.length} stale Twitter urls`, JSON.stringify(staleURLs, null, 2));
+
+      // Filter out urls not articles (e.g. tweets themselves).
+      flattenedUrlObjects = this.filterNonArticles(flattenedUrlObjects);
+
+      // Filter out ignore words/websites.
+      flattenedUrlObjects = this.filterUrlsWithIgnoreWords(flattenedUrlObjects, args.ignoreWords);
+
+      return done(err, flattenedUrlObjects);
+    });
+  }
+
+  /*
+   * Pulls out urls from tweets, and scrapes each individual url.
+   */
+  tweetToURLs(tweet, args, done) {
+    const fnName = `${moduleName}/tweetToURLs`;
+
+    // Make a copy of the tweet.
+    let tweetObj = Object.assign({}, tweet);
+
+    // If this tweet includes a quoted tweet, reference the original quoted tweet instead.
+    if (tweetObj.quoted_status) tweetObj = tweetObj.quoted_status;
+    if (tweetObj.retweeted_status) tweetObj = tweetObj.retweeted_status;
+
+    // Add Twitter list owner and name (or search query/user) to tweet object.
+    tweetObj.listOwner = args.owner;
+    tweetObj.listName = args.name;
+    tweetObj.listLabel = this._getTwitterListLabel(args);
+
+    // Find each url in tweet, and treat it individually.
+    const urlObjs = R.path(['entities', 'urls'], tweetObj);
+    let tweetURLs = R.pluck('expanded_url')(urlObjs);
+
+
+    // Filter out non-articles (e.g. tweets)
+    tweetURLs = this.filterNonArticles(tweetURLs);
+
+    // Filter out links which already match ignore words.
+    tweetURLs = this.filterUrlsWithIgnoreWords(tweetURLs, args.ignoreWords);
+
+    // Create parallel async functions for each URL present.
+    const parallelFns = [];
+    R.forEach((url) => {
+      parallelFns.push((parallelCb) => {
+        // Get scraped info for this url.
+        this.getUrlDetails(url, { tweetObj }, (err, urlDetailsObj) => {
+          // Return early if url was rejected.
+          if (!urlDetailsObj) return parallelCb();
+
+          return parallelCb(null, urlDetailsObj);
+        });
+      });
+    }, tweetURLs);
+
+    async.parallelLimit(parallelFns, 5, done);
+  }
+
+  /*
+   * Assembles URL search parameters from an object.
+   * { foo: 'bar', boo: 'baz' } -> 'foo=bar&boo=baz'
+   */
+  objToFormattedURLParams(params) {
+    const keys = Object.keys(params);
+
+    // Sanity check; makes sure there's query params to process.
+    if (!params || keys.length === 0) return '';
+
+    // Only one param to process.
+    if (keys.length === 1) return `${keys[0]}=${params[keys[0]]}`;
+
+    // Multiple params to process.
+    return Object.keys(params).reduce((a, b) => {
+      let output = '';
+
+      if (typeof params[a] !== 'undefined') {
+        // First iteration.
+        output = `${a}=${params[a]}`;
+      } else {
+        // nth iteration.
+        output = `${a}`;
+      }
+
+      return `${output}&${b}=${encodeURIComponent(params[b])}`;
+    });
+  }
+
+  /*
+   * Removes query params from a url.  These params are often used for campaign tracking.
+   * TODO: url transforms for login redirects, e.g.
+   * https://myaccount.nytimes.com/auth/login?URI=https://www.nytimes.com/2017/01/01/technology/google-amp-mobile-publishing.html?_r=0
+   * https://www.forbes.com/forbes/welcome/?toURL=http://forbes.com/
+   *
+   * TODO: make case insensitive
+   */
+  removeJunkURLParams(url, removeConfig) {
+    const removeParams = removeConfig || defaultJunkParams;
+
+    let outputURL;
+    const urlParsed = urlUtil.parse(url, true);
+    const query = urlParsed.query;
+
+    // Remove junk params.
+    removeParams.forEach((param) => {
+      if (typeof param === 'string') {
+        delete query[param];
+      } else if (typeof param === 'object' && !param['__comment']) {
+        const hostname = (typeof urlParsed.hostname === 'string') ?
+          [ urlParsed.hostname ] :
+          urlParsed.hostname;
+
+        // Domain-specific param removal.
+        const domainMatches = param.domain.indexOf(urlParsed.hostname) !== -1;
+
+        if (domainMatches) {
+          param.params && param.params.forEach(param2 => delete query[param2]);
+
+          if (param.removeHash) urlParsed.hash = '';
+        }
+      }
+    });
+
+    const queryFormatted = this.objToFormattedURLParams(query);
+
+    urlParsed.search = (queryFormatted) ? `?${queryFormatted}` : '';
+
+    outputURL = urlParsed.format();
+
+    // Remove trailing slashes for consistency.
+    // const hasTrailingSlash = outputURL[outputURL.length - 1] === '/';
+    // if (hasTrailingSlash) {
+    //   outputURL = outputURL.substr(0, outputURL.length - 1);
+    // }
+
+    return outputURL;
+  }
+
+  /*
+   * Helper to utility to track down any required arguments passed to a function that are undefined.
+   */
+  findUndefinedArgs(passedInArgs, requiredArgs) {
+    const undefinedArgNames = [];
+
+    requiredArgs.forEach((arg) => {
+      if (typeof passedInArgs[arg] === 'undefined') undefinedArgNames.push(arg);
+    });
+
+    return undefinedArgNames;
+  }
+
+  /**
+   * Assigns a rank (1-10) to each url, with 10 being the best.
+   */
+  rankUrls(urlObjects) {
+    let rankedUrls = [];
+
+    // Segment distributions for each source's ranking signals, highest priority first.
+    const signalSegments = this._getRankingSignals().map((signal) => ({
+      signal,
+      segments: (signal.type === 'length') ?
+        this.getObjLengthSegments(signal.key, urlObjects) :
+        this.getObjSegments(signal.key, urlObjects)
+    }));
+
+    urlObjects.forEach((urlObj) => {
+      const urlObjCopy = Object.assign({}, urlObj);
+
+      // Ignore urls thrown out by a previous filter.
+      if (!urlObjCopy.url) return;
+
+      urlObjCopy.rankRaw = this.getURLRank(urlObjCopy, signalSegments);
+
+      rankedUrls.push(urlObjCopy);
+    });
+
+    rankedUrls = this.normalizeRanks(rankedUrls);
+
+    // Editors can set a minimum rank for urls they added by hand.
+    rankedUrls = rankedUrls.map((urlObj) => {
+      if (!urlObj.manualRankFloor || urlObj.rank >= urlObj.manualRankFloor) return urlObj;
+      return Object.assign({}, urlObj, { rank: urlObj.manualRankFloor });
+    });
+
+    return rankedUrls;
+  }
+
+  /**
+   * Gets the ranking signals of all registered sources, sorted by priority.
+   */
+  _getRankingSignals() {
+    const signals = R.flatten(R.values(this.sources).map((adapter) => adapter.signals || []));
+
+    return R.sortWith([R.descend(R.prop('priority'))])(signals);
+  }
+
+  /**
+   * Sorts, normalizes rank distributions, and converts to 1-10 scale.
+   */
+  normalizeRanks(urlObjs) {
+    let urlsCopy = urlObjs.concat();
+
+    // Sort by rank.
+    urlsCopy = R.sortWith([
+      R.descend(R.prop('rankRaw')),
+      R.descend(R.prop('tweetRetweetCount')),
+      R.descend(R.prop('tweetFavoriteCount')),
+      R.descend(R.prop('timestamp'))
+    ])(urlsCopy);
+
+    // Figure out size of each 10% segment.
+    let urlsCopyRanks = R.pluck('rankRaw')(urlsCopy);
+    urlsCopyRanks = R.uniq(urlsCopyRanks);
+    const segments = this.getStandardizedSegments(urlsCopyRanks);
+
+    urlsCopy = urlsCopy.map((urlObj) => {
+      let rank = this.getSegmentPosition(urlObj.rankRaw, segments) + 1;
+      return Object.assign({}, urlObj, { rank });
+    });
+
+    return urlsCopy;
+  }
+
+  numDiff(a, b) {
+    return a - b;
+  }
+
+  getStandardizedSegments(arr, totalSegments = 10) {
+    let arrSorted = R.sort(this.numDiff, arr);
+
+    if (arrSorted.length < totalSegments) {
+      const arrFillerSize = totalSegments - arrSorted.length;
+      let fillerArr = new Array(arrFillerSize);
+      fillerArr = fillerArr.fill(0);
+      arrSorted = fillerArr.concat(arrSorted);
+    }
+
+    const arrSegmentSize = arrSorted.length / totalSegments;
+    const isSegmentAnInt = Number.isInteger(arrSegmentSize);
+
+    const segments = [];
+    for (let index = arrSegmentSize - 1; index < arrSorted.length; index += arrSegmentSize) {
+      let segmentVal;
+      if (isSegmentAnInt) {
+        segmentVal = arrSorted[index];
+      } else {
+        const indexInt = Math.floor(index);
+        segmentVal = arrSorted[indexInt] + (arrSorted[indexInt] / totalSegments);
+      }
+      segments.push(segmentVal);
+    }
+    return segments;
+  }
+
+  /**
+   * Returns the closest index for a rank within a group of rank segments (for ranking).
+   * E.g. rank: 3, segments: [1,3,10] will return index 1
+   */
+  getSegmentPosition(rank, segments) {
+    const fnName = `${moduleName}/getSegmentPosition`;
+    const segmentsSorted = R.sort(R.gt, segments);
+
+    let position = -1;
+
+    for (let a=0, len=segmentsSorted.length; a<len; a++) {
+      if(rank > segmentsSorted[a]) {
+        continue;
+      } else {
+        position = a;
+        break;
+      }
+    }
+
+    if (position == -1) {
+      position = segmentsSorted.length - 1;
+    }
+
+    //position++;
+
+    return position;
+  }
+
+  /**
+   * Determines the ranking of a url based on its presence on Twitter/Pocket lists and feeds, and
+   * number of times it's been faved/retweeted (or any other registered source signals).  Urls
+   * favorited or highlighted in Pocket get a boost, as the highest priority segment.
+   * TODO: trusted sources ranking
+   */
+  getURLRank(urlObj, signalSegments) {
+    const fnName = `${moduleName}/getURLRank`;
+
+    // Editorial boosts from Pocket, as a single digit so they don't spill into other segments.
+    let boost = 0;
+    if (urlObj.pocketFavorite) boost += this.pocketFavoriteBoost;
+    if (R.path(['pocketHighlights', 'length'], urlObj)) boost += this.pocketHighlightBoost;
+
+    const boostPosition = R.clamp(0, 9, Math.round(boost * 10));
+
+    const rankingArr = signalSegments.map(({ signal, segments }) => {
+      const val = (signal.type === 'length') ?
+        R.path([signal.key, 'length'], urlObj) :
+        urlObj[signal.key];
+
+      return this.getSegmentPosition(val || 0, segments);
+    });
+
+    // Join ranks together with string concatenation.
+    let ranking = [boostPosition].concat(rankingArr).join('');
+
+    ranking = (parseFloat(ranking) || 0) * 1000;
+
+    return ranking;
+  }
+
+  normalizeVal(val, min, max, newMin, newMax) {
+    const fnName = `${moduleName}/normalizeVal`;
+
+    // Sanity checking.
+    const args = [val, min, max, newMin, newMax];
+    args.forEach((arg, index) => {
+      if (typeof arg !== 'number' || Number.isNaN(arg)) {
+        winston.error(`${fnName}: input argument index ${index} is not a number.`);
+        return 0;
+      }
+    });
+
+    let percentage = (val - min) / (max - min);
+
+    // Sanity check - check for division by 0.
+    if (Number.isNaN(percentage)) {
+      percentage = 0;
+    }
+
+    const outputVal = newMin + ((newMax - newMin) * percentage);
+
+    return outputVal;
+  }
+
+  /**
+   * Determines the largest number of Tweet favorites.  Needed for relative ranking of Twitter
+   * links.
+   */
+  getMaxTweetFavoriteCount(urlObjects) {
+    const fnName = `${moduleName}/getMaxTweetFavoriteCount`;
+    if (urlObjects.length === 0) return 0;
+
+    const sort = R.sortBy((a) => a.tweetFavoriteCount || 0);
+    const urlsObjectsSorted = sort(urlObjects);
+    const maxItem = urlsObjectsSorted[urlsObjectsSorted.length - 1];
+
+    if (!maxItem) {
+      winston.error(`${fnName}: maxItem is null`);
+      console.log(JSON.stringify(urlsObjectsSorted, null, 2))
+      return 0;
+    }
+
+    return R.prop('tweetFavoriteCount', maxItem) || 0;
+  }
+
+  /**
+   * Determines the segment distribution of favorites.  Used for ranking, to ensure that numbers
+   * are scaled correctly (e.g. so that a high value such as 1000 [rank 10] doesn't outweigh
+   * everything else, and push all their ranks to 1).
+   */
+  getObjSegments(key, urlObjects) {
+    const fnName = `${moduleName}/getObjSegments`;
+    if (urlObjects.length === 0) return 0;
+
+    const arr = R.pluck(key, urlObjects).map((val) => val || 0);
+    return this.getStandardizedSegments(arr);
+  }
+
+  getPocketSegments(urlObjects) {
+    const fnName = `${moduleName}/getPocketSegments`;
+
+    return this.getObjLengthSegments('pocketTimeAdded', urlObjects);
+  }
+
+  /**
+   * Determines the segment distribution of an array property's length (e.g. the number of feeds
+   * a url appeared in).
+   */
+  getObjLengthSegments(key, urlObjects) {
+    const fnName = `${moduleName}/getObjLengthSegments`;
+    if (urlObjects.length === 0) return 0;
+
+    let arr = R.pluck(key, urlObjects);
+    arr = arr.map((ar) => (ar && R.prop('length', ar)) || 0);
+
+    return this.getStandardizedSegments(arr);
+  }
+
+  /**
+   * Gets the lists to fetch for each registered source: those passed to fetchLists, plus any
+   * added by the source's getLists (e.g. feeds imported from OPML).
+   */
+  _getSourceLists(lists, done) {
+    const fnName = `${moduleName}/_getSourceLists`;
+
+    return async.mapValues(this.sources, (adapter, sourceName, mapCb) => {
+      const listConfigs = lists[sourceName] || [];
+
+      if (!adapter.getLists) return mapCb(null, listConfigs);
+
+      return adapter.getLists.call(this, listConfigs, (err, allListConfigs) => {
+        if (err) winston.error(`${fnName} ${sourceName}: ${err}`);
+        mapCb(null, allListConfigs || listConfigs);
+      });
+    }, done);
+  }
+
+  /**
+   * Fetches urls from the lists of each registered source (Pocket, Twitter, RSS/Atom feeds, etc).
+   * Calls back with (err, urls, fetchInfo).
+   *
+   * A rate limited list isn't an error: it's skipped, keeping the urls from every other list, and
+   * reported in fetchInfo instead.  fetchInfo.rateLimited is { endpoint, resetTime } (resetTime in
+   * ms since epoch, the latest if several lists were limited), or null if none were, e.g.
+   *   fetchLists(lists, (err, urls, { rateLimited }) => {
+   *     if (rateLimited) scheduleRetry(rateLimited.resetTime);
+   *   });
+   */
+  fetchLists(lists, done) {
+    const fnName = `${moduleName}/fetchLists`;
+    const parallelFns = [];
+
+    this._timerStart(fnName);
+
+    const isFetchingKey = `${this.redisNS}${redisIsFetchingKey}`;
+
+    this.store.lock(isFetchingKey, null, (lockErr, isLocked) => {
+      if (lockErr) winston.error(`${fnName} lock error: ${lockErr}`);
+
+      if (!isLocked) {
+        winston.debug(`${fnName}: list fetching already active.`);
+        return done(`${fnName}: list fetching already active.`);
+      } else {
+        winston.debug(`${fnName}: starting list fetching`);
+      }
+
+      return this._getSourceLists(lists, (sourceListsErr, sourceLists) => {
+        // Separate call for each list of each registered source (Pocket, Twitter, feeds, etc).
+        const parallelFnSources = [];
+        const rateLimitErrors = [];
+        R.keys(this.sources).forEach((sourceName) => {
+          const adapter = this.sources[sourceName];
+
+          (sourceLists[sourceName] || []).forEach((listConfig) => {
+            winston.debug(`${fnName} ${sourceName}`, listConfig);
+            parallelFnSources.push(sourceName);
+            parallelFns.push((parallelCb) => adapter.fetch.call(this, listConfig, (err, urls) => {
+              // Don't let a rate limited list stop the other lists from being processed.
+              if (err instanceof RateLimitedError) {
+                rateLimitErrors.push(err);
+                return parallelCb(null, []);
+              }
+
+              return parallelCb(err, urls);
+            }));
+          });
+        });
+
+        // No-op, no lists to process.
+        if (parallelFns.length === 0) {
+          winston.debug(`${fnName}: no lists to fetch`);
+          this.store.unlock(isFetchingKey);
+          return done(`${fnName}: no lists to fetch`);
+        }
+
+        return async.parallelLimit(parallelFns, 2, (err, urls) => {
+          if (err) winston.error(`${fnName} parallelLimit error: ${err}`);
+
+          // Urls removed (e.g. by an editor) before or during fetching are left out.
+          const removedUrlsKey = `${this.redisNS}${redisRemovedUrlsKey}`;
+          return this.store.listRange(removedUrlsKey, (removedErr, removedUrls) => {
+            if (removedErr) winston.error(`${fnName} removed urls error: ${removedErr}`);
+
+            // Combine with old url objects if present.
+            const oldList = R.path(['oldList', 'list'], lists) || [];
+            const oldListLength = R.path(['length'], oldList) || 0;
+
+            winston.debug(`${fnName}: ${oldListLength} old urls.`);
+            R.uniq(parallelFnSources).forEach((sourceName) => {
+              const sourceLength = R.sum(parallelFnSources.map((name, index) => (
+                (name === sourceName && R.path([index, 'length'], urls)) || 0
+              )));
+              winston.debug(`${fnName}: ${sourceLength} new ${sourceName} urls.`);
+            });
+
+            // Combine all lists together.
+            let allUrls = R.flatten(urls, oldList);
+
+            // Reject null urls.  TODO: investigate further up why this is happening.
+            allUrls = R.reject(R.isNil, allUrls);
+
+            // Remove dupes.
+            winston.debug(`${fnName}: ${allUrls.length} urls before dupe removal.`);
+
+            // TODO: uniqWith instead?
+            allUrls = R.unionWith(R.eqBy(R.prop('url')), allUrls, oldList);
+            winston.debug(`${fnName}: ${allUrls.length} after dupe removal.`);
+
+            allUrls = R.reject((urlObj) => R.contains(urlObj.url, removedUrls || []), allUrls);
+
+            // Filter out old urls.
+            winston.debug(`${fnName}: ${allUrls.length} urls before removing stale urls.`);
+            const getTime = (obj) => {
+              // Sources may supply their own time (e.g. when the url was saved to Pocket).
+              const sourceTimes = R.values(this.sources).map((adapter) => (
+                adapter.getTime && adapter.getTime(obj)
+              ));
+
+              return R.find(Boolean, sourceTimes) || obj.articleTimestamp;
+            };
+            // Urls from some sources are kept however old they are (e.g. imports), or for as
+            // long as the source keeps them (e.g. urls added by hand).
+            const now = Date.now();
+            const isKept = (urlObj) => R.values(this.sources).some((adapter) => {
+              if (!R.contains(adapter.source, urlObj.source || [])) return false;
+              if (adapter.keepsOldUrls) return true;
+
+              return !!adapter.getRetentionMS &&
+                now - adapter.getTime(urlObj) < adapter.getRetentionMS();
+            });
+
+            allUrls = this.filterStaleUrls(allUrls, getTime, (urlObj, timeMS) => (
+              isKept(urlObj) || timeMS > now - msInAMonth
+            ));
+
+            // 1-10 ranking.
+            allUrls = this.rankUrls(allUrls);
+
+            // Remove old low-ranking articles.
+            allUrls = this.filterStaleUrls(allUrls, getTime, (urlObj, timeMS) => {
+              const olderThanAWeek = now - timeMS > msInAWeek;
+              const isStale = urlObj.rank < 6 && olderThanAWeek;
+              return isKept(urlObj) || !isStale;
+            });
+            winston.debug(`${fnName}: ${allUrls.length} urls after removing stale urls.`);
+
+            this._timerEnd(fnName);
+            this.store.unlock(isFetchingKey);
+
+            const rateLimitError = R.last(R.sortBy(R.prop('resetTime'), rateLimitErrors));
+            if (rateLimitError) winston.error(`${fnName}: ${rateLimitError.message}`);
+            const rateLimited = rateLimitError
+              ? R.pick(['endpoint', 'resetTime'], rateLimitError)
+              : null;
+
+            return done(null, allUrls, { rateLimited });
+          });
+        });
+      });
+    });
+  }
+
+  /*
+   * Gets tweets from a user's Twitter list.  With keyword filtering to discard irrelevant tweets.
+   * Per-list options: `pages` (number of pages to fetch) and `fullRefresh` (ignore the since_id
+   * checkpoint and refetch from the top).
+   */
+  fetchTwitterList(args, done) {
+    const fnName = `${moduleName}/fetchTwitterList`;
+    const listLabel = this._getTwitterListLabel(args);
+    winston.debug(`${fnName} ${listLabel}`);
+
+    const argsCopy = Object.assign({}, args);
+
+    this._timerStart(fnName);
+
+    this._asyncGetTwitterList(argsCopy, (err, tweets, fetchInfo) => {
+      this._timerEnd(fnName);
+
+      // Sanity checks
+      if (err instanceof RateLimitedError) return done(err);
+      if (err) return done(`${fnName} ${err}`);
+
+      // Nothing new since the last fetch.
+      if (tweets.length === 0 && R.path(['sinceID'], fetchInfo)) {
+        winston.debug(`${fnName}: no new tweets in ${listLabel}`);
+        return this._saveTwitterCheckpoint(listLabel, fetchInfo, () => done(null, []));
+      }
+
+      if (tweets.length === 0) {
+        const noTweetsError = `${fnName} No tweets - network problems?`;
+        winston.error(noTweetsError);
+        return done(noTweetsError);
+      }
+
+      //winston.debug(`${fnName}: ${tweets.length} tweets returned before processing.`);
+
+      // Filter out obviously irrelevant tweets.  After url scraping, we'll have to run this again.
+      let filteredTweets = this.filterTweets(tweets, this.ignoreWords);
+
+      // Pare down list to a manageable size.
+      //filteredTweets = filteredTweets.splice(0, 300);
+
+      argsCopy.ignoreWords = this.ignoreWords;
+
+      // Data massaging for each tweet.  Checkpointed once done, so failed tweets are refetched.
+      return this.tweetsToURLs(filteredTweets, argsCopy, (urlsErr, urls) => {
+        if (urlsErr) return done(urlsErr, urls);
+
+        return this._saveTwitterCheckpoint(listLabel, fetchInfo, () => done(null, urls));
+      });
+    });
+  }
+
+  /*
+   * Gets a user's Pocket list.  No keyword filtering needed here, as Pocket is more curated
+   * already.  Pages through the list `count` items at a time (default 100) until it's exhausted
+   * or `maxItems` (default 1000) have been fetched.  Only items saved in the last month are
+   * fetched, unless `since` (ms since epoch) is given or `fullArchive` is set.  Pocket-only filters
+   * `favorite`, `state` and `contentType` are passed through to the API.
+   * TODO: replace fetch and Promises
+   */
+  fetchPocketList(args, done) {
+    const fnName = `${moduleName}/fetchPocketList`;
+    winston.debug(`${fnName}: ${args.username}`);
+
+    done = done || (() => {});
+
+    const argsCopy = Object.assign({}, args);
+    const username = argsCopy.username || '';
+    const tag = argsCopy.tag || '';
+    const pageSize = argsCopy.count || pocketDefaultPageSize;
+    const maxItems = argsCopy.maxItems || pocketDefaultMaxItems;
+
+    // Sanity checks.
+    const argsNotPresent = this.findUndefinedArgs(args, ['consumerKey', 'accessToken', 'apiUrl']);
+
+    if (argsNotPresent.length > 0) {
+      const argsNotPresentStr = argsNotPresent.join(', ');
+      const argsNotPresentError = `${fnName} error: required args are not present: ${argsNotPresentStr}`;
+      winston.error(argsNotPresentError);
+      return done(argsNotPresentError);
+    }
+
+    this._timerStart(fnName);
+
+    // Keeps requesting pages until one comes back short, merging their lists together.
+    const fetchPages = (offset, list) => {
+      const count = Math.min(pageSize, maxItems - offset);
+
+      return this._fetchPocketPage(argsCopy, offset, count).then((pocketAPIResponse) => {
+        winston.debug(`${fnName} pocket response for ${username} offset ${offset} status: ${pocketAPIResponse.status} complete: ${pocketAPIResponse.complete} error: ${pocketAPIResponse.error}`);
+
+        const pageItemCount = R.values(pocketAPIResponse.list || {}).length;
+        const mergedList = Object.assign({}, list, pocketAPIResponse.list);
+        const nextOffset = offset + pageItemCount;
+
+        if (pageItemCount < count || nextOffset >= maxItems) {
+          return Object.assign({}, pocketAPIResponse, { list: mergedList });
+        }
+
+        return fetchPages(nextOffset, mergedList);
+      });
+    };
+
+    return fetchPages(0, {})
+    .then((pocketAPIResponse) => {
+      this._timerEnd(fnName);
+
+      return this.pocketToURLs(pocketAPIResponse, {
+        tag,
+        username
+      }, (err, response) => {
+        if (err) winston.error(`${fnName} pocketToURLs: ${err}`);
+        done(err, response);
+      });
+    })
+    .catch(error => {
+      const pocketResponseError = `${fnName}: ${error.message}`;
+      winston.error(pocketResponseError);
+      done(pocketResponseError);
+    });
+  }
+
+  /**
+   * Requests one page of a Pocket list, resolving with the Pocket API response.
+   * https://getpocket.com/developer/docs/v3/retrieve
+   */
+  _fetchPocketPage(args, offset, count) {
+    const fnName = `${moduleName}/_fetchPocketPage`;
+    const { consumerKey, accessToken, apiUrl, fetchStub, favorite, state, contentType } = args;
+    const { since, fullArchive } = args;
+
+    // Use fetchStub for tests.
+    const fetchAction = fetchStub || fetch;
+
+    const body = {
+      // See http://www.jamesfmackenzie.com/getting-started-with-the-pocket-developer-api/
+      consumer_key: consumerKey,
+      access_token: accessToken,
+      tag: args.tag || '',
+      sort: 'newest',
+      // Include favorite times and highlights.
+      detailType: 'complete',
+      annotations: 1,
+      count,
+      offset
+    };
+
+    // Items saved since then (in seconds), or everything.
+    if (!fullArchive) body.since = Math.floor((since || Date.now() - msInAMonth) / 1000);
+
+    // Optional Pocket-only filters.
+    if (typeof favorite !== 'undefined') body.favorite = favorite ? 1 : 0;
+    if (state) body.state = state;
+    if (contentType) body.contentType = contentType;
+
+    const fetchPocket = fetchAction(apiUrl, {
+      method: 'post',
+      mode: 'cors',
+      body: JSON.stringify(body),
+      headers: {
+        'X-Accept': 'application/json',
+        'Content-Type': 'application/json; charset=UTF8'
+      }
+    })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${fnName}: ${apiUrl} HTTP status ${response.status}`);
+      }
+
+      return response.json();
+    });
+
+    // TODO: make timeout configurable.
+    const timeout = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('request timeout')), 8000);
+    });
+
+    return Promise.race([
+      fetchPocket,
+      timeout
+    ]);
+  }
+
+  /**
+   * Converts a raw Pocket object into a formatted URL object.
+   */
+  pocketToURL(pocketUrlObj, args, done) {
+    const fnName = `${moduleName}/pocketToURL`;
+
+    //winston.debug(fnName);
+
+    const urlDetailsArgs = {
+      pocketObj: Object.assign({}, pocketUrlObj, args)
+    };
+
+    // Get scraped info for this url.
+    return this.getUrlDetails(pocketUrlObj.resolved_url, urlDetailsArgs, (err, urlDetailsObj) => {
+      if (err) winston.error(`${fnName} getUrlDetails: ${err}`);
+
+      // Return early if url was rejected.
+      if (!urlDetailsObj) return done();
+
+      return done(null, urlDetailsObj);
+    });
+  }
+
+  /**
+   * Converts raw Pocket objects into formatted URL objects.
+   */
+  pocketToURLs(pocketAPIResponse, args, done) {
+    const fnName = `${moduleName}/pocketToURLs`;
+
+    //winston.debug(fnName);
+
+    const pocketURLsUnfiltered = R.values(pocketAPIResponse.list);
+
+    // Filter out old urls.
+    let pocketURLs = this.filterStaleUrls(pocketURLsUnfiltered, (obj) => R.prop('time_added', obj) * 1000);
+    const stalePocketURLObjects = R.differenceWith((x, y) => x.url === y.url, pocketURLsUnfiltered, pocketURLs);
+    const stalePocketURLs = R.pluck('url', stalePocketURLObjects);
+    winston.debug(`${fnName}: ${stalePocketURLs.length} stale Pocket urls found`, stalePocketURLs);
+    winston.debug(`${pocketURLs.length} Pocket links returned before processing.`);
+
+    const parallelFns = pocketURLs.map((obj) => (parallelCb) => {
+      const urlObj = this.pocketToURL(obj, args, parallelCb);
+
+      //winston.debug(`${fnName}: ${obj.resolved_url}`);
+
+      return urlObj;
+    });
+
+    return async.parallelLimit(parallelFns, 5, (err, urlObjs) => {
+      if (err) winston.error(`${fnName} parallelLimit: err`);
+
+      let urlObjsCopy = urlObjs.concat();
+
+      return done(null, urlObjsCopy);
+    });
+  }
+
+  /**
+   * Fetches a url, resolving with its parsed JSON.  Rejects on HTTP errors and timeouts.
+   */
+  _fetchWithTimeout(url, options) {
+    const optionsCopy = Object.assign({
+      timeout: 8000
+    }, options);
+
+    // Use fetchStub for tests.
+    const fetchAction = optionsCopy.fetchStub || fetch;
+
+    const fetchUrl = fetchAction(url, { headers: optionsCopy.headers || {} })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`${url} HTTP status ${response.status}`);
+        }
+
+        return response.json();
+      });
+
+    const timeout = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`request timeout for ${url}`)), optionsCopy.timeout);
+    });
+
+    return Promise.race([fetchUrl, timeout]);
+  }
+
+  /*
+   * Gets stories from Hacker News: the front page ("top") or "best".
+   */
+  fetchHackerNewsList(args, done) {
+    const fnName = `${moduleName}/fetchHackerNewsList`;
+    const listName = args.list || 'top';
+
+    winston.debug(`${fnName}: ${listName}`);
+
+    done = done || (() => {});
+
+    this._timerStart(fnName);
+
+    return this.fetchHackerNewsStories(args, (err, stories) => {
+      this._timerEnd(fnName);
+
+      if (err) return done(err);
+
+      return this.hackerNewsToURLs(stories, { listName }, done);
+    });
+  }
+
+  /**
+   * Fetches Hacker News story items (without scraping them).  Jobs, Ask HN and other stories
+   * without an external url are skipped.
+   */
+  fetchHackerNewsStories(args, done) {
+    const fnName = `${moduleName}/fetchHackerNewsStories`;
+
+    const argsCopy = Object.assign({
+      list: 'top',
+      limit: 30,
+      apiUrl: hnApiUrl,
+      timeout: 8000
+    }, args);
+    const { list, limit, apiUrl, fetchStub } = argsCopy;
+
+    // Sanity checks.
+    const validLists = ['top', 'best'];
+    if (validLists.indexOf(list) === -1) {
+      const listError = `${fnName} error: unknown list ${list}`;
+      winston.error(listError);
+      return done(listError);
     }
 
-    const isInvalidDate = Number.isNaN(timestamp);
-    if (isInvalidDate && time) {
-      // Try parsing human-readable time
-      timestamp = parseMessyTime(time);
-      timestamp = timestamp.getTime();
+    const fetchWithTimeout = (url) => this._fetchWithTimeout(url, {
+      fetchStub,
+      timeout: argsCopy.timeout
+    });
+
+    return fetchWithTimeout(`${apiUrl}${list}stories.json`)
+      .then((ids) => {
+        const parallelFns = (ids || []).slice(0, limit).map((id) => (parallelCb) => {
+          fetchWithTimeout(`${apiUrl}item/${id}.json`)
+            .then((item) => parallelCb(null, item))
+            .catch((error) => {
+              // Skip individual stories that fail rather than the whole list.
+              winston.error(`${fnName}: ${error.message}`);
+              parallelCb();
+            });
+        });
+
+        async.parallelLimit(parallelFns, 5, (err, items) => {
+          const stories = R.filter((item) => (
+            item && item.type === 'story' && item.url && !item.dead && !item.deleted
+          ), items || []);
+
+          winston.debug(`${fnName}: ${stories.length} stories with urls in ${list}`);
+
+          done(null, stories);
+        });
+      })
+      .catch((error) => {
+        const hnResponseError = `${fnName}: ${error.message}`;
+        winston.error(hnResponseError);
+        done(hnResponseError);
+      });
+  }
+
+  /**
+   * Converts Hacker News stories into formatted URL objects.
+   */
+  hackerNewsToURLs(stories, args, done) {
+    const fnName = `${moduleName}/hackerNewsToURLs`;
+
+    // Filter out old stories.
+    let storiesCopy = this.filterStaleUrls(stories, (story) => story.time * 1000);
+    winston.debug(`${fnName}: ${stories.length - storiesCopy.length} stale Hacker News stories`);
+
+    // Filter out links which already match ignore words.
+    storiesCopy = this.filterUrlsWithIgnoreWords(storiesCopy, this.ignoreWords);
+
+    const urlItems = storiesCopy.map((story) => ({
+      url: story.url,
+      item: Object.assign({}, story, { listName: args.listName })
+    }));
+
+    return this.sourceItemsToURLs('hackernews', urlItems, done);
+  }
+
+  /*
+   * Gets link posts from a subreddit's top or hot listing.
+   */
+  fetchRedditList(args, done) {
+    const fnName = `${moduleName}/fetchRedditList`;
+    winston.debug(`${fnName}: r/${args.subreddit}`);
+
+    done = done || (() => {});
+
+    this._timerStart(fnName);
+
+    return this.fetchRedditPosts(args, (err, posts) => {
+      this._timerEnd(fnName);
+
+      if (err) return done(err);
+
+      return this.redditToURLs(posts, { subreddit: args.subreddit }, done);
+    });
+  }
+
+  /**
+   * Fetches posts from a subreddit listing (without scraping them).  Self-posts and links back to
+   * Reddit itself are skipped.
+   * See https://www.reddit.com/dev/api#GET_top
+   */
+  fetchRedditPosts(args, done) {
+    const fnName = `${moduleName}/fetchRedditPosts`;
+
+    const argsCopy = Object.assign({
+      listing: 'top',
+      time: 'week',
+      limit: 50,
+      apiUrl: redditApiUrl,
+      timeout: 8000
+    }, args);
+    const { subreddit, listing, time, limit, apiUrl, fetchStub } = argsCopy;
+
+    // Sanity checks.
+    const argsNotPresent = this.findUndefinedArgs(args, ['subreddit']);
+
+    if (argsNotPresent.length > 0) {
+      const argsNotPresentStr = argsNotPresent.join(', ');
+      const argsNotPresentError = `${fnName} error: required args are not present: ${argsNotPresentStr}`;
+      winston.error(argsNotPresentError);
+      return done(argsNotPresentError);
     }
 
-    return timestamp || 0;
+    if (['top', 'hot'].indexOf(listing) === -1) {
+      const listingError = `${fnName} error: unknown listing ${listing}`;
+      winston.error(listingError);
+      return done(listingError);
+    }
+
+    // Note: raw_json prevents Reddit from HTML-escaping urls (e.g. &amp;).
+    const params = this.objToFormattedURLParams({ limit, t: time, raw_json: 1 });
+    const listingUrl = `${apiUrl}r/${encodeURIComponent(subreddit)}/${listing}.json?${params}`;
+
+    return this._fetchWithTimeout(listingUrl, {
+      fetchStub,
+      timeout: argsCopy.timeout,
+      // Reddit throttles requests with generic user agents.
+      headers: { 'User-Agent': `${moduleName} (newsletter link curation)` }
+    })
+    .then((listingResponse) => {
+      const posts = R.pluck('data', R.pathOr([], ['data', 'children'], listingResponse));
+
+      return done(null, this.filterRedditPosts(posts));
+    })
+    .catch((error) => {
+      const redditResponseError = `${fnName}: ${error.message}`;
+      winston.error(redditResponseError);
+      done(redditResponseError);
+    });
+  }
+
+  /**
+   * Filters out Reddit self-posts and links back to Reddit (comment threads, hosted images, etc).
+   */
+  filterRedditPosts(posts) {
+    const isRedditUrl = (url) => {
+      const hostname = urlUtil.parse(url || '').hostname || '';
+      return !!hostname.match(/(^|\.)(reddit\.com|redd\.it)$/i);
+    };
+
+    return R.reject((post) => (
+      !post || post.is_self || !post.url || isRedditUrl(post.url)
+    ), posts);
+  }
+
+  /**
+   * Converts Reddit posts into formatted URL objects.
+   */
+  redditToURLs(posts, args, done) {
+    const fnName = `${moduleName}/redditToURLs`;
+
+    // Filter out old posts.
+    let postsCopy = this.filterStaleUrls(posts, (post) => post.created_utc * 1000);
+    winston.debug(`${fnName}: ${posts.length - postsCopy.length} stale Reddit posts`);
+
+    // Filter out links which already match ignore words.
+    postsCopy = this.filterUrlsWithIgnoreWords(postsCopy, this.ignoreWords);
+
+    const urlItems = postsCopy.map((post) => ({ url: post.url, item: post }));
+
+    return this.sourceItemsToURLs('reddit', urlItems, done);
+  }
+
+  /*
+   * Gets statuses from a Mastodon list, hashtag or account timeline.  With keyword filtering to
+   * discard irrelevant statuses, as with tweets.
+   */
+  fetchMastodonList(args, done) {
+    const fnName = `${moduleName}/fetchMastodonList`;
+    const listLabel = this._getMastodonListLabel(args);
+
+    winston.debug(`${fnName}: ${listLabel}`);
+
+    done = done || (() => {});
+
+    this._timerStart(fnName);
+
+    return this.fetchMastodonStatuses(args, (err, statuses) => {
+      this._timerEnd(fnName);
+
+      if (err) return done(err);
+
+      // Filter out obviously irrelevant statuses.  Urls are filtered again after scraping.
+      const filteredStatuses = this.filterMastodonStatuses(statuses, this.ignoreWords);
+
+      return this.mastodonToURLs(filteredStatuses, { listLabel }, done);
+    });
+  }
+
+  /**
+   * Describes a Mastodon timeline for sourceDetails, e.g. "mastodon.social/#webdev".
+   */
+  _getMastodonListLabel(args) {
+    const host = urlUtil.parse(args.instance || '').host || args.instance;
+
+    if (args.list) return `${host}/list/${args.list}`;
+    if (args.hashtag) return `${host}/#${args.hashtag}`;
+    return `${host}/@${args.account}`;
+  }
+
+  /**
+   * Fetches statuses from a Mastodon timeline (without scraping them).  Exactly one of `list`
+   * (list id, needs an accessToken), `hashtag` or `account` (e.g. "Gargron") is required.
+   * See https://docs.joinmastodon.org/methods/timelines/
+   */
+  fetchMastodonStatuses(args, done) {
+    const fnName = `${moduleName}/fetchMastodonStatuses`;
+
+    const argsCopy = Object.assign({
+      limit: 40,
+      pages: 1,
+      timeout: 8000
+    }, args);
+    const { instance, list, hashtag, account, accessToken, limit, pages, fetchStub } = argsCopy;
+
+    // Sanity checks.
+    const argsNotPresent = this.findUndefinedArgs(args, ['instance']);
+    const timelineCount = [list, hashtag, account].filter(Boolean).length;
+    if (timelineCount !== 1) argsNotPresent.push('one of list, hashtag or account');
+
+    if (argsNotPresent.length > 0) {
+      const argsNotPresentStr = argsNotPresent.join(', ');
+      const argsNotPresentError = `${fnName} error: required args are not present: ${argsNotPresentStr}`;
+      winston.error(argsNotPresentError);
+      return done(argsNotPresentError);
+    }
+
+    const apiUrl = `${instance.replace(/\/+$/, '')}/api/v1/`;
+    const fetchOptions = {
+      fetchStub,
+      timeout: argsCopy.timeout,
+      headers: (accessToken) ? { Authorization: `Bearer ${accessToken}` } : {}
+    };
+
+    // Account timelines need the account's id, so look it up first.
+    const getTimelineUrl = () => {
+      if (list) return Promise.resolve(`${apiUrl}timelines/list/${encodeURIComponent(list)}`);
+      if (hashtag) return Promise.resolve(`${apiUrl}timelines/tag/${encodeURIComponent(hashtag)}`);
+
+      const lookupUrl = `${apiUrl}accounts/lookup?acct=${encodeURIComponent(account)}`;
+      return this._fetchWithTimeout(lookupUrl, fetchOptions)
+        .then((accountObj) => `${apiUrl}accounts/${accountObj.id}/statuses`);
+    };
+
+    let statuses = [];
+
+    // Pages through the timeline with max_id, oldest status last.
+    const fetchPage = (timelineUrl, page, maxID) => {
+      const params = { limit };
+      if (maxID) params.max_id = maxID;
+
+      return this._fetchWithTimeout(`${timelineUrl}?${this.objToFormattedURLParams(params)}`,
+        fetchOptions)
+        .then((reply) => {
+          const replyStatuses = reply || [];
+          statuses = statuses.concat(replyStatuses);
+
+          const lastStatusID = R.path([replyStatuses.length - 1, 'id'], replyStatuses);
+          if (page >= pages || !lastStatusID) return statuses;
+
+          return fetchPage(timelineUrl, page + 1, lastStatusID);
+        });
+    };
+
+    return getTimelineUrl()
+      .then((timelineUrl) => fetchPage(timelineUrl, 1))
+      .then((allStatuses) => done(null, allStatuses))
+      .catch((error) => {
+        const mastodonResponseError = `${fnName}: ${error.message}`;
+        winston.error(mastodonResponseError);
+        done(mastodonResponseError);
+      });
+  }
+
+  /**
+   * Converts Mastodon's status HTML into plain text.
+   */
+  _mastodonContentToText(html) {
+    const htmlWithBreaks = (html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/p>\s*<p>/gi, '\n\n');
+
+    return cheerio.load(`<div id="content">${htmlWithBreaks}</div>`)('#content').text().trim();
+  }
+
+  /**
+   * Finds links in a Mastodon status: its preview card plus links in the content, ignoring
+   * mentions and hashtags.
+   */
+  getMastodonStatusLinks(status) {
+    const $ = cheerio.load(status.content || '');
+
+    const contentLinks = $('a[href]')
+      .filter((index, elt) => !$(elt).is('.mention, .hashtag, [rel~="tag"]'))
+      .map((index, elt) => $(elt).attr('href'))
+      .get();
+
+    const cardUrl = R.path(['card', 'url'], status);
+
+    return R.uniq(R.reject(R.isNil, [cardUrl].concat(contentLinks)));
+  }
+
+  /**
+   * Filters out statuses missing links, or containing words that should be ignored.
+   */
+  filterMastodonStatuses(statuses, ignoreWords) {
+    return R.reject((status) => {
+      // If this is a boost, reference the original status.
+      const statusObj = status.reblog || status;
+
+      // Discard statuses with no links.
+      if (this.getMastodonStatusLinks(statusObj).length === 0) return true;
+
+      // Discard ignored words.  Url filtering will happen later.
+      const txt = `@${R.path(['account', 'acct'], statusObj)}: \
+${this._mastodonContentToText(statusObj.content)}`;
+
+      return R.find((ignoreWord) => txt.match(new RegExp(ignoreWord, 'gi')))(ignoreWords || []);
+    }, statuses);
   }
 
-  stripNonAlphaNumeric(str = '') {
-    return str.replace(/[^a-zA-Z\d:_]/gi, '');
+  /**
+   * Pulls out links from each Mastodon status, and scrapes each individual link.
+   */
+  mastodonToURLs(statuses, args, done) {
+    const fnName = `${moduleName}/mastodonToURLs`;
+
+    const urlItems = R.chain((status) => {
+      // If this is a boost, reference the original status.
+      const statusObj = Object.assign({}, status.reblog || status, { listLabel: args.listLabel });
+
+      let statusURLs = this.getMastodonStatusLinks(statusObj);
+
+      // Filter out non-articles and links which already match ignore words.
+      statusURLs = this.filterNonArticles(statusURLs);
+      statusURLs = this.filterUrlsWithIgnoreWords(statusURLs, this.ignoreWords);
+
+      return statusURLs.map((url) => ({ url, item: statusObj }));
+    }, statuses);
+
+    return this.sourceItemsToURLs('mastodon', urlItems, (err, urlObjs) => {
+      // Filter out old urls.
+      let urlObjsCopy = this.filterStaleUrls(urlObjs, 'articleTimestamp');
+
+      // Filter out ignore words/websites.
+      urlObjsCopy = this.filterUrlsWithIgnoreWords(urlObjsCopy, this.ignoreWords);
+
+      return done(null, urlObjsCopy);
+    });
   }
 
-  /**
-   * Scraper: gets the Twittle handle of the article author.  Note: often this turns out to be the
-   * platform's Twitter handle instead of the actual author (e.g. "@wallstreetjournal instead of
-   * @joeschmoe").
+  /*
+   * Gets entries from an RSS 2.0 or Atom feed.
    */
-  getTwitterAuthor($) {
-    let author = '';
-    let via = '';
-    let screen_name = '';
-
-    // Look for a Twitter creator card.
-    const twitterCreatorTag = $('[name="twitter:creator"]');
-    author = twitterCreatorTag.attr('content');
+  fetchFeedList(args, done) {
+    const fnName = `${moduleName}/fetchFeedList`;
+    winston.debug(`${fnName}: ${args.url}`);
 
-    // Next look for link tag.
-    let linkTagMatches = [];
-    if (!author) {
-      const twitterLinkTags = $('a[href*="twitter.com/"]');
+    done = done || (() => {});
 
-      twitterLinkTags.each((index, linkTag) => {
-        if (linkTag) {
-          const isComment = $(linkTag).closest('[class*="Comment"], [id*="Comment"], [class*="comment"], [id*="comment"]').length > 0;
-          if (isComment) return;
+    const argsCopy = Object.assign({}, args);
+    const { url, fetchStub } = argsCopy;
 
-          const isLikelyAuthor = $(linkTag).closest('[class*="Attribution"], [id*="Attribution"], [class*="attribution"], [id*="attribution"], footer').length > 0;
+    // Sanity checks.
+    const argsNotPresent = this.findUndefinedArgs(args, ['url']);
 
-          let href = linkTag.attribs.href;
-          if (href) {
-            // Fix for protocol-less urls (url util has problems with them).
-            const hasProtocol = !!href.match(/http:\/\/|https:\/\//);
-            if (!hasProtocol) {
-              href = href.replace(/(\/\/)?twitter.com/, `https://twitter.com`);
-            }
+    if (argsNotPresent.length > 0) {
+      const argsNotPresentStr = argsNotPresent.join(', ');
+      const argsNotPresentError = `${fnName} error: required args are not present: ${argsNotPresentStr}`;
+      winston.error(argsNotPresentError);
+      return done(argsNotPresentError);
+    }
 
-            // Fix for hashbangs.
-            href = href.replace(/#\!\//, '');
+    // Use fetchStub for tests.
+    const fetchAction = fetchStub || fetch;
 
-            // Ignore tweets, share, etc.
-            const isTweet = href.match(/(\/status\/)+/i);
-            const isShare = href.match(/(\/twitter.com\/share\??)+/i);
-            const isSearch = href.match(/(\/twitter.com\/search\??)+/i);
-            const isHome = href.match(/(\/twitter.com\/home\??)+/i);
-            const isIntent = href.match(/(\/intent\/)+/i);
+    this._timerStart(fnName);
 
-            // See if we can extract a Twitter name.
-            const parsedURL = urlUtil.parse(href, true);
-            if (isIntent || isShare || isSearch || isHome) {
-              via = via || R.path(['query', 'via'], parsedURL);
-              screen_name = screen_name || R.path(['query', 'screen_name'], parsedURL);
-            } else if (!isTweet) {
-              if (isLikelyAuthor) {
-                linkTagMatches.unshift(R.path(['pathname'], parsedURL));
-              } else {
-                linkTagMatches.push(R.path(['pathname'], parsedURL));
-              }
-            }
-          }
-        }
-      });
+    const fetchFeed = fetchAction(url, {
+      headers: {
+        accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+      }
+    })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`${url} HTTP status ${response.status}`);
+      }
 
-      author = linkTagMatches[0];
-    }
+      return response.text();
+    });
 
-    // Next look for a Twitter site card.
-    if (!author) {
-      const twitterSiteTag = $('[name="twitter:site"]');
-      author = twitterSiteTag.attr('content');
-    }
+    const timeout = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('request timeout')), argsCopy.timeout || 8000);
+    });
 
-    if (!author) author = screen_name || via;
+    return Promise.race([
+      fetchFeed,
+      timeout
+    ])
+    .then((xml) => {
+      this._timerEnd(fnName);
 
-    if (!author) {
-      author = '';
-    } else {
-      // Strip out junk url params
-      author = author.split('?')[0];
-    }
+      const feed = this.parseFeed(xml);
 
-    // Strip out unwanted characters.
-    author = this.stripNonAlphaNumeric(author);
+      winston.debug(`${fnName}: ${feed.entries.length} entries in ${feed.title || url}`);
 
-    return author;
+      return this.feedToURLs(feed, {
+        feedUrl: url,
+        feedTitle: argsCopy.name || feed.title
+      }, (err, response) => {
+        if (err) winston.error(`${fnName} feedToURLs: ${err}`);
+        done(err, response);
+      });
+    })
+    .catch(error => {
+      const feedResponseError = `${fnName}: ${error.message}`;
+      winston.error(feedResponseError);
+      done(feedResponseError);
+    });
   }
 
   /**
-   * Scraper: gets the title of the article.
+   * Parses an RSS 2.0 or Atom feed into a plain object:
+   * { title, entries: [{ id, url, title, excerpt, publishedMS }] }
    */
-  getPageTitle($) {
-    let title;
+  parseFeed(xml) {
+    const $ = cheerio.load(xml || '', { xmlMode: true });
+    const isAtom = $('feed').length > 0;
 
-    // First check for open graph title.
-    const ogTitleTag = $('[property="og:title"]');
-    title = ogTitleTag.attr('content');
+    const toMS = (time) => {
+      const timeMS = (new Date(time)).getTime();
+      return Number.isNaN(timeMS) ? 0 : timeMS;
+    };
 
-    // Next check for Twitter card.
-    if (!title) {
-      const twitterTitleTag = $('[name="twitter:title"]');
-      title = twitterTitleTag.attr('content');
-    }
-    
-    // Next check for good old fashioned page title.
-    if (!title) {
-      const titleTag = $('title');
-      title = titleTag.first().text().trim();
+    if (isAtom) {
+      const entries = $('feed > entry').map((index, elt) => {
+        const $entry = $(elt);
+
+        // Prefer the alternate link, which points at the article itself.
+        let $link = $entry.children('link[rel="alternate"]').first();
+        if ($link.length === 0) $link = $entry.children('link').not('[rel]').first();
+        if ($link.length === 0) $link = $entry.children('link').first();
+
+        const url = ($link.attr('href') || '').trim();
+
+        return {
+          id: $entry.children('id').first().text().trim() || url,
+          url,
+          title: $entry.children('title').first().text().trim(),
+          excerpt: $entry.children('summary').first().text().trim(),
+          publishedMS: toMS($entry.children('published').first().text() ||
+            $entry.children('updated').first().text())
+        };
+      }).get();
+
+      return {
+        title: $('feed > title').first().text().trim(),
+        entries: R.filter(R.prop('url'), entries)
+      };
     }
 
-    return title.substr(0, 150) || '';
+    const entries = $('item').map((index, elt) => {
+      const $item = $(elt);
+      const url = $item.children('link').first().text().trim() ||
+        $item.children('guid[isPermaLink!="false"]').first().text().trim();
+
+      return {
+        id: $item.children('guid').first().text().trim() || url,
+        url,
+        title: $item.children('title').first().text().trim(),
+        excerpt: $item.children('description').first().text().trim(),
+        publishedMS: toMS($item.children('pubDate').first().text() ||
+          $item.children('dc\\:date').first().text())
+      };
+    }).get();
+
+    return {
+      title: $('channel > title').first().text().trim(),
+      entries: R.filter(R.prop('url'), entries)
+    };
   }
 
   /**
-   * Scraper: gets an excerpt from the beginning of an article.
+   * Converts a parsed feed entry into a formatted URL object.
    */
-  getPageExcerpt($) {
-    let excerpt = '';
+  feedEntryToURL(entry, args, done) {
+    return this.sourceItemToURL('feeds', entry.url, this._getFeedObj(entry, args), done);
+  }
 
-    // Check for Open Graph description.
-    const ogDescriptionTag = $('[property="og:description"]');
-    excerpt = ogDescriptionTag.attr('content');
+  /**
+   * Gets the feeds source's raw item for a parsed feed entry.
+   */
+  _getFeedObj(entry, args) {
+    return {
+      feedUrl: args.feedUrl,
+      feedTitle: args.feedTitle,
+      entryID: entry.id,
+      entryTitle: entry.title,
+      entryExcerpt: entry.excerpt,
+      publishedMS: entry.publishedMS
+    };
+  }
 
-    // Check for Twitter description.
-    if (!excerpt) {
-      const twitterDescriptionTag = $('[name="twitter:description"]');
-      excerpt = twitterDescriptionTag.attr('content');;
-    }
+  /**
+   * Converts parsed feed entries into formatted URL objects.
+   */
+  feedToURLs(feed, args, done) {
+    const fnName = `${moduleName}/feedToURLs`;
 
-    // Check for regular meta description tag.
-    if (!excerpt) {
-      const metaDescriptionTag = $('[name="description"]');
-      excerpt = metaDescriptionTag.attr('content');
-    }
+    // Filter out old entries.  Undated entries are kept, as the scraper may still find a date.
+    let entries = this.filterStaleUrls(feed.entries, (entry) => entry.publishedMS || Date.now());
+    winston.debug(`${fnName}: ${feed.entries.length - entries.length} stale feed entries found`);
 
-    // Fallback to scraping the first paragraph.
-    if (!excerpt) {
-      // Find the first paragraph containing more than 20 words, then use that as an excerpt.
-      // Note: don't use fat arrow here because 'this' context needs to NOT be outer closure
-      // context.
-      const paragraphs = $('*:not(aside) p');
-      paragraphs.each(function processParagraph() {
-        // TODO: DON'T traverse ALL ps
-        if (!excerpt && $(this).text().split(/\s+/).length > 10) {
-          excerpt = $(this).text();
-        }
-      });
-    }
+    // Filter out links which already match ignore words.
+    entries = this.filterUrlsWithIgnoreWords(entries, this.ignoreWords);
 
-    if (!excerpt) return '';
+    const urlItems = entries.map((entry) => ({
+      url: entry.url,
+      item: this._getFeedObj(entry, args)
+    }));
 
-    // Strip out certain HTML tags, plus preserve when needed.
-    const tagsToStrip = [
-      'a',
-      'strong',
-      'br',
-      'b',
-      'i'
-    ];
+    return this.sourceItemsToURLs('feeds', urlItems, done);
+  }
 
-    const tagsToStripRegEx = tagsToStrip.join('|');
+  /**
+   * Gets feeds imported from OPML, e.g. [ { url: 'https://a.com/feed', name: 'A' } ].
+   */
+  getFeeds(done) {
+    const fnName = `${moduleName}/getFeeds`;
 
-    const censoredOpeningTags = new RegExp(`(&lt;|<)(\\s)*((?:(${tagsToStripRegEx})))+(\\s|\\w|=|"|'|&quot;|\:|\\/|\\.)*(>|&gt;)?`, 'gi');
-    const censoredClosingTags = new RegExp(`(&lt;|<)(\\s)*\/(\\s)*((?:(${tagsToStripRegEx})))+(\\s|\\w|=|"|')*(>|&gt;)?`, 'gi');
-    excerpt = excerpt.replace(censoredOpeningTags, '');
-    excerpt = excerpt.replace(censoredClosingTags, '');
+    this.store.hashGetAll(`${this.redisNS}${redisFeedsKey}`, (err, reply) => {
+      if (err) winston.error(`${fnName}: ${err}`);
 
-    // Create placeholders for ok HTML tags.
-    excerpt = excerpt.replace(new RegExp(`(&lt;|<)(?:\s*)?`, 'gi'), '--lt--');
-    excerpt = excerpt.replace(new RegExp(`>|&gt;`, 'gi'), '--gt--');
+      const feeds = R.values(reply || {}).map((feedStr) => JSON.parse(feedStr));
 
-    excerpt = excerpt.replace(/&gt;|>/gi, '--gt--');
-    const $$ = cheerio.load(`<div id="stripFn">${excerpt}</div>`);
-    excerpt = $$('#stripFn').text();
+      done(err, feeds);
+    });
+  }
 
-    // Replace placeholders for ok HTML tags.
-    excerpt = excerpt.replace(/--lt--/gi, '&lt;');
-    excerpt = excerpt.replace(/--gt--/gi, '&gt;');
+  /**
+   * Stores a feed (e.g. { url: 'https://a.com/feed', name: 'A' }) so it's fetched along with
+   * `lists.feeds` from now on.
+   */
+  addFeed(feed, done) {
+    const fnName = `${moduleName}/addFeed`;
 
-    // Trim excerpt.
-    const maxLength = 200;
-    excerpt = excerpt.split(' ').reduce((a, b) => {return (a.length > maxLength) ? a : `${a} ${b}`});
+    done = done || (() => {});
 
-    return excerpt;
+    if (!feed || !feed.url) return done(`${fnName}: feed url is required`);
+
+    const key = `${this.redisNS}${redisFeedsKey}`;
+
+    return this.store.hashSet(key, feed.url, JSON.stringify(feed), (err) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      done(err);
+    });
   }
 
   /**
-   * Filters out non-articles (e.g. links to other tweets).
+   * Stops fetching a feed imported from OPML.
    */
-  filterNonArticles(urls) {
-    const fnName = `${moduleName}/filterNonArticles`;
+  removeFeed(url, done) {
+    const fnName = `${moduleName}/removeFeed`;
 
-    const numUrlsBefore = urls.length;
+    done = done || (() => {});
 
-    const isNonArticle = (url) => {
-      const urlStr = (typeof url === 'object') ? url.url : url;
-      return urlStr.match('twitter.com');
-    }
-    const filteredUrls = R.reject(isNonArticle, urls);
-    const numUrlsRejected = numUrlsBefore - filteredUrls.length;
-    //winston.debug(`${fnName}: discarded ${numUrlsRejected} non-article urls (tweets only)`);
+    this.store.hashDel(`${this.redisNS}${redisFeedsKey}`, url, (err) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      done(err);
+    });
+  }
 
-    return filteredUrls;
+  /**
+   * Parses a Netscape bookmarks file (as exported by browsers) into bookmark objects, with the
+   * names of the folders a bookmark is in as its tags.
+   */
+  parseBookmarks(html) {
+    const $ = cheerio.load(html || '');
+
+    return $('a[href]').map((index, elt) => {
+      const $link = $(elt);
+
+      // Folder names, outermost first.
+      const folders = $link.parents('dl').map((folderIndex, dl) => $(dl).prev('h3').text().trim())
+        .get()
+        .filter((folder) => !!folder)
+        .reverse();
+
+      const tags = ($link.attr('tags') || '').split(',')
+        .map((tag) => tag.trim())
+        .filter((tag) => !!tag);
+
+      return {
+        url: $link.attr('href').trim(),
+        title: $link.text().trim(),
+        addedMS: (parseInt($link.attr('add_date'), 10) || 0) * 1000,
+        tags: R.union(folders, tags)
+      };
+    }).get()
+    .filter((bookmark) => /^https?:/.test(bookmark.url));
   }
 
   /**
-   * Filters out old articles.
+   * Imports a Netscape bookmarks file, getting details for each bookmarked url.  Old bookmarks
+   * are kept in fetchLists results, as imports are usually one-shot.
    */
+  importBookmarks(html, args, done) {
+    const fnName = `${moduleName}/importBookmarks`;
 
-  filterStaleUrls(urlObjects, prop = 'timestamp', expiry = msInAMonth) {
-    const fnName = `${moduleName}/filterStaleUrls`;
+    done = done || (() => {});
 
-    const numUrlsBefore = urlObjects.length;
-    
-    const isURLStale = (url) => {
-      if(!url) {
-        winston.error(`${fnName}: url object is null`);
-        return true;
-      }
-      const timestamp = (typeof prop === 'function') ? prop(url) : url[prop];
-      const timestampArr = (Array.isArray(timestamp)) ? timestamp : [ timestamp ];
+    const argsCopy = Object.assign({}, args);
+    const bookmarks = this.parseBookmarks(html);
 
-      let isFresh;
-      if (typeof expiry === 'function') {
-        // Special expiry function passed in, so use that.
-        isFresh = R.any(timeMS => expiry(url, timeMS))(timestampArr);
-      } else {
-        // Normal: find expiry by cutoff time.
-        const cutoffTimeMS = Date.now() - expiry;
-        isFresh = R.any(timeMS => timeMS > cutoffTimeMS)(timestampArr);
-      }
+    winston.debug(`${fnName}: ${bookmarks.length} bookmarks found`);
 
-      return !isFresh;
-    }
-    const flattenedUrlObjects = R.reject(isURLStale, urlObjects);
-    const numUrlsRejected = numUrlsBefore - flattenedUrlObjects.length;
-    //winston.debug(`${fnName}: discarded ${numUrlsRejected} stale urls`);
+    const urlItems = bookmarks.map((bookmark) => ({
+      url: bookmark.url,
+      item: Object.assign({ fileName: argsCopy.fileName }, bookmark)
+    }));
 
-    return flattenedUrlObjects;
+    return this.sourceItemsToURLs('import', urlItems, done);
+  }
+
+  /**
+   * Parses an OPML file into feed objects, e.g. [ { url: 'https://a.com/feed', name: 'A' } ].
+   */
+  parseOPML(opml) {
+    const $ = cheerio.load(opml || '', { xmlMode: true });
+
+    return $('outline[xmlUrl]').map((index, elt) => {
+      const $outline = $(elt);
+
+      return {
+        url: $outline.attr('xmlUrl').trim(),
+        name: ($outline.attr('title') || $outline.attr('text') || '').trim()
+      };
+    }).get()
+    .filter((feed) => !!feed.url);
   }
 
   /**
-   * Pulls out urls from each tweet.
+   * Imports the feeds in an OPML file, storing them so they're fetched along with `lists.feeds`
+   * from now on.  Calls back with the imported feeds.
    */
-  tweetsToURLs(tweets, args, done) {
-    const fnName = `${moduleName}/tweetsToURLs`;
+  importOPML(opml, done) {
+    const fnName = `${moduleName}/importOPML`;
 
-    //winston.debug(`${fnName}: processing ${tweets.length} tweets...`);
+    done = done || (() => {});
 
-    this._timerStart(fnName);
+    const feeds = this.parseOPML(opml);
 
-    const parallelFns = R.map((tweet) => ((parallelCb) => this.tweetToURLs(tweet, args, parallelCb)), tweets);
-    async.parallelLimit(parallelFns, 5, (err, reply) => {
-      //winston.debug(`${fnName} parallelLimit reply:`, reply);
+    winston.debug(`${fnName}: ${feeds.length} feeds found`);
 
-      this._timerEnd(fnName);
+    return async.eachLimit(feeds, 5, (feed, eachCb) => this.addFeed(feed, eachCb), (err) => {
+      if (err) winston.error(`${fnName}: ${err}`);
+      done(err || null, feeds);
+    });
+  }
 
-      const flattenedUrlObjectsUnfiltered = R.flatten(reply);
+  /**
+   * Adds a url found by hand, e.g. addUrl(url, { submittedBy: 'dave', note: 'Great read',
+   * categories: ['CSS'], rankFloor: 8 }, cb).  The url is scraped if needed and included in
+   * fetchLists results for manualRetentionMS (a month by default) or until it's removed, ranked
+   * at least `rankFloor` (1-10) if given.
+   */
+  addUrl(url, args, done) {
+    const fnName = `${moduleName}/addUrl`;
 
-      // Remove rejected urls.
-      let flattenedUrlObjects = R.reject(R.isNil, flattenedUrlObjectsUnfiltered);
+    done = done || (() => {});
 
-      // Filter out old urls.
-      flattenedUrlObjects = this.filterStaleUrls(flattenedUrlObjects, 'articleTimestamp');
-      const staleURLObjects = R.differenceWith((x, y) => x && y && x.url === y.url, flattenedUrlObjectsUnfiltered, flattenedUrlObjects);
-      const staleURLs = R.map((obj) => {
-        if (!obj) return;
-        const timestamp = new Date(obj.articleTimestamp);
-        const url = obj.url;
-        return `${timestamp}: ${url}`
-      }, staleURLObjects);
+    const argsCopy = Object.assign({}, args);
 
-      winston.debug(`${fnName}: ${staleURLs.length} stale Twitter urls`, JSON.stringify(staleURLs, null, 2));
+    if (!url) return done(`${fnName}: url is required`);
 
-      // Filter out urls not articles (e.g. tweets themselves).
-      flattenedUrlObjects = this.filterNonArticles(flattenedUrlObjects);
+    const submission = {
+      submittedBy: argsCopy.submittedBy,
+      note: argsCopy.note,
+      categories: argsCopy.categories || [],
+      rankFloor: argsCopy.rankFloor || 0,
+      addedMS: Date.now()
+    };
 
-      // Filter out ignore words/websites.
-      flattenedUrlObjects = this.filterUrlsWithIgnoreWords(flattenedUrlObjects, args.ignoreWords);
+    return this.getUrlDetails(url, { sourceName: 'manual', item: submission },
+      (err, urlDetailsObj) => {
+        if (err) winston.error(`${fnName} getUrlDetails: ${err}`);
 
-      return done(err, flattenedUrlObjects);
-    });
+        // Url was rejected (removed previously, unsupported content type, etc).
+        if (!urlDetailsObj || !urlDetailsObj.url) {
+          const rejectedError = `${fnName}: couldn't get details for ${url}`;
+          winston.error(rejectedError);
+          return done(rejectedError);
+        }
+
+        return async.series([
+          (seriesCb) => this.uniqueLPUSH(`${this.redisNS}urls`, urlDetailsObj.url, seriesCb),
+          (seriesCb) => this.uniqueLPUSH(`${this.redisNS}${redisManualUrlsKey}`, urlDetailsObj.url,
+            seriesCb)
+        ], (seriesErr) => {
+          if (seriesErr) winston.error(`${fnName}: ${seriesErr}`);
+          done(null, urlDetailsObj);
+        });
+      });
   }
 
-  /*
-   * Pulls out urls from tweets, and scrapes each individual url.
+  /**
+   * Gets details of all urls added by hand with addUrl.
    */
-  tweetToURLs(tweet, args, done) {
-    const fnName = `${moduleName}/tweetToURLs`;
+  fetchManualUrls(done) {
+    const fnName = `${moduleName}/fetchManualUrls`;
 
-    // Make a copy of the tweet.
-    let tweetObj = Object.assign({}, tweet);
+    this._timerStart(fnName);
 
-    // If this tweet includes a quoted tweet, reference the original quoted tweet instead.
-    if (tweetObj.quoted_status) tweetObj = tweetObj.quoted_status;
-    if (tweetObj.retweeted_status) tweetObj = tweetObj.retweeted_status;
+    this.store.listRange(`${this.redisNS}${redisManualUrlsKey}`, (err, urls) => {
+      if (err) winston.error(`${fnName}: ${err}`);
 
-    // Add Twitter list owner and name to tweet object.
-    tweetObj.listOwner = args.owner;
-    tweetObj.listName = args.name;
+      const parallelFns = (urls || []).map((url) => (parallelCb) => {
+        this.getUrlDetails(url, {}, parallelCb);
+      });
 
-    // Find each url in tweet, and treat it individually.
-    const urlObjs = R.path(['entities', 'urls'], tweetObj);
-    let tweetURLs = R.pluck('expanded_url')(urlObjs);
+      return async.parallelLimit(parallelFns, 5, (err, urlObjs) => {
+        this._timerEnd(fnName);
 
+        if (err) winston.error(`${fnName} parallelLimit: ${err}`);
 
-    // Filter out non-articles (e.g. tweets)
-    tweetURLs = this.filterNonArticles(tweetURLs);
+        // Removed urls are left out.
+        const urlObjsCopy = R.reject((urlObj) => !urlObj || !urlObj.url, urlObjs || []);
 
-    // Filter out links which already match ignore words.
-    tweetURLs = this.filterUrlsWithIgnoreWords(tweetURLs, args.ignoreWords);
+        return done(null, urlObjsCopy);
+      });
+    });
+  }
 
-    // Create parallel async functions for each URL present.
-    const parallelFns = [];
-    R.forEach((url) => {
-      parallelFns.push((parallelCb) => {
-        // Get scraped info for this url.
-        this.getUrlDetails(url, { tweetObj }, (err, urlDetailsObj) => {
-          // Return early if url was rejected.
-          if (!urlDetailsObj) return parallelCb();
+  /**
+   * Finds the cache key for a url, following cached redirects.  Calls back with
+   * (err, url, urlDetailsObj), where urlDetailsObj is null if the url isn't cached.
+   */
+  _resolveCachedUrl(url, done, redirectCount) {
+    const urlCopy = this.removeJunkURLParams(url);
+    const redirectCountCopy = redirectCount || 0;
 
-          return parallelCb(null, urlDetailsObj);
-        });
-      });
-    }, tweetURLs);
+    this.store.get(`${this.redisNS}${urlCopy}`, (err, reply) => {
+      if (err) return done(err);
 
-    async.parallelLimit(parallelFns, 5, done);
+      const urlDetailsObj = reply ? JSON.parse(reply) : null;
+      const redirect = R.path(['redirect'], urlDetailsObj);
+
+      if (redirect && redirect !== urlCopy && redirectCountCopy < maxCachedRedirects) {
+        return this._resolveCachedUrl(redirect, done, redirectCountCopy + 1);
+      }
+
+      return done(null, urlCopy, urlDetailsObj);
+    });
   }
 
-  /*
-   * Assembles URL search parameters from an object.
-   * { foo: 'bar', boo: 'baz' } -> 'foo=bar&boo=baz'
+  /**
+   * Removes a url (e.g. one an editor rejected), so it's left out of fetchLists results (including
+   * one already in progress) and never scraped again.  Options: `reason` and `removedBy`, kept
+   * for auditing.
    */
-  objToFormattedURLParams(params) {
-    const keys = Object.keys(params);
+  removeUrl(url, args, done) {
+    const fnName = `${moduleName}/removeUrl`;
 
-    // Sanity check; makes sure there's query params to process.
-    if (!params || keys.length === 0) return '';
+    done = done || (() => {});
 
-    // Only one param to process.
-    if (keys.length === 1) return `${keys[0]}=${params[keys[0]]}`;
+    const argsCopy = Object.assign({}, args);
 
-    // Multiple params to process.
-    return Object.keys(params).reduce((a, b) => {
-      let output = '';
+    if (!url) return done(`${fnName}: url is required`);
 
-      if (typeof params[a] !== 'undefined') {
-        // First iteration.
-        output = `${a}=${params[a]}`;
-      } else {
-        // nth iteration.
-        output = `${a}`;
+    return this._resolveCachedUrl(url, (err, urlCopy, urlDetailsObj) => {
+      if (err) {
+        winston.error(`${fnName}: ${err}`);
+        return done(err);
       }
 
-      return `${output}&${b}=${encodeURIComponent(params[b])}`;
+      const removedUrlObj = Object.assign({ url: urlCopy }, urlDetailsObj, {
+        [urlRemovedFlagKey]: true,
+        removedAt: Date.now(),
+        removedReason: argsCopy.reason || null,
+        removedBy: argsCopy.removedBy || null
+      });
+
+      return async.series([
+        (seriesCb) => this.store.set(`${this.redisNS}${urlCopy}`, JSON.stringify(removedUrlObj),
+          seriesCb),
+        (seriesCb) => this.store.listPushUnique(`${this.redisNS}${redisRemovedUrlsKey}`, urlCopy,
+          seriesCb)
+      ], (seriesErr) => {
+        if (seriesErr) winston.error(`${fnName}: ${seriesErr}`);
+        done(seriesErr || null, removedUrlObj);
+      });
     });
   }
 
-  /*
-   * Removes query params from a url.  These params are often used for campaign tracking.
-   * TODO: url transforms for login redirects, e.g.
-   * https://myaccount.nytimes.com/auth/login?URI=https://www.nytimes.com/2017/01/01/technology/google-amp-mobile-publishing.html?_r=0
-   * https://www.forbes.com/forbes/welcome/?toURL=http://forbes.com/
-   *
-   * TODO: make case insensitive
+  /**
+   * Undoes removeUrl.  Urls removed before they were ever scraped are scraped again next time.
    */
-  removeJunkURLParams(url, removeConfig) {
-    const removeParams = removeConfig || defaultJunkParams;
+  restoreUrl(url, done) {
+    const fnName = `${moduleName}/restoreUrl`;
 
-    let outputURL;
-    const urlParsed = urlUtil.parse(url, true);
-    const query = urlParsed.query;
+    done = done || (() => {});
 
-    // Remove junk params.
-    removeParams.forEach((param) => {
-      if (typeof param === 'string') {
-        delete query[param];
-      } else if (typeof param === 'object' && !param['__comment']) {
-        const hostname = (typeof urlParsed.hostname === 'string') ?
-          [ urlParsed.hostname ] :
-          urlParsed.hostname;
+    if (!url) return done(`${fnName}: url is required`);
 
-        // Domain-specific param removal.
-        const domainMatches = param.domain.indexOf(urlParsed.hostname) !== -1;
+    return this._resolveCachedUrl(url, (err, urlCopy, urlDetailsObj) => {
+      if (err) {
+        winston.error(`${fnName}: ${err}`);
+        return done(err);
+      }
 
-        if (domainMatches) {
-          param.params && param.params.forEach(param2 => delete query[param2]);
+      const key = `${this.redisNS}${urlCopy}`;
+      const restoredUrlObj = R.omit([urlRemovedFlagKey, 'removedAt', 'removedReason', 'removedBy'],
+        urlDetailsObj || {});
 
-          if (param.removeHash) urlParsed.hash = '';
+      return async.series([
+        (seriesCb) => this.store.listRemove(`${this.redisNS}${redisRemovedUrlsKey}`, urlCopy,
+          seriesCb),
+        (seriesCb) => {
+          if (restoredUrlObj.source) {
+            return this.store.set(key, JSON.stringify(restoredUrlObj), seriesCb);
+          }
+
+          return this.store.del(key, seriesCb);
         }
-      }
+      ], (seriesErr) => {
+        if (seriesErr) winston.error(`${fnName}: ${seriesErr}`);
+        done(seriesErr || null, restoredUrlObj.source ? restoredUrlObj : null);
+      });
     });
+  }
 
-    const queryFormatted = this.objToFormattedURLParams(query);
+  /**
+   * Gets all removed urls, most recently removed first, e.g. [ { url, removedAt, removedReason,
+   * removedBy } ].
+   */
+  listRemovedUrls(done) {
+    const fnName = `${moduleName}/listRemovedUrls`;
 
-    urlParsed.search = (queryFormatted) ? `?${queryFormatted}` : '';
+    this.store.listRange(`${this.redisNS}${redisRemovedUrlsKey}`, (err, urls) => {
+      if (err) winston.error(`${fnName}: ${err}`);
 
-    outputURL = urlParsed.format();
+      if (!urls || urls.length === 0) return done(err, []);
 
-    // Remove trailing slashes for consistency.
-    // const hasTrailingSlash = outputURL[outputURL.length - 1] === '/';
-    // if (hasTrailingSlash) {
-    //   outputURL = outputURL.substr(0, outputURL.length - 1);
-    // }
+      return this.store.mget(urls.map((url) => `${this.redisNS}${url}`), (mgetErr, replies) => {
+        if (mgetErr) winston.error(`${fnName}: ${mgetErr}`);
 
-    return outputURL;
-  }
+        const removedUrls = urls.map((url, index) => {
+          const urlDetailsObj = (replies && replies[index]) ? JSON.parse(replies[index]) : {};
 
-  /*
-   * Helper to utility to track down any required arguments passed to a function that are undefined.
-   */
-  findUndefinedArgs(passedInArgs, requiredArgs) {
-    const undefinedArgNames = [];
+          return {
+            url,
+            removedAt: urlDetailsObj.removedAt || null,
+            removedReason: urlDetailsObj.removedReason || null,
+            removedBy: urlDetailsObj.removedBy || null
+          };
+        });
 
-    requiredArgs.forEach((arg) => {
-      if (typeof passedInArgs[arg] === 'undefined') undefinedArgNames.push(arg);
+        done(mgetErr || null, R.sortWith([ R.descend(R.prop('removedAt')) ], removedUrls));
+      });
     });
-
-    return undefinedArgNames;
   }
 
   /**
-   * Assigns a rank (1-10) to each url, with 10 being the best.
+   * Forces a re-scrape of a url, e.g. after its page was updated.  Source info (tweets, Pocket
+   * saves, etc) is kept.  Urls that failed to scrape before are scraped from scratch.
    */
-  rankUrls(urlObjects) {
-    let rankedUrls = [];
+  rescrapeUrl(url, done) {
+    const fnName = `${moduleName}/rescrapeUrl`;
 
-    const faveSegments = this.getObjSegments('tweetFavoriteCount', urlObjects);
-    const retweetSegments = this.getObjSegments('tweetRetweetCount', urlObjects);
-    const pocketSegments = this.getPocketSegments(urlObjects);
-
-    urlObjects.forEach((urlObj) => {
-      const urlObjCopy = Object.assign({}, urlObj);
+    done = done || (() => {});
 
-      // Ignore urls thrown out by a previous filter.
-      if (!urlObjCopy.url) return;
+    if (!url) return done(`${fnName}: url is required`);
 
-      urlObjCopy.rankRaw = this.getURLRank(urlObjCopy, {
-        faveSegments,
-        retweetSegments,
-        pocketSegments
-      });
+    return this._resolveCachedUrl(url, (err, urlCopy, urlDetailsObj) => {
+      if (err) {
+        winston.error(`${fnName}: ${err}`);
+        return done(err);
+      }
 
-      rankedUrls.push(urlObjCopy);
-    });
+      if (R.path([urlRemovedFlagKey], urlDetailsObj)) {
+        return done(`${fnName}: ${urlCopy} was removed`);
+      }
 
-    rankedUrls = this.normalizeRanks(rankedUrls);
+      const hasDetails = urlDetailsObj && !urlDetailsObj.scraperError;
 
-    return rankedUrls;
+      return this.fetchUrlDetails(urlCopy, { previousDetails: hasDetails ? urlDetailsObj : null },
+        done);
+    });
   }
 
   /**
-   * Sorts, normalizes rank distributions, and converts to 1-10 scale.
+   * Re-scrapes cached urls whose details are older than `maxAgeMS` (default: the
+   * `cacheRefreshAgeMS` config), at most `limit` of them.  Calls back with the refreshed urls.
    */
-  normalizeRanks(urlObjs) {
-    let urlsCopy = urlObjs.concat();
-
-    // Sort by rank.
-    urlsCopy = R.sortWith([
-      R.descend(R.prop('rankRaw')),
-      R.descend(R.prop('tweetRetweetCount')),
-      R.descend(R.prop('tweetFavoriteCount')),
-      R.descend(R.prop('timestamp'))
-    ])(urlsCopy);
-
-    // Figure out size of each 10% segment.
-    let urlsCopyRanks = R.pluck('rankRaw')(urlsCopy);
-    urlsCopyRanks = R.uniq(urlsCopyRanks);
-    const segments = this.getStandardizedSegments(urlsCopyRanks);
+  refreshStaleUrls(args, done) {
+    const fnName = `${moduleName}/refreshStaleUrls`;
 
-    urlsCopy = urlsCopy.map((urlObj) => {
-      let rank = this.getSegmentPosition(urlObj.rankRaw, segments) + 1;
-      return Object.assign({}, urlObj, { rank });
-    });
+    done = done || (() => {});
 
-    return urlsCopy;
-  }
+    const argsCopy = Object.assign({}, args);
+    const maxAgeMS = argsCopy.maxAgeMS || this.cacheRefreshAgeMS;
 
-  numDiff(a, b) {
-    return a - b;
-  }
+    this.store.listRange(`${this.redisNS}urls`, (err, urls) => {
+      if (err) winston.error(`${fnName}: ${err}`);
 
-  getStandardizedSegments(arr, totalSegments = 10) {
-    let arrSorted = R.sort(this.numDiff, arr);
+      if (!urls || urls.length === 0) return done(err, []);
 
-    if (arrSorted.length < totalSegments) {
-      const arrFillerSize = totalSegments - arrSorted.length;
-      let fillerArr = new Array(arrFillerSize);
-      fillerArr = fillerArr.fill(0);
-      arrSorted = fillerArr.concat(arrSorted);
-    }
+      return this.store.mget(urls.map((url) => `${this.redisNS}${url}`), (mgetErr, replies) => {
+        if (mgetErr) {
+          winston.error(`${fnName}: ${mgetErr}`);
+          return done(mgetErr);
+        }
 
-    const arrSegmentSize = arrSorted.length / totalSegments;
-    const isSegmentAnInt = Number.isInteger(arrSegmentSize);
+        const now = Date.now();
 
-    const segments = [];
-    for (let index = arrSegmentSize - 1; index < arrSorted.length; index += arrSegmentSize) {
-      let segmentVal;
-      if (isSegmentAnInt) {
-        segmentVal = arrSorted[index];
-      } else {
-        const indexInt = Math.floor(index);
-        segmentVal = arrSorted[indexInt] + (arrSorted[indexInt] / totalSegments);
-      }
-      segments.push(segmentVal);
-    }
-    return segments;
-  }
+        let staleUrls = urls.filter((url, index) => {
+          const urlDetailsObj = replies[index] ? JSON.parse(replies[index]) : null;
 
-  /**
-   * Returns the closest index for a rank within a group of rank segments (for ranking).
-   * E.g. rank: 3, segments: [1,3,10] will return index 1
-   */
-  getSegmentPosition(rank, segments) {
-    const fnName = `${moduleName}/getSegmentPosition`;
-    const segmentsSorted = R.sort(R.gt, segments);
+          // Expired entries and failed scrapes (which expire by themselves, see cacheTTLs) are
+          // scraped again when next seen, and removed ones never are.
+          if (!urlDetailsObj || urlDetailsObj.redirect || urlDetailsObj.scraperError ||
+            urlDetailsObj[urlRemovedFlagKey]) {
+            return false;
+          }
 
-    let position = -1;
+          // Pages found unchanged (304) count as fresh from when they were checked.
+          const checkedAt = urlDetailsObj.lastCheckedAt || urlDetailsObj.scrapedAt;
 
-    for (let a=0, len=segmentsSorted.length; a<len; a++) {
-      if(rank > segmentsSorted[a]) {
-        continue;
-      } else {
-        position = a;
-        break;
-      }
-    }
+          return !checkedAt || now - checkedAt > maxAgeMS;
+        });
 
-    if (position == -1) {
-      position = segmentsSorted.length - 1;
-    }
+        if (argsCopy.limit) staleUrls = staleUrls.slice(0, argsCopy.limit);
 
-    //position++;
+        winston.info(`${fnName}: refreshing ${staleUrls.length} stale urls`);
 
-    return position;
+        return async.eachLimit(staleUrls, 2, (url, eachCb) => {
+          this.rescrapeUrl(url, (rescrapeErr) => {
+            if (rescrapeErr) winston.error(`${fnName}: ${rescrapeErr}`);
+            eachCb();
+          });
+        }, () => done(null, staleUrls));
+      });
+    });
   }
 
   /**
-   * Determines the ranking of a url based on its presence on Twitter/Pocket lists, and number
-   * of times it's been faved/retweeted.
-   * TODO: trusted sources ranking
+   * Runs refreshStaleUrls every `intervalMS` (default: an hour) until stopBackgroundRefresh or
+   * close is called.
    */
-  getURLRank(urlObj, args) {
-    const fnName = `${moduleName}/getURLRank`;
+  startBackgroundRefresh(intervalMS, args) {
+    const fnName = `${moduleName}/startBackgroundRefresh`;
 
-    const {
-      faveSegments,
-      retweetSegments,
-      pocketSegments
-    } = args;
+    let isRefreshing = false;
 
-    const {
-      url,
-      tweetRetweetCount,
-      tweetFavoriteCount,
-      pocketTimeAdded
-    } = urlObj;
+    this.stopBackgroundRefresh();
 
-    const faveVal = tweetFavoriteCount || 0;
-    const retweetVal = tweetRetweetCount || 0;
-    const pocketVal = pocketTimeAdded.length || 0;
+    this._refreshTimer = setInterval(() => {
+      // Skip a turn if the last pass is still going.
+      if (isRefreshing) return;
 
-    const faveRanking = this.getSegmentPosition(faveVal, faveSegments);
-    const retweetRanking = this.getSegmentPosition(retweetVal, retweetSegments);
-    const pocketRanking = this.getSegmentPosition(pocketVal, pocketSegments);
+      isRefreshing = true;
 
-    const rankingArr = [pocketRanking, retweetRanking, faveRanking];
+      this.refreshStaleUrls(args, (err) => {
+        if (err) winston.error(`${fnName}: ${err}`);
+        isRefreshing = false;
+      });
+    }, intervalMS || msInAnHour);
 
-    // Join ranks together with string concatenation.
-    let ranking = rankingArr.join('');
-    
-    ranking = parseFloat(ranking) * 1000;
+    // Don't keep the process alive just for refreshing.
+    this._refreshTimer.unref();
+  }
 
-    return ranking;
+  stopBackgroundRefresh() {
+    if (this._refreshTimer) clearInterval(this._refreshTimer);
+    this._refreshTimer = null;
   }
 
-  normalizeVal(val, min, max, newMin, newMax) {
-    const fnName = `${moduleName}/normalizeVal`;
+  /**
+   * Walks the cached url details (and cached redirects) in the namespace a batch at a time,
+   * calling onBatch(entries, cb) with entries like { url, urlDetailsObj } for each batch.
+   */
+  _eachCachedUrlBatch(onBatch, done) {
+    const scanBatch = (cursor) => {
+      this.store.scan(this.redisNS, cursor, cacheScanCount, (err, nextCursor, keys) => {
+        if (err) return done(err);
 
-    // Sanity checking.
-    const args = [val, min, max, newMin, newMax];
-    args.forEach((arg, index) => {
-      if (typeof arg !== 'number' || Number.isNaN(arg)) {
-        winston.error(`${fnName}: input argument index ${index} is not a number.`);
-        return 0;
-      }
-    });
+        const urlKeys = keys.filter((key) => {
+          return cachedUrlPattern.test(key.slice(this.redisNS.length));
+        });
 
-    let percentage = (val - min) / (max - min);
+        return this.store.mget(urlKeys, (mgetErr, replies) => {
+          if (mgetErr) return done(mgetErr);
 
-    // Sanity check - check for division by 0.
-    if (Number.isNaN(percentage)) {
-      percentage = 0;
-    }
+          const entries = urlKeys.map((key, index) => {
+            let urlDetailsObj = null;
 
-    const outputVal = newMin + ((newMax - newMin) * percentage);
+            // Skip other types (or entries that just expired).
+            try {
+              urlDetailsObj = replies[index] ? JSON.parse(replies[index]) : null;
+            } catch (e) {
+              urlDetailsObj = null;
+            }
 
-    return outputVal;
-  }
+            return { url: key.slice(this.redisNS.length), urlDetailsObj };
+          }).filter((entry) => entry.urlDetailsObj);
 
-  /**
-   * Determines the largest number of Tweet favorites.  Needed for relative ranking of Twitter
-   * links.
-   */
-  getMaxTweetFavoriteCount(urlObjects) {
-    const fnName = `${moduleName}/getMaxTweetFavoriteCount`;
-    if (urlObjects.length === 0) return 0;
+          return onBatch(entries, (batchErr) => {
+            if (batchErr) return done(batchErr);
 
-    const sort = R.sortBy((a) => a.tweetFavoriteCount || 0);
-    const urlsObjectsSorted = sort(urlObjects);
-    const maxItem = urlsObjectsSorted[urlsObjectsSorted.length - 1];
+            if (nextCursor === '0') return done(null);
 
-    if (!maxItem) {
-      winston.error(`${fnName}: maxItem is null`);
-      console.log(JSON.stringify(urlsObjectsSorted, null, 2))
-      return 0;
-    }
+            return scanBatch(nextCursor);
+          });
+        });
+      });
+    };
 
-    return R.prop('tweetFavoriteCount', maxItem) || 0;
+    scanBatch('0');
   }
 
   /**
-   * Determines the segment distribution of favorites.  Used for ranking, to ensure that numbers
-   * are scaled correctly (e.g. so that a high value such as 1000 [rank 10] doesn't outweigh
-   * everything else, and push all their ranks to 1).
+   * Gets the cacheTTLs outcome for cached url details.
    */
-  getObjSegments(key, urlObjects) {
-    const fnName = `${moduleName}/getObjSegments`;
-    if (urlObjects.length === 0) return 0;
+  _getCacheOutcome(urlDetailsObj) {
+    if (urlDetailsObj.redirect) return 'redirect';
 
-    const arr = R.pluck(key, urlObjects);
-    return this.getStandardizedSegments(arr);
-  }
+    if (urlDetailsObj.scrapeSkipped) return skippedCacheOutcomes[urlDetailsObj.scrapeSkipped];
 
-  getPocketSegments(urlObjects) {
-    const fnName = `${moduleName}/getPocketSegments`;
-    if (urlObjects.length === 0) return 0;
+    const scraperError = urlDetailsObj.scraperError;
 
-    const key = 'pocketTimeAdded';
-    let arr = R.pluck(key, urlObjects);
-    arr = arr.map((ar) => ar && R.prop('length', ar));
+    if (!scraperError) return 'success';
+    if (scraperError === 'No response') return 'noResponse';
+    if (scraperError.match(/^HTTP (5|429)/)) return 'serverError';
+    if (scraperError.match(/^HTTP /)) return 'clientError';
 
-    return this.getStandardizedSegments(arr);
+    return 'unsupportedContentType';
   }
 
   /**
-   * Fetches Pocket and Twitter urls lists.
+   * Checks cached url details against pruneCache's options.
    */
-  fetchLists(lists, done) {
-    const fnName = `${moduleName}/fetchLists`;
-    const parallelFns = [];
+  _shouldPruneUrl(urlDetailsObj, isListed, args) {
+    if (urlDetailsObj[urlRemovedFlagKey] && !args.includeRemoved) return false;
 
-    this._timerStart(fnName);
+    if (args.errorsOnly && !urlDetailsObj.scraperError) return false;
 
-    client.get(`${redisNS}${redisIsFetchingKey}`, (err, reply) => {
-      if (reply !== '0') {
-        winston.debug(`${fnName}: list fetching already active.`);
-        return done(`${fnName}: list fetching already active.`);
-      } else {
-        winston.debug(`${fnName}: starting list fetching`);
-      }
+    if (args.orphans) {
+      // Redirects are never listed themselves, so check where they lead.
+      const isOrphan = urlDetailsObj.redirect ? !args.listedUrls.has(urlDetailsObj.redirect) :
+        !isListed;
 
-      return client.set(`${redisNS}${redisIsFetchingKey}`, Date.now(), (err, reply) => {
-        if (err) winston.error(`${fnName} redis set error: ${err}`);
+      if (!isOrphan) return false;
+    }
 
-        // Pocket
-        lists.pocket.forEach((pocketList) => {
-          // Separate call for each Pocket tag.
-          winston.debug(`${fnName} Pocket ${pocketList.username}`);
-          pocketList.tags.forEach((tag) => {
-            let pocketArgs = Object.assign({}, pocketList, { tag });
-            parallelFns.push((parallelCb) => this.fetchPocketList(pocketArgs, parallelCb));
-          });
-        });
+    if (args.olderThanDays) {
+      // Entries cached before scrapedAt was added fall back to when their source found them.
+      const cachedAt = urlDetailsObj.scrapedAt || urlDetailsObj.timestamp;
 
-        // Twitter
-        lists.twitter.forEach((twitterList) => {
-          winston.debug(`${fnName} Twitter`, twitterList);
-          parallelFns.push((parallelCb) => this.fetchTwitterList(twitterList, parallelCb));
-        });
+      if (!cachedAt || Date.now() - cachedAt < args.olderThanDays * 86400000) return false;
+    }
 
-        // No-op, no lists to process.
-        if (parallelFns.length === 0) {
-          winston.debug(`${fnName}: no lists to fetch`);
-          client.set(`${redisNS}${redisIsFetchingKey}`, 0);
-          return done(`${fnName}: no lists to fetch`);
-        }
+    return true;
+  }
 
-        return async.parallelLimit(parallelFns, 2, (err, urls) => {
-          if (err) winston.error(`${fnName} parallelLimit error: ${err}`);
+  /**
+   * Deletes cached url details, walking the cache a batch at a time.  Options (at least one of
+   * the first three is required, and entries must match all those given):
+   *   olderThanDays - scraped more than this many days ago.
+   *   errorsOnly - failed scrapes (with a scraperError).
+   *   orphans - urls missing from the urls list, and redirects to them.
+   *   includeRemoved - also delete urls removed with removeUrl (kept by default, so they stay
+   *     removed).
+   *   dryRun - only report what would be deleted.
+   * Calls back with { scanned, deleted }, where deleted is the list of deleted urls.
+   */
+  pruneCache(args, done) {
+    const fnName = `${moduleName}/pruneCache`;
 
-          // Combine with old url objects if present.
-          const oldList = R.path(['oldList', 'list'], lists) || [];
-          const oldListLength = R.path(['length'], oldList) || 0;
+    const argsCopy = Object.assign({}, args);
 
-          const pocketLength = R.path([0, 'length'], urls) || 0;
-          const twitterLength = R.path([1, 'length'], urls) || 0;
+    if (!argsCopy.olderThanDays && !argsCopy.errorsOnly && !argsCopy.orphans) {
+      return done(`${fnName}: olderThanDays, errorsOnly or orphans is required`);
+    }
 
-          winston.debug(`${fnName}: ${oldListLength} old urls.`);
-          winston.debug(`${fnName}: ${pocketLength} new Pocket urls.`);
-          winston.debug(`${fnName}: ${twitterLength} new Twitter urls.`);
+    const urlsKey = `${this.redisNS}urls`;
+    const removedUrlsKey = `${this.redisNS}${redisRemovedUrlsKey}`;
+    const result = { scanned: 0, deleted: [] };
 
-          // Combine all lists together.
-          let allUrls = R.flatten(urls, oldList);
+    // Deletes a batch of urls, along with their places in the urls and removed urls lists.
+    const deleteUrls = (urls, cb) => {
+      if (argsCopy.dryRun || urls.length === 0) return cb();
 
-          // Reject null urls.  TODO: investigate further up why this is happening.
-          allUrls = R.reject(R.isNil, allUrls);
+      return async.series([
+        (seriesCb) => this.store.del(urls.map((url) => `${this.redisNS}${url}`), seriesCb),
+        (seriesCb) => async.eachSeries(urls, (url, eachCb) => {
+          this.store.listRemove(urlsKey, url, () => {
+            this.store.listRemove(removedUrlsKey, url, () => eachCb());
+          });
+        }, seriesCb)
+      ], cb);
+    };
 
-          // Remove dupes.
-          winston.debug(`${fnName}: ${allUrls.length} urls before dupe removal.`);
+    const pruneBatch = (entries, cb) => {
+      const prunedUrls = entries
+        .filter((entry) => {
+          return this._shouldPruneUrl(entry.urlDetailsObj, argsCopy.listedUrls.has(entry.url),
+            argsCopy);
+        })
+        .map((entry) => entry.url);
 
-          // TODO: uniqWith instead?
-          allUrls = R.unionWith(R.eqBy(R.prop('url')), allUrls, oldList);
-          winston.debug(`${fnName}: ${allUrls.length} after dupe removal.`);
+      result.scanned += entries.length;
+      result.deleted = result.deleted.concat(prunedUrls);
 
-          // Filter out old urls.
-          winston.debug(`${fnName}: ${allUrls.length} urls before removing stale urls.`);
-          const getTime = (obj) => {
-            const pocketTimeAdded = R.path('pocketTimeAdded', 'length', obj) || 0;
-            
-            if (pocketTimeAdded > 0) {
-              // TODO: return newest time instead
-              return obj.pocketTimeAdded[0];
-            } else {
-              return obj.articleTimestamp;
-            }
-          };
-          allUrls = this.filterStaleUrls(allUrls, getTime);
+      deleteUrls(prunedUrls, cb);
+    };
 
-          // 1-10 ranking.
-          allUrls = this.rankUrls(allUrls);
+    return this.store.listRange(urlsKey, (err, listedUrls) => {
+      if (err) {
+        winston.error(`${fnName}: ${err}`);
+        return done(err);
+      }
 
-          // Remove old low-ranking articles.
-          const now = Date.now();
-          allUrls = this.filterStaleUrls(allUrls, getTime, (urlObj, timeMS) => {
-            const olderThanAWeek = now - timeMS > msInAWeek;
-            const isStale = urlObj.rank < 6 && olderThanAWeek;
-            return !isStale;
-          });
-          winston.debug(`${fnName}: ${allUrls.length} urls after removing stale urls.`);
+      argsCopy.listedUrls = new Set(listedUrls || []);
 
-          this._timerEnd(fnName);
-          client.set(`${redisNS}${redisIsFetchingKey}`, 0);
+      return this._eachCachedUrlBatch(pruneBatch, (batchErr) => {
+        if (batchErr) {
+          winston.error(`${fnName}: ${batchErr}`);
+          return done(batchErr);
+        }
 
-          return done(null, allUrls);
-        });
+        winston.info(`${fnName}: ${argsCopy.dryRun ? 'would delete' : 'deleted'} \
+${result.deleted.length} of ${result.scanned} cached urls`);
+
+        return done(null, result);
       });
     });
   }
 
-  /*
-   * Gets tweets from a user's Twitter list.  With keyword filtering to discard irrelevant tweets.
+  /**
+   * Migrates every cached url record with an older schema version (see registerMigration), rather
+   * than waiting for them to be read.  With `dryRun`, only counts them.  Calls back with counts,
+   * e.g. { scanned: 10, migrated: 2 }.
    */
-  fetchTwitterList(args, done) {
-    const fnName = `${moduleName}/fetchTwitterList`;
-    winston.debug(`${fnName} ${args.owner}/${args.name}`);
+  migrateCache(args, done) {
+    const fnName = `${moduleName}/migrateCache`;
 
     const argsCopy = Object.assign({}, args);
+    const counts = { scanned: 0, migrated: 0 };
 
-    this._timerStart(fnName);
+    const migrateBatch = (entries, cb) => {
+      const migratedEntries = entries
+        .map((entry) => ({
+          url: entry.url,
+          urlDetailsObj: entry.urlDetailsObj,
+          migratedObj: this.migrateUrlDetails(entry.urlDetailsObj)
+        }))
+        .filter((entry) => entry.migratedObj !== entry.urlDetailsObj);
 
-    this._asyncGetTwitterList(argsCopy, (err, tweets) => {
-      this._timerEnd(fnName);
+      counts.scanned += entries.length;
+      counts.migrated += migratedEntries.length;
 
-      // Sanity checks
-      if (err) return done(`${fnName} ${err}`);
-      if (tweets.length === 0) {
-        const noTweetsError = `${fnName} No tweets - network problems?`;
-        winston.error(noTweetsError);
-        return done(noTweetsError);
-      }
+      if (argsCopy.dryRun) return cb();
 
-      //winston.debug(`${fnName}: ${tweets.length} tweets returned before processing.`);
+      return async.eachSeries(migratedEntries, (entry, eachCb) => {
+        const migratedObj = entry.migratedObj;
 
-      // Filter out obviously irrelevant tweets.  After url scraping, we'll have to run this again.
-      let filteredTweets = this.filterTweets(tweets, this.ignoreWords);
+        // Removed urls are kept without a TTL, so they stay removed.
+        if (migratedObj[urlRemovedFlagKey]) {
+          return this.store.set(`${this.redisNS}${entry.url}`, JSON.stringify(migratedObj),
+            eachCb);
+        }
 
-      // Pare down list to a manageable size.
-      //filteredTweets = filteredTweets.splice(0, 300);
+        return this._cacheUrlDetails(entry.url, migratedObj, this._getCacheOutcome(migratedObj),
+          eachCb);
+      }, cb);
+    };
 
-      argsCopy.ignoreWords = this.ignoreWords;
+    this._eachCachedUrlBatch(migrateBatch, (err) => {
+      if (err) {
+        winston.error(`${fnName}: ${err}`);
+        return done(err);
+      }
 
-      // Data massaging for each tweet.
-      return this.tweetsToURLs(filteredTweets, argsCopy, done);
+      winston.info(`${fnName}: ${argsCopy.dryRun ? 'would migrate' : 'migrated'} \
+${counts.migrated} of ${counts.scanned} cached urls to version ${this.schemaVersion}`);
+
+      return done(null, counts);
     });
   }
 
-  /*
-   * Gets a user's Pocket list.  No keyword filtering needed here, as Pocket is more curated
-   * already.
-   * TODO: pagination
-   * TODO: replace fetch and Promises
+  /**
+   * Writes a snapshot of the namespace's cache (url details, cached redirects and the urls list)
+   * to a writable stream, as JSON Lines, e.g.
+   *   {"type":"snapshot","version":1,"namespace":"la-","exportedAt":1487600000000}
+   *   {"type":"url","url":"https://a.com/","details":{"title":"A",...}}
+   *   {"type":"redirect","url":"https://bit.ly/a","redirect":"https://a.com/"}
+   *   {"type":"urls","urls":["https://a.com/"]}
+   * The stream is left open.  Calls back with counts, e.g. { urls: 1, redirects: 1, listed: 1 }.
    */
-  fetchPocketList(args, done) {
-    const fnName = `${moduleName}/fetchPocketList`;
-    winston.debug(`${fnName}: ${args.username}`);
+  exportCache(output, done) {
+    const fnName = `${moduleName}/exportCache`;
 
-    done = done || (() => {});
+    const counts = { urls: 0, redirects: 0, listed: 0 };
 
-    const argsCopy = Object.assign({}, args);
-    const { consumerKey, accessToken, apiUrl, fetchStub } = argsCopy;
-    const username = argsCopy.username || '';
-    const tag = argsCopy.tag || '';
+    const writeLine = (obj) => output.write(`${JSON.stringify(obj)}\n`);
 
-    // Sanity checks.
-    const argsNotPresent = this.findUndefinedArgs(args, ['consumerKey', 'accessToken', 'apiUrl']);
+    writeLine({
+      type: 'snapshot',
+      version: cacheSnapshotVersion,
+      namespace: this.redisNS,
+      exportedAt: Date.now()
+    });
 
-    if (argsNotPresent.length > 0) {
-      const argsNotPresentStr = argsNotPresent.join(', ');
-      const argsNotPresentError = `${fnName} error: required args are not present: ${argsNotPresentStr}`;
-      winston.error(argsNotPresentError);
-      return done(argsNotPresentError);
-    }
+    const exportBatch = (entries, cb) => {
+      let isBufferFull = false;
 
-    // Use fetchStub for tests.
-    const fetchAction = fetchStub || fetch;
+      entries.forEach((entry) => {
+        if (entry.urlDetailsObj.redirect) {
+          counts.redirects++;
+          isBufferFull = !writeLine({
+            type: 'redirect',
+            url: entry.url,
+            redirect: entry.urlDetailsObj.redirect
+          });
+        } else {
+          counts.urls++;
+          isBufferFull = !writeLine({ type: 'url', url: entry.url, details: entry.urlDetailsObj });
+        }
+      });
 
-    this._timerStart(fnName);
+      // Let the stream catch up before reading more.
+      if (isBufferFull) return output.once('drain', cb);
 
-    const maxAgeTimestampMS = Date.now() - msInAMonth;
-    const maxAgeTimestampS = maxAgeTimestampMS / 1000;
+      return cb();
+    };
 
-    const fetchPocket = fetchAction(apiUrl, {
-      method: 'post',
-      mode: 'cors',
-      body: JSON.stringify({
-        // See http://www.jamesfmackenzie.com/getting-started-with-the-pocket-developer-api/
-        consumer_key: consumerKey,
-        access_token: accessToken,
-        tag,
-        since: maxAgeTimestampS
-      }),
-      headers: {
-        'X-Accept': 'application/json',
-        'Content-Type': 'application/json; charset=UTF8'
-      }
-    })
-    .then(response => {
-      if (!response.ok) {
-        return new Error(`${fnName}: ${apiUrl} HTTP status ${response.status}`);
+    this._eachCachedUrlBatch(exportBatch, (err) => {
+      if (err) {
+        winston.error(`${fnName}: ${err}`);
+        return done(err);
       }
 
-      return response.json();
-    });
-
-    // TODO: make timeout configurable.
-    const timeout = new Promise((resolve, reject) => {
-      setTimeout(() => reject(new Error('request timeout')), 8000);
-    });
+      return this.store.listRange(`${this.redisNS}urls`, (listErr, urls) => {
+        if (listErr) {
+          winston.error(`${fnName}: ${listErr}`);
+          return done(listErr);
+        }
 
-    Promise.race([
-      fetchPocket,
-      timeout
-    ])
-    .then((pocketAPIResponse) => {
-      this._timerEnd(fnName);
+        counts.listed = (urls || []).length;
+        writeLine({ type: 'urls', urls: urls || [] });
 
-      winston.debug(`${fnName} pocket response for ${username} status: ${pocketAPIResponse.status} complete: ${pocketAPIResponse.complete} error: ${pocketAPIResponse.error}`);
+        winston.info(`${fnName}: exported ${counts.urls} urls and ${counts.redirects} redirects`);
 
-      return this.pocketToURLs(pocketAPIResponse, {
-        tag,
-        username
-      }, (err, response) => {
-        if (err) winston.error(`${fnName} pocketToURLs: ${err}`);
-        done(err, response);
+        return done(null, counts);
       });
-    })
-    .catch(error => {
-      const pocketResponseError = `${fnName}: ${error.message}`;
-      winston.error(pocketResponseError);
-      done(pocketResponseError);
     });
   }
 
   /**
-   * Converts a raw Pocket object into a formatted URL object.
+   * Restores a snapshot written by exportCache (from a readable stream) into this namespace.
+   * Options: `overwrite` - clear the namespace's cached url entries (removed urls included) and
+   * urls list first, so it ends up with just the snapshot's.  By default the snapshot is merged in,
+   * keeping entries already cached and adding snapshot urls to the urls list.  Calls back with counts, e.g. { urls: 1, redirects: 1, listed: 1, skipped: 0 }.
    */
-  pocketToURL(pocketUrlObj, args, done) {
-    const fnName = `${moduleName}/pocketToURL`;
+  importCache(input, args, done) {
+    const fnName = `${moduleName}/importCache`;
 
-    //winston.debug(fnName);
+    const argsCopy = Object.assign({}, args);
+    const counts = { urls: 0, redirects: 0, listed: 0, skipped: 0 };
+    const entries = [];
+    let listedUrls = [];
+    let lineNumber = 0;
+    let parseError = null;
 
-    const urlDetailsArgs = {
-      pocketObj: Object.assign({}, pocketUrlObj, args)
-    };
+    const lines = readline.createInterface({ input });
 
-    // Get scraped info for this url.
-    return this.getUrlDetails(pocketUrlObj.resolved_url, urlDetailsArgs, (err, urlDetailsObj) => {
-      if (err) winston.error(`${fnName} getUrlDetails: ${err}`);
+    // Read the whole snapshot first, so nothing is written if it's invalid.
+    lines.on('line', (line) => {
+      lineNumber++;
 
-      // Return early if url was rejected.
-      if (!urlDetailsObj) return done();
+      if (parseError || !line.trim()) return;
 
-      return done(null, urlDetailsObj);
+      let lineObj;
+      try {
+        lineObj = JSON.parse(line);
+      } catch (e) {
+        parseError = `${fnName}: invalid JSON on line ${lineNumber}`;
+        return;
+      }
+
+      if (lineObj.type === 'snapshot' && lineObj.version > cacheSnapshotVersion) {
+        parseError = `${fnName}: unsupported snapshot version ${lineObj.version}`;
+      } else if (lineObj.type === 'url') {
+        entries.push({ url: lineObj.url, urlDetailsObj: lineObj.details });
+      } else if (lineObj.type === 'redirect') {
+        entries.push({ url: lineObj.url, urlDetailsObj: { redirect: lineObj.redirect } });
+      } else if (lineObj.type === 'urls') {
+        listedUrls = lineObj.urls || [];
+      }
     });
-  }
 
-  /**
-   * Converts raw Pocket objects into formatted URL objects.
-   */
-  pocketToURLs(pocketAPIResponse, args, done) {
-    const fnName = `${moduleName}/pocketToURLs`;
+    lines.on('close', () => {
+      if (parseError) {
+        winston.error(parseError);
+        return done(parseError);
+      }
 
-    //winston.debug(fnName);
+      const importEntry = (entry, cached, cb) => {
+        if (cached && !argsCopy.overwrite) {
+          counts.skipped++;
+          return cb();
+        }
 
-    const pocketURLsUnfiltered = R.values(pocketAPIResponse.list);
+        if (entry.urlDetailsObj.redirect) {
+          counts.redirects++;
+        } else {
+          counts.urls++;
+        }
 
-    // Filter out old urls.
-    let pocketURLs = this.filterStaleUrls(pocketURLsUnfiltered, (obj) => R.prop('time_added', obj) * 1000);
-    const stalePocketURLObjects = R.differenceWith((x, y) => x.url === y.url, pocketURLsUnfiltered, pocketURLs);
-    const stalePocketURLs = R.pluck('url', stalePocketURLObjects);
-    winston.debug(`${fnName}: ${stalePocketURLs.length} stale Pocket urls found`, stalePocketURLs);
-    winston.debug(`${pocketURLs.length} Pocket links returned before processing.`);
+        // Snapshots may be from before the latest migrations.
+        const urlDetailsObj = this.migrateUrlDetails(entry.urlDetailsObj);
 
-    const parallelFns = pocketURLs.map((obj) => (parallelCb) => {
-      const urlObj = this.pocketToURL(obj, args, parallelCb);
+        // Removed urls are kept without a TTL, so they stay removed.
+        if (urlDetailsObj[urlRemovedFlagKey]) {
+          const removedKey = `${this.redisNS}${entry.url}`;
 
-      //winston.debug(`${fnName}: ${obj.resolved_url}`);
+          return this.store.set(removedKey, JSON.stringify(urlDetailsObj), () => {
+            this.store.listPushUnique(`${this.redisNS}${redisRemovedUrlsKey}`, entry.url,
+              () => cb());
+          });
+        }
 
-      return urlObj;
-    });
+        return this._cacheUrlDetails(entry.url, urlDetailsObj,
+          this._getCacheOutcome(urlDetailsObj), () => cb());
+      };
 
-    return async.parallelLimit(parallelFns, 5, (err, urlObjs) => {
-      if (err) winston.error(`${fnName} parallelLimit: err`);
+      const importBatch = (batch, cb) => {
+        this.store.mget(batch.map((entry) => `${this.redisNS}${entry.url}`), (err, replies) => {
+          if (err) return cb(err);
 
-      let urlObjsCopy = urlObjs.concat();
+          return async.eachOfSeries(batch, (entry, index, eachCb) => {
+            importEntry(entry, replies[index], eachCb);
+          }, cb);
+        });
+      };
 
-      return done(null, urlObjsCopy);
+      // Clears out entries missing from the snapshot too, when overwriting.
+      const clearCache = (cb) => {
+        if (!argsCopy.overwrite) return cb();
+
+        return this._eachCachedUrlBatch((batch, batchCb) => {
+          if (batch.length === 0) return batchCb();
+
+          return this.store.del(batch.map((entry) => `${this.redisNS}${entry.url}`),
+            (err) => batchCb(err));
+        }, (err) => {
+          if (err) return cb(err);
+
+          const listKeys = [`${this.redisNS}urls`, `${this.redisNS}${redisRemovedUrlsKey}`];
+          return this.store.del(listKeys, (delErr) => cb(delErr));
+        });
+      };
+
+      // Pushed oldest first, so the list keeps the snapshot's order.
+      const importList = (cb) => {
+        counts.listed = listedUrls.length;
+
+        return async.eachSeries(R.reverse(listedUrls), (url, eachCb) => {
+          this.store.listPushUnique(`${this.redisNS}urls`, url, (err) => eachCb(err));
+        }, cb);
+      };
+
+      return async.series([
+        clearCache,
+        (seriesCb) => async.eachSeries(R.splitEvery(cacheScanCount, entries), importBatch,
+          seriesCb),
+        importList
+      ], (err) => {
+        if (err) {
+          winston.error(`${fnName}: ${err}`);
+          return done(err);
+        }
+
+        winston.info(`${fnName}: imported ${counts.urls} urls and ${counts.redirects} redirects`);
+
+        return done(null, counts);
+      });
     });
   }
 }
 
 module.exports = Aggregator;
+module.exports.RateLimitedError = RateLimitedError;
@@ -0,0 +1,118 @@
+/*
+ * robots-txt
+ * Parses robots.txt files and checks what a bot may fetch, following
+ * https://www.rfc-editor.org/rfc/rfc9309 plus the common Crawl-delay extension.
+ */
+
+const escapeRegExp = (str) => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+class RobotsTxt {
+  constructor(text) {
+    // Rule groups, e.g. [{ agents: ['*'], rules: [{ allow: false, path: '/admin' }],
+    // crawlDelayMS: null }].
+    this.groups = this._parse(`${text || ''}`);
+  }
+
+  _parse(text) {
+    const groups = [];
+    let group = null;
+    let isInAgentLines = false;
+
+    text.split(/\r\n|\r|\n/).forEach((rawLine) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separatorIndex = line.indexOf(':');
+
+      if (separatorIndex === -1) return;
+
+      const field = line.slice(0, separatorIndex).trim().toLowerCase();
+      const value = line.slice(separatorIndex + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share a group.
+        if (!isInAgentLines) {
+          group = { agents: [], rules: [], crawlDelayMS: null };
+          groups.push(group);
+        }
+
+        group.agents.push(value.toLowerCase());
+        isInAgentLines = true;
+        return;
+      }
+
+      isInAgentLines = false;
+
+      if (!group) return;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything, so it adds no rule.
+        if (value) group.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay') {
+        const seconds = parseFloat(value);
+        if (!isNaN(seconds)) group.crawlDelayMS = seconds * 1000;
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Gets the groups that apply to a bot: those naming it, or else those for every bot (*).
+   */
+  _getGroups(botName) {
+    const botNameCopy = `${botName}`.toLowerCase();
+
+    const namedGroups = this.groups.filter((group) => group.agents.indexOf(botNameCopy) !== -1);
+
+    if (namedGroups.length > 0) return namedGroups;
+
+    return this.groups.filter((group) => group.agents.indexOf('*') !== -1);
+  }
+
+  /**
+   * Checks a rule path against a url path (with query string).  `*` matches anything, and a
+   * trailing `$` matches the end of the path.
+   */
+  _matches(rulePath, path) {
+    const isAnchored = rulePath[rulePath.length - 1] === '$';
+    const pattern = (isAnchored ? rulePath.slice(0, -1) : rulePath)
+      .split('*')
+      .map(escapeRegExp)
+      .join('.*');
+
+    return new RegExp(`^${pattern}${isAnchored ? '$' : ''}`).test(path);
+  }
+
+  /**
+   * Checks whether a bot may fetch a path, e.g. isAllowed('link-aggregator', '/blog/?page=2').
+   * The most specific (longest) matching rule wins, with Allow winning ties.
+   */
+  isAllowed(botName, path) {
+    let bestRule = null;
+
+    this._getGroups(botName).forEach((group) => {
+      group.rules.forEach((rule) => {
+        if (!this._matches(rule.path, path)) return;
+
+        const isLonger = !bestRule || rule.path.length > bestRule.path.length;
+        const isTiedAllow = !!bestRule && rule.path.length === bestRule.path.length && rule.allow;
+
+        if (isLonger || isTiedAllow) bestRule = rule;
+      });
+    });
+
+    return !bestRule || bestRule.allow;
+  }
+
+  /**
+   * Gets how long a bot should wait between requests (ms), or null if robots.txt doesn't say.
+   */
+  getCrawlDelayMS(botName) {
+    const crawlDelays = this._getGroups(botName)
+      .map((group) => group.crawlDelayMS)
+      .filter((crawlDelayMS) => crawlDelayMS !== null);
+
+    return (crawlDelays.length > 0) ? Math.max(...crawlDelays) : null;
+  }
+}
+
+module.exports = RobotsTxt;
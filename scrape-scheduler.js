@@ -0,0 +1,130 @@
+/*
+ * scrape-scheduler
+ * Queues page requests so no single host gets hammered: caps requests in flight overall and per
+ * host, and spaces out the start of requests to the same host.
+ */
+const urlUtil = require('url');
+
+const defaultMaxConcurrency = 10;
+const defaultMaxPerHost = 2;
+const defaultHostDelayMS = 1000;
+
+class ScrapeScheduler {
+  /**
+   * Options: `maxConcurrency` (requests in flight overall), `maxPerHost` (requests in flight per
+   * host), `hostDelayMS` (minimum time between starting requests to the same host).
+   */
+  constructor(options) {
+    const optionsCopy = Object.assign({}, options);
+
+    this.maxConcurrency = optionsCopy.maxConcurrency || defaultMaxConcurrency;
+    this.maxPerHost = optionsCopy.maxPerHost || defaultMaxPerHost;
+    this.hostDelayMS = (typeof optionsCopy.hostDelayMS === 'number') ?
+      optionsCopy.hostDelayMS : defaultHostDelayMS;
+
+    // Tasks waiting to run, oldest first, e.g. [{ host: 'medium.com', task }].
+    this.queue = [];
+
+    this.active = 0;
+    this.activeByHost = {};
+
+    // When the last request to each host started (ms), and hosts asking for a longer delay than
+    // hostDelayMS (e.g. with a robots.txt Crawl-delay).
+    this.lastStartByHost = {};
+    this.hostDelayByHost = {};
+
+    // Timer for the next task waiting on a host delay.
+    this._timer = null;
+  }
+
+  /**
+   * Runs task(release) once there's room for another request to the url's host.  The task must
+   * call release() when its request is done.
+   */
+  schedule(url, task) {
+    this.queue.push({ host: urlUtil.parse(url).hostname || '', task });
+    this._runNext();
+  }
+
+  /**
+   * Sets the minimum time between starting requests to a host, if longer than hostDelayMS.
+   */
+  setHostDelay(host, delayMS) {
+    if (delayMS > this.hostDelayMS) {
+      this.hostDelayByHost[host] = delayMS;
+    } else {
+      delete this.hostDelayByHost[host];
+    }
+
+    this._runNext();
+  }
+
+  /**
+   * Starts every queued task that can run now, oldest first, and sets a timer for the first one
+   * waiting on a host delay.
+   */
+  _runNext() {
+    const now = Date.now();
+    const readyJobs = [];
+    let nextWakeMS = null;
+
+    this.queue = this.queue.filter((job) => {
+      if (this.active >= this.maxConcurrency) return true;
+
+      if ((this.activeByHost[job.host] || 0) >= this.maxPerHost) return true;
+
+      const hostDelayMS = this.hostDelayByHost[job.host] || this.hostDelayMS;
+      const readyAtMS = (this.lastStartByHost[job.host] || 0) + hostDelayMS;
+
+      if (readyAtMS > now) {
+        nextWakeMS = Math.min(nextWakeMS === null ? Infinity : nextWakeMS, readyAtMS - now);
+        return true;
+      }
+
+      this._reserve(job, now);
+      readyJobs.push(job);
+
+      return false;
+    });
+
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+
+    if (nextWakeMS !== null) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._runNext();
+      }, nextWakeMS);
+    }
+
+    // Started once the queue is settled, since tasks may schedule (or finish) synchronously.
+    readyJobs.forEach((job) => this._start(job));
+  }
+
+  /**
+   * Counts a task against its host's limits.
+   */
+  _reserve(job, now) {
+    this.active++;
+    this.activeByHost[job.host] = (this.activeByHost[job.host] || 0) + 1;
+    this.lastStartByHost[job.host] = now;
+  }
+
+  _start(job) {
+    let isReleased = false;
+
+    job.task(() => {
+      // Only count the first release.
+      if (isReleased) return;
+      isReleased = true;
+
+      this.active--;
+      this.activeByHost[job.host]--;
+      if (this.activeByHost[job.host] === 0) delete this.activeByHost[job.host];
+
+      this._runNext();
+    });
+  }
+}
+
+module.exports = ScrapeScheduler;
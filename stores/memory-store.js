@@ -0,0 +1,220 @@
+/*
+ * memory-store
+ * Storage kept in memory, for local development and tests.  Nothing is shared between processes
+ * or kept after exiting.
+ */
+
+class MemoryStore {
+  constructor() {
+    // Entries keyed by key, e.g. { type: 'list', value: ['a'], expireAtMS: null }.
+    this.data = new Map();
+  }
+
+  /**
+   * Gets an entry, removing it if it has expired.
+   */
+  _getEntry(key) {
+    const entry = this.data.get(key);
+
+    if (entry && entry.expireAtMS && entry.expireAtMS <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  }
+
+  _getValue(key, type, defaultValue) {
+    const entry = this._getEntry(key);
+
+    return (entry && entry.type === type) ? entry.value : defaultValue;
+  }
+
+  get(key, done) {
+    setImmediate(() => done(null, this._getValue(key, 'string', null)));
+  }
+
+  mget(keys, done) {
+    setImmediate(() => done(null, keys.map((key) => this._getValue(key, 'string', null))));
+  }
+
+  /**
+   * Sets a value.  Options: `ttlMS` (expire the value after this long), or `keepTTL` (only update
+   * a value that's still there, keeping the time it has left).
+   */
+  set(key, value, options, done) {
+    const optionsCopy = (typeof options === 'object' && options) || {};
+    const doneCopy = (typeof options === 'function') ? options : done;
+    const entry = this._getEntry(key);
+
+    if (optionsCopy.keepTTL && !entry) {
+      if (doneCopy) setImmediate(() => doneCopy(null, null));
+      return;
+    }
+
+    this.data.set(key, {
+      type: 'string',
+      value: `${value}`,
+      expireAtMS: optionsCopy.keepTTL ?
+        entry.expireAtMS :
+        (optionsCopy.ttlMS && Date.now() + optionsCopy.ttlMS) || null
+    });
+
+    if (doneCopy) setImmediate(() => doneCopy(null, 'OK'));
+  }
+
+  /**
+   * Deletes one key or an array of keys.
+   */
+  del(keys, done) {
+    const deletedCount = [].concat(keys).filter((key) => this.data.delete(key)).length;
+
+    if (done) setImmediate(() => done(null, deletedCount));
+  }
+
+  /**
+   * Gets a batch of `count` keys starting with `prefix`.  Start with cursor '0', and pass the
+   * next cursor back in until it's '0' again.  Calls back with (err, nextCursor, keys).
+   */
+  scan(prefix, cursor, count, done) {
+    const lastKey = (cursor === '0') ? '' : cursor;
+    const keys = Array.from(this.data.keys())
+      .filter((key) => key.indexOf(prefix) === 0 && key > lastKey && this._getEntry(key))
+      .sort()
+      .slice(0, count);
+    const nextCursor = (keys.length < count) ? '0' : keys[keys.length - 1];
+
+    setImmediate(() => done(null, nextCursor, keys));
+  }
+
+  /**
+   * Pushes a value onto the front of a list, unless it's already in the list.
+   */
+  listPushUnique(key, value, done) {
+    const list = this._getValue(key, 'list', []);
+
+    if (list.indexOf(`${value}`) === -1) {
+      this.data.set(key, { type: 'list', value: [`${value}`].concat(list), expireAtMS: null });
+    }
+
+    if (done) setImmediate(() => done(null, 0));
+  }
+
+  /**
+   * Gets all values in a list, most recently pushed first.
+   */
+  listRange(key, done) {
+    setImmediate(() => done(null, this._getValue(key, 'list', []).concat()));
+  }
+
+  listRemove(key, value, done) {
+    const list = this._getValue(key, 'list', []);
+    const newList = list.filter((listValue) => listValue !== `${value}`);
+
+    if (newList.length === 0) {
+      this.data.delete(key);
+    } else {
+      this.data.set(key, { type: 'list', value: newList, expireAtMS: null });
+    }
+
+    if (done) setImmediate(() => done(null, list.length - newList.length));
+  }
+
+  listLength(key, done) {
+    setImmediate(() => done(null, this._getValue(key, 'list', []).length));
+  }
+
+  /**
+   * Gets a hash as an object, or null if it doesn't exist.
+   */
+  hashGetAll(key, done) {
+    const hash = this._getValue(key, 'hash', null);
+
+    setImmediate(() => done(null, hash && Object.assign({}, hash)));
+  }
+
+  hashSet(key, field, value, done) {
+    const entry = this._getEntry(key);
+    const hash = Object.assign({}, entry && entry.type === 'hash' && entry.value);
+
+    hash[field] = `${value}`;
+    this.data.set(key, { type: 'hash', value: hash, expireAtMS: entry && entry.expireAtMS });
+
+    if (done) setImmediate(() => done(null, 1));
+  }
+
+  hashDel(key, field, done) {
+    const hash = Object.assign({}, this._getValue(key, 'hash', {}));
+    const existed = field in hash;
+
+    delete hash[field];
+
+    if (Object.keys(hash).length === 0) {
+      this.data.delete(key);
+    } else {
+      this._getEntry(key).value = hash;
+    }
+
+    if (done) setImmediate(() => done(null, existed ? 1 : 0));
+  }
+
+  /**
+   * Replaces a hash with an object's fields, optionally expiring it at `expireAtMS`.
+   */
+  hashReplace(key, obj, expireAtMS, done) {
+    const hash = {};
+
+    Object.keys(obj).forEach((field) => { hash[field] = `${obj[field]}`; });
+
+    this.data.set(key, { type: 'hash', value: hash, expireAtMS: expireAtMS || null });
+
+    if (done) setImmediate(() => done(null));
+  }
+
+  /**
+   * Increments a field of an existing hash.  Calls back with the new value, or null if the hash
+   * doesn't exist (e.g. it expired).
+   */
+  hashIncrement(key, field, increment, done) {
+    const hash = this._getValue(key, 'hash', null);
+
+    if (!hash) return setImmediate(() => done(null, null));
+
+    const value = (parseInt(hash[field], 10) || 0) + increment;
+    hash[field] = `${value}`;
+
+    return setImmediate(() => done(null, value));
+  }
+
+  /**
+   * Takes a lock, unless it's already taken.  Calls back with true if the lock was taken.  Locks
+   * expire after `ttlMS`, if given.
+   */
+  lock(key, ttlMS, done) {
+    const isLocked = !!this._getEntry(key);
+
+    if (!isLocked) {
+      this.data.set(key, {
+        type: 'string',
+        value: `${Date.now()}`,
+        expireAtMS: ttlMS ? Date.now() + ttlMS : null
+      });
+    }
+
+    setImmediate(() => done(null, !isLocked));
+  }
+
+  unlock(key, done) {
+    this.data.delete(key);
+
+    if (done) setImmediate(() => done(null));
+  }
+
+  close(done) {
+    this.data.clear();
+
+    if (done) setImmediate(() => done());
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,203 @@
+/*
+ * redis-store
+ * Storage backed by Redis.  Shared by every process using the same Redis server, so list fetching
+ * locks and Twitter rate limit budgets work across processes.
+ */
+const redis = require('redis');
+const winston = require('winston');
+
+// Keep track of module name for logging purposes.
+const moduleName = 'redis-store';
+
+class RedisStore {
+  /**
+   * Either pass in a client (`client`), or a url (`url`) and/or `options` for a new one.
+   */
+  constructor(options) {
+    const optionsCopy = Object.assign({}, options);
+
+    // Clients passed in are left open on close, for their owner to close.
+    this._ownsClient = !optionsCopy.client;
+    this.client = optionsCopy.client || this._createClient(optionsCopy);
+  }
+
+  /**
+   * Connects to Redis, e.g. at `redis://localhost:6379`.
+   */
+  _createClient(options) {
+    const redisOptions = Object.assign({}, options.options);
+
+    if (options.url) return redis.createClient(options.url, redisOptions);
+
+    return redis.createClient(redisOptions);
+  }
+
+  get(key, done) {
+    this.client.get(key, done);
+  }
+
+  mget(keys, done) {
+    if (keys.length === 0) return done(null, []);
+
+    return this.client.mget(keys, done);
+  }
+
+  /**
+   * Sets a value.  Options: `ttlMS` (expire the value after this long), or `keepTTL` (only update
+   * a value that's still there, keeping the time it has left).
+   */
+  set(key, value, options, done) {
+    const optionsCopy = (typeof options === 'object' && options) || {};
+    const doneCopy = (typeof options === 'function') ? options : done;
+    const args = [key, value];
+
+    // Needs Redis 6.
+    if (optionsCopy.keepTTL) {
+      args.push('XX', 'KEEPTTL');
+    } else if (optionsCopy.ttlMS) {
+      args.push('PX', optionsCopy.ttlMS);
+    }
+
+    this.client.set(args, doneCopy);
+  }
+
+  /**
+   * Deletes one key or an array of keys.
+   */
+  del(keys, done) {
+    this.client.del(keys, done);
+  }
+
+  /**
+   * Gets a batch of about `count` keys starting with `prefix`, without blocking the server.
+   * Start with cursor '0', and pass the next cursor back in until it's '0' again.  Calls back
+   * with (err, nextCursor, keys).
+   */
+  scan(prefix, cursor, count, done) {
+    const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+
+    this.client.scan(cursor, 'MATCH', pattern, 'COUNT', count, (err, reply) => {
+      if (err) return done(err);
+      return done(null, reply[0], reply[1]);
+    });
+  }
+
+  /**
+   * Pushes a value onto the front of a list, unless it's already in the list.
+   */
+  listPushUnique(key, value, done) {
+    const fnName = `${moduleName}/listPushUnique`;
+
+    done = done || (() => {});
+
+    const placeholderVal = '__tempForUniquePush';
+    const beforeOrAfterPivot = 'BEFORE';
+
+    // Try to insert placeholder before the value, if it aleady exists.
+    return this.client.linsert(key, beforeOrAfterPivot, value, placeholderVal,
+      (err, linsertReply) => {
+        if (err) winston.error(`${fnName}: ${err}`);
+
+        const keyNotFound = linsertReply === -1;
+        const listEmpty = linsertReply === 0;
+        if (keyNotFound || listEmpty) {
+          // Key doesn't exist in list yet, so push it.
+          this.client.lpush(key, value, (pushErr) => {
+            if (pushErr) winston.error(`${fnName}: ${pushErr}`);
+          });
+        }
+
+        // Cleanup placeholder.
+        return this.client.lrem(key, 0, placeholderVal, done);
+      });
+  }
+
+  /**
+   * Gets all values in a list, most recently pushed first.
+   */
+  listRange(key, done) {
+    this.client.lrange(key, 0, -1, done);
+  }
+
+  listRemove(key, value, done) {
+    this.client.lrem(key, 0, value, done);
+  }
+
+  listLength(key, done) {
+    this.client.llen(key, done);
+  }
+
+  /**
+   * Gets a hash as an object, or null if it doesn't exist.
+   */
+  hashGetAll(key, done) {
+    this.client.hgetall(key, done);
+  }
+
+  hashSet(key, field, value, done) {
+    this.client.hset(key, field, value, done);
+  }
+
+  hashDel(key, field, done) {
+    this.client.hdel(key, field, done);
+  }
+
+  /**
+   * Replaces a hash with an object's fields, optionally expiring it at `expireAtMS`.
+   */
+  hashReplace(key, obj, expireAtMS, done) {
+    const multi = this.client.multi()
+      .del(key)
+      .hmset(key, obj);
+
+    if (expireAtMS) multi.pexpireat(key, expireAtMS);
+
+    multi.exec((err) => done && done(err));
+  }
+
+  /**
+   * Increments a field of an existing hash.  Calls back with the new value, or null if the hash
+   * doesn't exist (e.g. it expired).
+   */
+  hashIncrement(key, field, increment, done) {
+    this.client.multi()
+      .exists(key)
+      .hincrby(key, field, increment)
+      .exec((err, replies) => {
+        const [exists, value] = replies || [];
+
+        if (err) return done(err);
+
+        // Remove the partial hash just created.
+        if (!exists) return this.client.del(key, () => done(null, null));
+
+        return done(null, value);
+      });
+  }
+
+  /**
+   * Takes a lock, unless it's already taken.  Calls back with true if the lock was taken.  Locks
+   * expire after `ttlMS`, if given.
+   */
+  lock(key, ttlMS, done) {
+    const args = [key, Date.now(), 'NX'];
+
+    if (ttlMS) args.push('PX', ttlMS);
+
+    this.client.set(args, (err, reply) => done(err, reply === 'OK'));
+  }
+
+  unlock(key, done) {
+    this.client.del(key, (err) => done && done(err));
+  }
+
+  close(done) {
+    done = done || (() => {});
+
+    if (!this._ownsClient) return done();
+
+    return this.client.quit(() => done());
+  }
+}
+
+module.exports = RedisStore;
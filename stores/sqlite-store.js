@@ -0,0 +1,254 @@
+/*
+ * sqlite-store
+ * Storage kept in a SQLite file, for local development without a Redis server.  Processes using
+ * the same file share data, as with Redis.
+ */
+const winston = require('winston');
+
+// Keep track of module name for logging purposes.
+const moduleName = 'sqlite-store';
+
+const schema = [
+  `CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    expire_at INTEGER
+  )`,
+  `CREATE TABLE IF NOT EXISTS lists (
+    key TEXT,
+    value TEXT,
+    position INTEGER,
+    PRIMARY KEY (key, value)
+  )`,
+  `CREATE TABLE IF NOT EXISTS hashes (
+    key TEXT,
+    field TEXT,
+    value TEXT,
+    expire_at INTEGER,
+    PRIMARY KEY (key, field)
+  )`
+];
+
+// Matches rows that haven't expired.
+const notExpired = '(expire_at IS NULL OR expire_at > ?)';
+
+class SqliteStore {
+  /**
+   * Options: `file` (path to the SQLite file, default in-memory).
+   */
+  constructor(options) {
+    const optionsCopy = Object.assign({}, options);
+
+    // Only needed when this store is used, so it's an optional dependency.
+    let sqlite3;
+    try {
+      sqlite3 = require('sqlite3');
+    } catch (e) {
+      throw new Error(`${moduleName}: needs the sqlite3 package (npm install sqlite3)`);
+    }
+
+    this.db = new sqlite3.Database(optionsCopy.file || ':memory:');
+
+    // Run statements one at a time, in order, so the tables exist before they're used.
+    this.db.serialize();
+    schema.forEach((statement) => this.db.run(statement, (err) => {
+      if (err) winston.error(`${moduleName}: ${err}`);
+    }));
+  }
+
+  get(key, done) {
+    this.db.get(`SELECT value FROM kv WHERE key = ? AND ${notExpired}`, [key, Date.now()],
+      (err, row) => done(err, row ? row.value : null));
+  }
+
+  mget(keys, done) {
+    if (keys.length === 0) return done(null, []);
+
+    const placeholders = keys.map(() => '?').join(', ');
+
+    return this.db.all(`SELECT key, value FROM kv WHERE key IN (${placeholders}) AND ${notExpired}`,
+      keys.concat([Date.now()]), (err, rows) => {
+        if (err) return done(err);
+
+        const values = {};
+        rows.forEach((row) => { values[row.key] = row.value; });
+
+        return done(null, keys.map((key) => (key in values ? values[key] : null)));
+      });
+  }
+
+  /**
+   * Sets a value.  Options: `ttlMS` (expire the value after this long), or `keepTTL` (only update
+   * a value that's still there, keeping the time it has left).
+   */
+  set(key, value, options, done) {
+    const optionsCopy = (typeof options === 'object' && options) || {};
+    const ttlMS = optionsCopy.ttlMS;
+    const doneCopy = (typeof options === 'function') ? options : done;
+
+    if (optionsCopy.keepTTL) {
+      return this.db.run(`UPDATE kv SET value = ? WHERE key = ? AND ${notExpired}`,
+        [`${value}`, key, Date.now()], function(err) {
+          if (doneCopy) doneCopy(err, this.changes ? 'OK' : null);
+        });
+    }
+
+    return this.db.run('INSERT OR REPLACE INTO kv (key, value, expire_at) VALUES (?, ?, ?)',
+      [key, `${value}`, ttlMS ? Date.now() + ttlMS : null], (err) => {
+        if (doneCopy) doneCopy(err, 'OK');
+      });
+  }
+
+  /**
+   * Deletes one key or an array of keys.
+   */
+  del(keys, done) {
+    const keysCopy = [].concat(keys);
+    const placeholders = keysCopy.map(() => '?').join(', ');
+    let deletedCount = 0;
+
+    ['kv', 'lists', 'hashes'].forEach((table) => {
+      this.db.run(`DELETE FROM ${table} WHERE key IN (${placeholders})`, keysCopy, function() {
+        deletedCount += this.changes || 0;
+      });
+    });
+
+    // Statements run in order, so this runs once the deletes are done.
+    this.db.get('SELECT 1', (err) => done && done(err, deletedCount));
+  }
+
+  /**
+   * Gets a batch of `count` keys starting with `prefix`.  Start with cursor '0', and pass the
+   * next cursor back in until it's '0' again.  Calls back with (err, nextCursor, keys).
+   */
+  scan(prefix, cursor, count, done) {
+    const lastKey = (cursor === '0') ? '' : cursor;
+    const now = Date.now();
+
+    this.db.all(`SELECT key FROM (
+        SELECT key FROM kv WHERE ${notExpired}
+        UNION SELECT key FROM lists
+        UNION SELECT key FROM hashes WHERE ${notExpired}
+      ) WHERE substr(key, 1, ?) = ? AND key > ? ORDER BY key LIMIT ?`,
+      [now, now, prefix.length, prefix, lastKey, count], (err, rows) => {
+        if (err) return done(err);
+
+        const keys = rows.map((row) => row.key);
+        const nextCursor = (keys.length < count) ? '0' : keys[keys.length - 1];
+
+        return done(null, nextCursor, keys);
+      });
+  }
+
+  /**
+   * Pushes a value onto the front of a list, unless it's already in the list.
+   */
+  listPushUnique(key, value, done) {
+    this.db.run(`INSERT OR IGNORE INTO lists (key, value, position)
+      SELECT ?, ?, COALESCE(MAX(position), 0) + 1 FROM lists WHERE key = ?`,
+      [key, `${value}`, key], (err) => done && done(err, 0));
+  }
+
+  /**
+   * Gets all values in a list, most recently pushed first.
+   */
+  listRange(key, done) {
+    this.db.all('SELECT value FROM lists WHERE key = ? ORDER BY position DESC', [key],
+      (err, rows) => done(err, (rows || []).map((row) => row.value)));
+  }
+
+  listRemove(key, value, done) {
+    this.db.run('DELETE FROM lists WHERE key = ? AND value = ?', [key, `${value}`],
+      function(err) {
+        if (done) done(err, this.changes);
+      });
+  }
+
+  listLength(key, done) {
+    this.db.get('SELECT COUNT(*) AS count FROM lists WHERE key = ?', [key],
+      (err, row) => done(err, row ? row.count : 0));
+  }
+
+  /**
+   * Gets a hash as an object, or null if it doesn't exist.
+   */
+  hashGetAll(key, done) {
+    this.db.all(`SELECT field, value FROM hashes WHERE key = ? AND ${notExpired}`,
+      [key, Date.now()], (err, rows) => {
+        if (err || !rows || rows.length === 0) return done(err, null);
+
+        const hash = {};
+        rows.forEach((row) => { hash[row.field] = row.value; });
+
+        return done(null, hash);
+      });
+  }
+
+  hashSet(key, field, value, done) {
+    this.db.run(`INSERT OR REPLACE INTO hashes (key, field, value, expire_at)
+      VALUES (?, ?, ?, (SELECT MAX(expire_at) FROM hashes WHERE key = ?))`,
+      [key, field, `${value}`, key], (err) => done && done(err, 1));
+  }
+
+  hashDel(key, field, done) {
+    this.db.run('DELETE FROM hashes WHERE key = ? AND field = ?', [key, field], function(err) {
+      if (done) done(err, this.changes);
+    });
+  }
+
+  /**
+   * Replaces a hash with an object's fields, optionally expiring it at `expireAtMS`.
+   */
+  hashReplace(key, obj, expireAtMS, done) {
+    this.db.run('BEGIN');
+    this.db.run('DELETE FROM hashes WHERE key = ?', [key]);
+    Object.keys(obj).forEach((field) => {
+      this.db.run('INSERT INTO hashes (key, field, value, expire_at) VALUES (?, ?, ?, ?)',
+        [key, field, `${obj[field]}`, expireAtMS || null]);
+    });
+    this.db.run('COMMIT', (err) => done && done(err));
+  }
+
+  /**
+   * Increments a field of an existing hash.  Calls back with the new value, or null if the hash
+   * doesn't exist (e.g. it expired).
+   */
+  hashIncrement(key, field, increment, done) {
+    const now = Date.now();
+
+    this.db.run(`UPDATE hashes SET value = CAST(value AS INTEGER) + ?
+      WHERE key = ? AND field = ? AND ${notExpired}`, [increment, key, field, now]);
+
+    this.db.get(`SELECT value FROM hashes WHERE key = ? AND field = ? AND ${notExpired}`,
+      [key, field, now], (err, row) => done(err, row ? parseInt(row.value, 10) : null));
+  }
+
+  /**
+   * Takes a lock, unless it's already taken.  Calls back with true if the lock was taken.  Locks
+   * expire after `ttlMS`, if given.
+   */
+  lock(key, ttlMS, done) {
+    const now = Date.now();
+
+    // Clear out an expired lock first.
+    this.db.run('DELETE FROM kv WHERE key = ? AND expire_at <= ?', [key, now]);
+
+    this.db.run('INSERT OR IGNORE INTO kv (key, value, expire_at) VALUES (?, ?, ?)',
+      [key, `${now}`, ttlMS ? now + ttlMS : null], function(err) {
+        done(err, !err && this.changes === 1);
+      });
+  }
+
+  unlock(key, done) {
+    this.db.run('DELETE FROM kv WHERE key = ?', [key], (err) => done && done(err));
+  }
+
+  close(done) {
+    this.db.close((err) => {
+      if (err) winston.error(`${moduleName}/close: ${err}`);
+      if (done) done();
+    });
+  }
+}
+
+module.exports = SqliteStore;
@@ -5,7 +5,11 @@ describe('api-keys', function(){
     var LinkAggregator;
 
     before(function() {
-        LinkAggregator = new la(config);
+        LinkAggregator = new la(Object.assign({ store: 'memory' }, config));
+    });
+
+    after((done) => {
+        LinkAggregator.close(done);
     });
 
     it('is exported as an npm module', function(){
@@ -13,7 +17,7 @@ describe('api-keys', function(){
         assert.equal(typeof linkAggregator, 'function');
     });
 
-    it('initializes Codebird', function() {
-        assert.equal(typeof LinkAggregator.codebird, 'object');
+    it('initializes the Twitter client', function() {
+        assert.equal(typeof LinkAggregator.twitter, 'object');
     });
 });
\ No newline at end of file
@@ -0,0 +1,667 @@
+describe('cache', function() {
+  const assert = require('assert');
+  const http = require('http');
+  const la = require('../link-aggregator');
+
+  let server;
+  let baseUrl;
+
+  // Status code to reply with for /article (200 if null), and its title.
+  let articleStatusCode;
+  let articleTitle;
+
+  // Number of requests to /flaky to fail (with a 503 or dropped connection), and requests so far.
+  let flakyFailures;
+  let flakyRequests;
+  let flakyRetryAfter;
+
+  // ETag for /versioned, and the conditional headers of requests to it so far.
+  let versionedETag;
+  let versionedRequests;
+
+  // Local site to scrape.
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      if (req.url === '/article') {
+        res.statusCode = articleStatusCode || 200;
+        res.setHeader('content-type', 'text/html');
+        res.end(`<html><head><title>${articleTitle}</title></head><body></body></html>`);
+      } else if (req.url === '/down') {
+        res.statusCode = 503;
+        res.setHeader('content-type', 'text/html');
+        res.end('<html><body>Down for maintenance</body></html>');
+      } else if (req.url === '/missing') {
+        res.statusCode = 404;
+        res.setHeader('content-type', 'text/html');
+        res.end('<html><body>Not found</body></html>');
+      } else if (req.url.indexOf('/flaky') === 0) {
+        flakyRequests++;
+
+        if (flakyRequests > flakyFailures) {
+          res.setHeader('content-type', 'text/html');
+          res.end(`<html><head><title>${articleTitle}</title></head><body></body></html>`);
+        } else if (req.url === '/flaky-reset') {
+          req.socket.destroy();
+        } else {
+          res.statusCode = 503;
+          if (flakyRetryAfter) res.setHeader('retry-after', flakyRetryAfter);
+          res.end('Service Unavailable');
+        }
+      } else if (req.url === '/versioned') {
+        versionedRequests.push({
+          ifNoneMatch: req.headers['if-none-match'],
+          ifModifiedSince: req.headers['if-modified-since']
+        });
+
+        if (req.headers['if-none-match'] === versionedETag) {
+          res.statusCode = 304;
+          res.end();
+        } else {
+          res.setHeader('content-type', 'text/html');
+          res.setHeader('etag', versionedETag);
+          res.setHeader('last-modified', 'Mon, 20 Feb 2017 10:00:00 GMT');
+          res.end(`<html><head><title>${articleTitle}</title></head><body></body></html>`);
+        }
+      } else if (req.url === '/m/article' || req.url === '/amp/article') {
+        // Mobile and AMP versions, naming /article as the original.
+        const canonicalTag = (req.url === '/m/article') ?
+          '<link rel="canonical" href="/article">' :
+          `<meta property="og:url" content="${baseUrl}/article">`;
+
+        res.setHeader('content-type', 'text/html');
+        res.end(`<html><head><title>${articleTitle}</title>${canonicalTag}</head></html>`);
+      } else if (req.url === '/old') {
+        res.statusCode = 301;
+        res.setHeader('location', '/article');
+        res.end();
+      } else {
+        res.setHeader('content-type', 'application/pdf');
+        res.end('%PDF-1.4');
+      }
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  let linkAggregator;
+
+  beforeEach(function() {
+    articleStatusCode = null;
+    articleTitle = 'Grid & Flexbox';
+    flakyFailures = 0;
+    flakyRequests = 0;
+    flakyRetryAfter = null;
+    versionedETag = '"v1"';
+    versionedRequests = [];
+
+    linkAggregator = new la({
+      store: 'memory',
+      cacheTTLs: { serverError: 50, redirect: 50 },
+      scrapeRetries: 0,
+      scrapeHostDelayMS: 0
+    });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  // Gets the raw cached details for a url.
+  const getCached = (url, done) => {
+    linkAggregator.store.get(`la-${url}`, (err, reply) => done(reply && JSON.parse(reply)));
+  };
+
+  describe('fetchUrlDetails', function() {
+    it('stamps scraped details with the scrape time and schema version', (done) => {
+      const before = Date.now();
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/article`, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+        assert(urlDetailsObj.scrapedAt >= before);
+
+        getCached(`${baseUrl}/article`, (cached) => {
+          assert.equal(cached.scrapedAt, urlDetailsObj.scrapedAt);
+          assert.equal(cached.schemaVersion, linkAggregator.schemaVersion);
+          done();
+        });
+      });
+    });
+
+    it('expires failures after the ttl for their outcome', (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/down`, {}, () => {
+        linkAggregator.fetchUrlDetails(`${baseUrl}/missing`, {}, () => {
+          getCached(`${baseUrl}/down`, (cached) => {
+            assert.equal(cached.scraperError, 'HTTP 503');
+
+            setTimeout(() => {
+              getCached(`${baseUrl}/down`, (expired) => {
+                assert.equal(expired, null);
+
+                // 4xx errors use the (default) clientError ttl.
+                getCached(`${baseUrl}/missing`, (cachedMissing) => {
+                  assert.equal(cachedMissing.scraperError, 'HTTP 404');
+                  done();
+                });
+              });
+            }, 100);
+          });
+        });
+      });
+    });
+
+    it('expires redirects after the redirect ttl', (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/old`, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.url, `${baseUrl}/article`);
+
+        getCached(`${baseUrl}/old`, (cached) => {
+          assert.equal(cached.redirect, `${baseUrl}/article`);
+
+          setTimeout(() => {
+            getCached(`${baseUrl}/old`, (expired) => {
+              assert.equal(expired, null);
+              done();
+            });
+          }, 100);
+        });
+      });
+    });
+
+    it('uses configured ttls over the defaults', () => {
+      assert.equal(linkAggregator.cacheTTLs.serverError, 50);
+      assert.equal(linkAggregator.cacheTTLs.success, null);
+      assert.equal(linkAggregator.cacheTTLs.clientError, 604800000);
+    });
+  });
+
+  describe('retries', function() {
+    beforeEach(function() {
+      linkAggregator.scrapeRetries = 2;
+      linkAggregator.scrapeRetryBaseDelayMS = 10;
+    });
+
+    it('retries overloaded sites, recording the attempts', (done) => {
+      flakyFailures = 2;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/flaky`, {}, (err, urlDetailsObj) => {
+        assert.equal(flakyRequests, 3);
+        assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+        assert.equal(urlDetailsObj.scrapeAttempts, 3);
+        done();
+      });
+    });
+
+    it('retries dropped connections', (done) => {
+      flakyFailures = 1;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/flaky-reset`, {}, (err, urlDetailsObj) => {
+        assert.equal(flakyRequests, 2);
+        assert.equal(urlDetailsObj.scrapeAttempts, 2);
+        done();
+      });
+    });
+
+    it('caches the failure once retries run out', (done) => {
+      flakyFailures = 5;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/flaky`, {}, () => {
+        assert.equal(flakyRequests, 3);
+
+        getCached(`${baseUrl}/flaky`, (cached) => {
+          assert.equal(cached.scraperError, 'HTTP 503');
+          assert.equal(cached.scrapeAttempts, 3);
+          done();
+        });
+      });
+    });
+
+    it("doesn't retry other errors", (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/missing`, {}, () => {
+        getCached(`${baseUrl}/missing`, (cached) => {
+          assert.equal(cached.scrapeAttempts, 1);
+          done();
+        });
+      });
+    });
+
+    it('waits as long as Retry-After asks', (done) => {
+      const start = Date.now();
+
+      flakyFailures = 1;
+      flakyRetryAfter = '1';
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/flaky`, {}, (err, urlDetailsObj) => {
+        assert(Date.now() - start >= 1000);
+        assert.equal(urlDetailsObj.scrapeAttempts, 2);
+        done();
+      });
+    });
+
+    it('gives up if Retry-After is too long', (done) => {
+      flakyFailures = 1;
+      flakyRetryAfter = '3600';
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/flaky`, {}, () => {
+        assert.equal(flakyRequests, 1);
+        done();
+      });
+    });
+
+    it('backs off exponentially, with jitter', () => {
+      const response = { statusCode: 503, headers: {} };
+
+      linkAggregator.scrapeRetries = 10;
+      linkAggregator.scrapeRetryBaseDelayMS = 1000;
+
+      const firstDelay = linkAggregator._getRetryDelay(null, response, 1);
+      assert(firstDelay >= 500 && firstDelay <= 1000);
+
+      const thirdDelay = linkAggregator._getRetryDelay(null, response, 3);
+      assert(thirdDelay >= 2000 && thirdDelay <= 4000);
+
+      // Capped.
+      assert(linkAggregator._getRetryDelay(null, response, 10) <= 30000);
+
+      assert.equal(linkAggregator._getRetryDelay({ code: 'ENOTFOUND' }, null, 1), null);
+      assert.equal(linkAggregator._getRetryDelay(null, response, 11), null);
+    });
+  });
+
+  describe('rescrapeUrl', function() {
+    const tweetDetails = {
+      title: 'Old title',
+      source: ['twitter'],
+      sourceDetails: ['dave/frontend'],
+      tweetIDs: ['123'],
+      scrapedAt: 1
+    };
+
+    it('updates scraped details, keeping source info', (done) => {
+      const url = `${baseUrl}/article`;
+
+      linkAggregator.store.set(`la-${url}`, JSON.stringify(Object.assign({ url }, tweetDetails)),
+        () => {
+          linkAggregator.rescrapeUrl(url, (err, urlDetailsObj) => {
+            assert.equal(err, null);
+            assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+            assert.deepEqual(urlDetailsObj.tweetIDs, ['123']);
+            assert.deepEqual(urlDetailsObj.source, ['twitter']);
+            assert(urlDetailsObj.scrapedAt > 1);
+            done();
+          });
+        });
+    });
+
+    it('keeps details if the site is temporarily down', (done) => {
+      const url = `${baseUrl}/article`;
+
+      articleStatusCode = 503;
+
+      linkAggregator.store.set(`la-${url}`, JSON.stringify(Object.assign({ url }, tweetDetails)),
+        () => {
+          linkAggregator.rescrapeUrl(url, (err, urlDetailsObj) => {
+            assert.equal(urlDetailsObj.title, 'Old title');
+
+            getCached(url, (cached) => {
+              assert.equal(cached.title, 'Old title');
+              assert.equal(cached.scraperError, undefined);
+              done();
+            });
+          });
+        });
+    });
+
+    it('sends validators from the last scrape', (done) => {
+      const url = `${baseUrl}/versioned`;
+
+      linkAggregator.fetchUrlDetails(url, {}, (err, firstDetails) => {
+        assert.equal(firstDetails.etag, '"v1"');
+        assert.equal(firstDetails.lastModified, 'Mon, 20 Feb 2017 10:00:00 GMT');
+        assert.equal(versionedRequests[0].ifNoneMatch, undefined);
+
+        versionedETag = '"v2"';
+        articleTitle = 'New title';
+
+        linkAggregator.rescrapeUrl(url, (rescrapeErr, urlDetailsObj) => {
+          assert.deepEqual(versionedRequests[1], {
+            ifNoneMatch: '"v1"',
+            ifModifiedSince: 'Mon, 20 Feb 2017 10:00:00 GMT'
+          });
+
+          assert.equal(urlDetailsObj.title, 'New title');
+          assert.equal(urlDetailsObj.etag, '"v2"');
+          done();
+        });
+      });
+    });
+
+    it('keeps details of unchanged pages, marking them checked', (done) => {
+      const url = `${baseUrl}/versioned`;
+      const cachedDetails = Object.assign({ url, etag: '"v1"', lastCheckedAt: 1 }, tweetDetails);
+
+      linkAggregator.store.set(`la-${url}`, JSON.stringify(cachedDetails), () => {
+        linkAggregator.rescrapeUrl(url, (err, urlDetailsObj) => {
+          assert.equal(err, null);
+          assert.equal(urlDetailsObj.title, 'Old title');
+          assert.equal(urlDetailsObj.scrapedAt, 1);
+          assert(urlDetailsObj.lastCheckedAt > 1);
+
+          getCached(url, (cached) => {
+            assert.equal(cached.title, 'Old title');
+            assert(cached.lastCheckedAt > 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('refuses removed urls', (done) => {
+      const url = `${baseUrl}/article`;
+
+      linkAggregator.removeUrl(url, {}, () => {
+        linkAggregator.rescrapeUrl(url, (err) => {
+          assert(err.match(/was removed/));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('refreshStaleUrls', function() {
+    it('re-scrapes only stale urls', (done) => {
+      const staleUrl = `${baseUrl}/article`;
+      const freshUrl = `${baseUrl}/fresh`;
+
+      articleTitle = 'New title';
+
+      linkAggregator.store.set(`la-${staleUrl}`, JSON.stringify({
+        url: staleUrl,
+        title: 'Old title',
+        scrapedAt: Date.now() - 10000
+      }), () => {
+        linkAggregator.store.set(`la-${freshUrl}`, JSON.stringify({
+          url: freshUrl,
+          title: 'Fresh title',
+          scrapedAt: Date.now()
+        }), () => {
+          linkAggregator.uniqueLPUSH('la-urls', staleUrl, () => {
+            linkAggregator.uniqueLPUSH('la-urls', freshUrl, () => {
+              linkAggregator.refreshStaleUrls({ maxAgeMS: 5000 }, (err, refreshedUrls) => {
+                assert.equal(err, null);
+                assert.deepEqual(refreshedUrls, [staleUrl]);
+
+                getCached(staleUrl, (cached) => {
+                  assert.equal(cached.title, 'New title');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('counts unchanged pages as fresh from when they were checked', (done) => {
+      const url = `${baseUrl}/article`;
+
+      linkAggregator.store.set(`la-${url}`, JSON.stringify({
+        url,
+        title: 'Old title',
+        scrapedAt: Date.now() - 10000,
+        lastCheckedAt: Date.now()
+      }), () => {
+        linkAggregator.uniqueLPUSH('la-urls', url, () => {
+          linkAggregator.refreshStaleUrls({ maxAgeMS: 5000 }, (err, refreshedUrls) => {
+            assert.deepEqual(refreshedUrls, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('canonical urls', function() {
+    // A tweet sharing a url.
+    const getTweetObj = (id, retweetCount) => ({
+      id_str: id,
+      text: 'Grid & Flexbox',
+      created_at: 'Mon Feb 20 10:00:00 +0000 2017',
+      retweet_count: retweetCount,
+      favorite_count: 1,
+      user: { screen_name: 'css' },
+      listOwner: 'dave',
+      listName: 'frontend'
+    });
+
+    it('stores variants under the canonical url', (done) => {
+      const variantUrl = `${baseUrl}/m/article`;
+      const canonicalUrl = `${baseUrl}/article`;
+
+      linkAggregator.fetchUrlDetails(variantUrl, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.url, canonicalUrl);
+        assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+
+        getCached(variantUrl, (cached) => {
+          assert.deepEqual(cached, { redirect: canonicalUrl });
+
+          linkAggregator.store.listRange('la-urls', (listErr, urls) => {
+            assert.deepEqual(urls, [canonicalUrl]);
+
+            // Later lookups of the variant find the canonical url without scraping.
+            linkAggregator.getUrlDetails(variantUrl, {}, (getErr, cachedDetails) => {
+              assert.equal(cachedDetails.url, canonicalUrl);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('merges engagement from every variant', (done) => {
+      const canonicalUrl = `${baseUrl}/article`;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/m/article`, { tweetObj: getTweetObj('1', 2) },
+        () => {
+          linkAggregator.fetchUrlDetails(`${baseUrl}/amp/article`,
+            { tweetObj: getTweetObj('2', 3) }, (err, urlDetailsObj) => {
+              assert.equal(urlDetailsObj.url, canonicalUrl);
+              assert.deepEqual(urlDetailsObj.tweetIDs, ['1', '2']);
+              assert.equal(urlDetailsObj.tweetRetweetCount, 5);
+              assert.equal(urlDetailsObj.tweetMentionCount, 2);
+
+              getCached(canonicalUrl, (cached) => {
+                assert.equal(cached.tweetRetweetCount, 5);
+                done();
+              });
+            });
+        });
+    });
+
+    it('moves variants listed before out of the urls list', (done) => {
+      const variantUrl = `${baseUrl}/m/article`;
+      const variantDetails = { url: variantUrl, title: 'Old title', source: ['twitter'],
+        tweetIDs: ['1'], tweetRetweetCount: 2 };
+
+      linkAggregator.store.set(`la-${variantUrl}`, JSON.stringify(variantDetails), () => {
+        linkAggregator.uniqueLPUSH('la-urls', variantUrl, () => {
+          linkAggregator.rescrapeUrl(variantUrl, (err, urlDetailsObj) => {
+            assert.equal(urlDetailsObj.url, `${baseUrl}/article`);
+            assert.equal(urlDetailsObj.tweetRetweetCount, 2);
+
+            linkAggregator.store.listRange('la-urls', (listErr, urls) => {
+              assert.deepEqual(urls, [`${baseUrl}/article`]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('keeps removed canonical urls removed', (done) => {
+      linkAggregator.removeUrl(`${baseUrl}/article`, {}, () => {
+        linkAggregator.fetchUrlDetails(`${baseUrl}/m/article`, {}, (err, urlDetailsObj) => {
+          assert.equal(urlDetailsObj, undefined);
+          done();
+        });
+      });
+    });
+
+    it('adds up counts when merging variants, combining other fields', () => {
+      const urlObj = {
+        url: 'https://css-tricks.com/grid/',
+        title: 'Grid',
+        source: ['hackernews'],
+        hnIDs: [1],
+        hnPoints: 10,
+        pocketWordCount: 1200
+      };
+
+      const variantObj = {
+        url: 'https://css-tricks.com/grid/',
+        title: 'Grid (AMP)',
+        source: ['hackernews', 'pocket'],
+        hnIDs: [2],
+        hnPoints: 5,
+        pocketFavorite: true,
+        pocketWordCount: 900
+      };
+
+      const merged = linkAggregator.mergeUrlVariants(urlObj, variantObj);
+
+      assert.equal(merged.title, 'Grid');
+      assert.deepEqual(merged.source, ['hackernews', 'pocket']);
+      assert.deepEqual(merged.hnIDs, [1, 2]);
+      assert.equal(merged.hnPoints, 15);
+      assert.equal(merged.pocketWordCount, 1200);
+      assert.equal(merged.pocketFavorite, true);
+    });
+
+    it('adds up counts once for items found by several variants', () => {
+      const url = 'https://css-tricks.com/grid/';
+      const addStory = (urlObj, id, score) => linkAggregator.mergeUrls(urlObj, {
+        sourceName: 'hackernews',
+        item: { id, score, descendants: 1, time: 1175714200, listName: 'top' }
+      });
+
+      // Story 1 was found by both variants.
+      const urlObj = addStory({ url }, 1, 10);
+      const variantObj = addStory(addStory({ url }, 1, 10), 2, 5);
+
+      const merged = linkAggregator.mergeUrlVariants(urlObj, variantObj);
+
+      assert.deepEqual(merged.hnIDs, [1, 2]);
+      assert.equal(merged.hnPoints, 15);
+      assert.equal(merged.hnCommentCount, 2);
+
+      // Merging the same variant again adds nothing.
+      const remerged = linkAggregator.mergeUrlVariants(merged, variantObj);
+
+      assert.equal(remerged.hnPoints, 15);
+      assert.equal(remerged.hnCommentCount, 2);
+    });
+  });
+
+  describe('pruneCache', function() {
+    const day = 86400000;
+
+    // Cached entries by url.
+    const entries = {
+      'https://a.com/listed': { url: 'https://a.com/listed', scrapedAt: Date.now() },
+      'https://a.com/old': { url: 'https://a.com/old', scrapedAt: Date.now() - (10 * day) },
+      'https://a.com/pdf': { scraperError: 'application/pdf', scrapedAt: Date.now() },
+      'https://a.com/short': { redirect: 'https://a.com/listed' },
+      'https://a.com/removed': { url: 'https://a.com/removed', isRemoved: true, scrapedAt: 1 }
+    };
+
+    beforeEach((done) => {
+      const store = linkAggregator.store;
+      const urls = Object.keys(entries);
+      let remaining = urls.length + 2;
+      const cb = () => { if (--remaining === 0) done(); };
+
+      urls.forEach((url) => store.set(`la-${url}`, JSON.stringify(entries[url]), cb));
+      store.listPushUnique('la-urls', 'https://a.com/listed', cb);
+      store.listPushUnique('la-removedUrls', 'https://a.com/removed', cb);
+    });
+
+    // Gets the urls still cached.
+    const getCachedUrls = (done) => {
+      linkAggregator.store.mget(Object.keys(entries).map((url) => `la-${url}`), (err, replies) => {
+        done(Object.keys(entries).filter((url, index) => replies[index]));
+      });
+    };
+
+    it('requires a mode', (done) => {
+      linkAggregator.pruneCache({ dryRun: true }, (err) => {
+        assert(err.match(/required/));
+        done();
+      });
+    });
+
+    it('prunes old entries', (done) => {
+      linkAggregator.pruneCache({ olderThanDays: 7 }, (err, result) => {
+        assert.equal(err, null);
+        assert.equal(result.scanned, 5);
+        assert.deepEqual(result.deleted, ['https://a.com/old']);
+
+        getCachedUrls((urls) => {
+          assert.equal(urls.indexOf('https://a.com/old'), -1);
+          assert.equal(urls.length, 4);
+          done();
+        });
+      });
+    });
+
+    it('prunes only failed scrapes', (done) => {
+      linkAggregator.pruneCache({ errorsOnly: true }, (err, result) => {
+        assert.deepEqual(result.deleted, ['https://a.com/pdf']);
+        done();
+      });
+    });
+
+    it('prunes orphans, keeping redirects to listed urls', (done) => {
+      linkAggregator.pruneCache({ orphans: true }, (err, result) => {
+        assert.deepEqual(result.deleted.sort(), ['https://a.com/old', 'https://a.com/pdf']);
+        done();
+      });
+    });
+
+    it('prunes removed urls only when asked', (done) => {
+      linkAggregator.pruneCache({ olderThanDays: 7, includeRemoved: true }, (err, result) => {
+        assert.deepEqual(result.deleted.sort(), ['https://a.com/old', 'https://a.com/removed']);
+
+        linkAggregator.listRemovedUrls((err, removedUrls) => {
+          assert.deepEqual(removedUrls, []);
+          done();
+        });
+      });
+    });
+
+    it('only reports what would be deleted on dry runs', (done) => {
+      linkAggregator.pruneCache({ orphans: true, dryRun: true }, (err, result) => {
+        assert.equal(result.deleted.length, 2);
+
+        getCachedUrls((urls) => {
+          assert.equal(urls.length, 5);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('startBackgroundRefresh', function() {
+    it('starts and stops refreshing', () => {
+      linkAggregator.startBackgroundRefresh(60000);
+      assert(linkAggregator._refreshTimer);
+
+      linkAggregator.stopBackgroundRefresh();
+      assert.equal(linkAggregator._refreshTimer, null);
+    });
+  });
+});
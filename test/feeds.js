@@ -0,0 +1,99 @@
+describe('feeds', function() {
+  const assert = require('assert');
+  const la = require('../link-aggregator');
+  const { rssStub, atomStub } = require('./stubs');
+
+  let linkAggregator;
+
+  beforeEach(function() {
+    linkAggregator = new la({ store: 'memory' });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('parseFeed', function() {
+    it('parses RSS 2.0 items', () => {
+      const feed = linkAggregator.parseFeed(rssStub);
+
+      assert.equal(feed.title, 'CSS-Tricks');
+      assert.equal(feed.entries.length, 2);
+      assert.deepEqual(feed.entries[0], {
+        id: 'https://css-tricks.com/?p=255005',
+        url: 'https://css-tricks.com/grid-and-flexbox/',
+        title: 'Grid & Flexbox',
+        excerpt: '<p>When to use <strong>which</strong>.</p>',
+        publishedMS: 1487597811000
+      });
+    });
+
+    it('falls back to permalink guid and dc:date', () => {
+      const feed = linkAggregator.parseFeed(rssStub);
+
+      assert.equal(feed.entries[1].url, 'https://css-tricks.com/undated/');
+      assert.equal(feed.entries[1].publishedMS, 1487498400000);
+    });
+
+    it('parses Atom entries', () => {
+      const feed = linkAggregator.parseFeed(atomStub);
+
+      assert.equal(feed.title, 'Jake Archibald\'s blog');
+      assert.equal(feed.entries.length, 2);
+      assert.equal(feed.entries[0].url, 'https://jakearchibald.com/2017/service-workers/');
+      assert.equal(feed.entries[0].id, 'tag:jakearchibald.com,2017:service-workers');
+      assert.equal(feed.entries[0].publishedMS, 1487419200000);
+    });
+
+    it('uses updated time when published time is missing', () => {
+      const feed = linkAggregator.parseFeed(atomStub);
+
+      assert.equal(feed.entries[1].url, 'https://jakearchibald.com/2017/streams/');
+      assert.equal(feed.entries[1].publishedMS, 1486728000000);
+    });
+  });
+
+  describe('mergeUrls', function() {
+    const feedObj = {
+      feedUrl: 'https://css-tricks.com/feed/',
+      feedTitle: 'CSS-Tricks',
+      entryID: 'https://css-tricks.com/?p=255005',
+      publishedMS: 1487597811000
+    };
+
+    it('adds feed details', () => {
+      const result = linkAggregator.mergeUrls({ url: 'https://css-tricks.com/grid-and-flexbox/' }, {
+        feedObj
+      });
+
+      assert.deepEqual(result.source, [ 'feed' ]);
+      assert.deepEqual(result.sourceDetails, [ 'CSS-Tricks' ]);
+      assert.deepEqual(result.feedTitle, [ 'CSS-Tricks' ]);
+      assert.deepEqual(result.feedPublishedMS, [ 1487597811000 ]);
+      assert.equal(result.timestamp, 1487597811000);
+    });
+
+    it('ignores entries already processed', () => {
+      const first = linkAggregator.mergeUrls({ url: 'https://css-tricks.com/grid-and-flexbox/' }, {
+        feedObj
+      });
+      const second = linkAggregator.mergeUrls(first, { feedObj });
+
+      assert.deepEqual(second.feedEntryIDs, [ feedObj.entryID ]);
+    });
+  });
+
+  describe('rankUrls', function() {
+    it('ranks urls appearing in more feeds higher', () => {
+      const base = linkAggregator.mergeUrls({}, {});
+      const urls = [
+        Object.assign({}, base, { url: 'https://a.com', feedPublishedMS: [ 1 ] }),
+        Object.assign({}, base, { url: 'https://b.com', feedPublishedMS: [ 1, 2 ] })
+      ];
+
+      const result = linkAggregator.rankUrls(urls);
+
+      assert.equal(result[0].url, 'https://b.com');
+    });
+  });
+});
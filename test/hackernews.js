@@ -0,0 +1,86 @@
+describe('hackernews', function() {
+  const assert = require('assert');
+  const la = require('../link-aggregator');
+  const Promise = require('promise-polyfill');
+  const { hackerNewsStub } = require('./stubs');
+
+  let linkAggregator;
+
+  // Serves stubbed API responses by url; 8952 is missing, to simulate a failed item request.
+  const fetchStub = (url) => new Promise((resolve) => {
+    const data = hackerNewsStub[url];
+
+    resolve({
+      ok: typeof data !== 'undefined',
+      status: (typeof data !== 'undefined') ? 200 : 404,
+      json: () => data
+    });
+  });
+
+  beforeEach(function() {
+    linkAggregator = new la({ store: 'memory' });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('fetchHackerNewsStories', function() {
+    it('gets front page stories with urls', (done) => {
+      linkAggregator.fetchHackerNewsStories({ list: 'top', fetchStub }, (err, stories) => {
+        assert.equal(err, null);
+        assert.deepEqual(stories.map((story) => story.id), [ 8863 ]);
+        done();
+      });
+    });
+
+    it('rejects unknown lists', (done) => {
+      linkAggregator.fetchHackerNewsStories({ list: 'favorites', fetchStub }, (err) => {
+        assert.notEqual(err, null);
+        done();
+      });
+    });
+
+    it('errors if the list can\'t be fetched', (done) => {
+      linkAggregator.fetchHackerNewsStories({ list: 'best', fetchStub }, (err) => {
+        assert.notEqual(err, null);
+        done();
+      });
+    });
+  });
+
+  describe('mergeUrls', function() {
+    it('adds points and comment counts', () => {
+      const hnItem = Object.assign({}, hackerNewsStub[
+        'https://hacker-news.firebaseio.com/v0/item/8863.json'
+      ], { listName: 'top' });
+
+      const result = linkAggregator.mergeUrls({ url: hnItem.url }, {
+        sourceName: 'hackernews',
+        item: hnItem
+      });
+
+      assert.deepEqual(result.source, [ 'hackernews' ]);
+      assert.deepEqual(result.sourceDetails, [ 'hackernews/top' ]);
+      assert.equal(result.hnPoints, 111);
+      assert.equal(result.hnCommentCount, 71);
+
+      const again = linkAggregator.mergeUrls(result, { sourceName: 'hackernews', item: hnItem });
+      assert.equal(again.hnPoints, 111);
+    });
+  });
+
+  describe('rankUrls', function() {
+    it('ranks by points', () => {
+      const base = linkAggregator.mergeUrls({}, {});
+      const urls = [
+        Object.assign({}, base, { url: 'https://a.com', hnPoints: 10, hnCommentCount: 50 }),
+        Object.assign({}, base, { url: 'https://b.com', hnPoints: 500, hnCommentCount: 2 })
+      ];
+
+      const result = linkAggregator.rankUrls(urls);
+
+      assert.equal(result[0].url, 'https://b.com');
+    });
+  });
+});
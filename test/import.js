@@ -0,0 +1,131 @@
+describe('import', function() {
+  const assert = require('assert');
+  const async = require('async');
+  const R = require('ramda');
+  const la = require('../link-aggregator');
+  const { bookmarksStub, opmlStub } = require('./stubs');
+
+  const redisNSPrefix = 'la-test-';
+
+  let linkAggregator;
+
+  beforeEach(function() {
+    linkAggregator = new la({ store: 'memory', redisPrefix: redisNSPrefix });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('parseBookmarks', function() {
+    it('parses links, dates and folders', () => {
+      const bookmarks = linkAggregator.parseBookmarks(bookmarksStub);
+
+      assert.equal(bookmarks.length, 3);
+      assert.deepEqual(bookmarks[0], {
+        url: 'https://css-tricks.com/grid-and-flexbox/',
+        title: 'Grid & Flexbox',
+        addedMS: 1486590673000,
+        tags: [ 'Reading' ]
+      });
+    });
+
+    it('maps nested folders and bookmark tags to tags', () => {
+      const bookmarks = linkAggregator.parseBookmarks(bookmarksStub);
+
+      assert.deepEqual(bookmarks[1].tags, [ 'Reading', 'CSS', 'pwa', 'offline' ]);
+      assert.deepEqual(bookmarks[2].tags, []);
+      assert.equal(bookmarks[2].addedMS, 0);
+    });
+  });
+
+  describe('mergeUrls', function() {
+    it('marks bookmarks as imported', () => {
+      const item = linkAggregator.parseBookmarks(bookmarksStub)[1];
+      const result = linkAggregator.mergeUrls({ url: item.url }, {
+        sourceName: 'import',
+        item: Object.assign({ fileName: 'bookmarks.html' }, item)
+      });
+
+      assert.deepEqual(result.source, [ 'import' ]);
+      assert.deepEqual(result.sourceDetails, [ 'bookmarks.html' ]);
+      assert.deepEqual(result.importTags, [ 'Reading', 'CSS', 'pwa', 'offline' ]);
+      assert.deepEqual(result.importAddedMS, [ 1486590674000 ]);
+      assert.equal(result.timestamp, 1486590674000);
+    });
+  });
+
+  describe('fetchLists', function() {
+    it('keeps old bookmarks', (done) => {
+      const bookmarks = linkAggregator.parseBookmarks(bookmarksStub);
+
+      // Cached, so the bookmarks aren't scraped.  Published years ago.
+      const cacheFns = bookmarks.map((bookmark) => (cb) => {
+        const cachedDetails = { url: bookmark.url, title: bookmark.title, articleTimestamp: 1 };
+        linkAggregator.store.set(`${redisNSPrefix}${bookmark.url}`, JSON.stringify(cachedDetails),
+          () => cb());
+      });
+
+      async.series(cacheFns, () => {
+        const lists = { import: [ { html: bookmarksStub, fileName: 'bookmarks.html' } ] };
+
+        linkAggregator.fetchLists(lists, (err, urls) => {
+          assert.equal(err, null);
+          assert.deepEqual(R.pluck('url', urls).sort(), R.pluck('url', bookmarks).sort());
+          done();
+        });
+      });
+    });
+  });
+
+  describe('OPML', function() {
+    it('parses feeds', () => {
+      assert.deepEqual(linkAggregator.parseOPML(opmlStub), [
+        { url: 'https://css-tricks.com/feed/', name: 'CSS-Tricks' },
+        { url: 'https://jakearchibald.com/posts.rss', name: 'Jake Archibald' }
+      ]);
+    });
+
+    it('stores imported feeds', (done) => {
+      linkAggregator.importOPML(opmlStub, (err, feeds) => {
+        assert.equal(err, null);
+        assert.equal(feeds.length, 2);
+
+        linkAggregator.getFeeds((err, storedFeeds) => {
+          assert.equal(err, null);
+          assert.deepEqual(R.sortBy(R.prop('url'), storedFeeds), feeds);
+          done();
+        });
+      });
+    });
+
+    it('adds imported feeds to the feeds lists', (done) => {
+      const lists = { feeds: [ { url: 'https://css-tricks.com/feed/', name: 'Configured' } ] };
+
+      linkAggregator.importOPML(opmlStub, () => {
+        linkAggregator._getSourceLists(lists, (err, sourceLists) => {
+          assert.equal(err, null);
+          assert.deepEqual(sourceLists.feeds, [
+            { url: 'https://css-tricks.com/feed/', name: 'Configured' },
+            { url: 'https://jakearchibald.com/posts.rss', name: 'Jake Archibald' }
+          ]);
+          assert.deepEqual(sourceLists.pocket, []);
+          done();
+        });
+      });
+    });
+
+    it('stops fetching removed feeds', (done) => {
+      linkAggregator.importOPML(opmlStub, () => {
+        linkAggregator.removeFeed('https://css-tricks.com/feed/', () => {
+          linkAggregator.getFeeds((err, storedFeeds) => {
+            assert.deepEqual(R.pluck('url', storedFeeds),
+              [ 'https://jakearchibald.com/posts.rss' ]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+});
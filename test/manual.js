@@ -0,0 +1,147 @@
+describe('manual', function() {
+  const assert = require('assert');
+  const R = require('ramda');
+  const la = require('../link-aggregator');
+
+  const redisNSPrefix = 'la-test-';
+  const url = 'https://css-tricks.com/grid-and-flexbox/';
+
+  // Cached details, so the url isn't scraped.
+  const cachedDetails = {
+    url,
+    title: 'Grid & Flexbox',
+    excerpt: 'When to use which.',
+    articleTimestamp: Date.now()
+  };
+
+  let linkAggregator;
+
+  beforeEach(function(done) {
+    linkAggregator = new la({ store: 'memory', redisPrefix: redisNSPrefix });
+    linkAggregator.setCategories({ CSS: ['css'], Layout: ['layout'] });
+
+    linkAggregator.store.set(`${redisNSPrefix}${url}`, JSON.stringify(cachedDetails),
+      () => done());
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('addUrl', function() {
+    it('adds a url by hand', (done) => {
+      linkAggregator.addUrl(url, {
+        submittedBy: 'dave',
+        note: 'Great read',
+        categories: ['Layout']
+      }, (err, urlObj) => {
+        assert.equal(err, null);
+        assert.deepEqual(urlObj.source, ['manual']);
+        assert.deepEqual(urlObj.sourceDetails, ['dave']);
+        assert.deepEqual(urlObj.manualNotes, ['Great read']);
+        assert.deepEqual(urlObj.categories, ['CSS', 'Layout']);
+
+        linkAggregator.store.listRange(`${redisNSPrefix}urls`, (err, urls) => {
+          assert.deepEqual(urls, [ url ]);
+          done();
+        });
+      });
+    });
+
+    it('rejects removed urls', (done) => {
+      const removedDetails = Object.assign({ isRemoved: true }, cachedDetails);
+
+      const cacheKey = `${redisNSPrefix}${url}`;
+
+      linkAggregator.store.set(cacheKey, JSON.stringify(removedDetails), () => {
+        linkAggregator.addUrl(url, {}, (err) => {
+          assert.ok(err);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('fetchLists', function() {
+    it('includes urls added by hand', (done) => {
+      linkAggregator.addUrl(url, { submittedBy: 'dave' }, () => {
+        linkAggregator.fetchLists({}, (err, urls) => {
+          assert.equal(err, null);
+          assert.equal(urls.length, 1);
+          assert.equal(urls[0].url, url);
+          done();
+        });
+      });
+    });
+
+    // Stores the url's details as if it was added `addedAgoMS` ago, published a year ago.
+    function setAdded(urlObj, addedAgoMS, done) {
+      const yearAgoMS = Date.now() - 365 * 86400000;
+      const oldDetails = Object.assign({}, urlObj, {
+        articleTimestamp: yearAgoMS,
+        manualAddedMS: [ Date.now() - addedAgoMS ]
+      });
+
+      linkAggregator.store.set(`${redisNSPrefix}${url}`, JSON.stringify(oldDetails), done);
+    }
+
+    it('keeps old urls added by hand recently until they are removed', (done) => {
+      linkAggregator.addUrl(url, { submittedBy: 'dave' }, (err, urlObj) => {
+        setAdded(urlObj, 10 * 86400000, () => {
+          linkAggregator.fetchLists({}, (fetchErr, urls) => {
+            assert.deepEqual(R.pluck('url', urls), [ url ]);
+
+            linkAggregator.removeUrl(url, {}, () => {
+              linkAggregator.fetchLists({}, (refetchErr, refetchedUrls) => {
+                assert.deepEqual(refetchedUrls, []);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('drops urls added by hand longer ago than the retention', (done) => {
+      linkAggregator.addUrl(url, { submittedBy: 'dave' }, (err, urlObj) => {
+        setAdded(urlObj, 365 * 86400000, () => {
+          linkAggregator.fetchLists({}, (fetchErr, urls) => {
+            assert.deepEqual(urls, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('has a configurable retention', (done) => {
+      linkAggregator.manualRetentionMS = 2 * 86400000;
+
+      linkAggregator.addUrl(url, { submittedBy: 'dave' }, (err, urlObj) => {
+        setAdded(urlObj, 10 * 86400000, () => {
+          linkAggregator.fetchLists({}, (fetchErr, urls) => {
+            assert.deepEqual(urls, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('rankUrls', function() {
+    it('ranks urls added by hand at least as high as their rank floor', () => {
+      const base = linkAggregator.mergeUrls({}, {});
+      const urls = [
+        Object.assign({}, base, { url: 'https://a.com', tweetRetweetCount: 100 }),
+        Object.assign({}, base, { url: 'https://b.com', tweetRetweetCount: 0, manualRankFloor: 9 }),
+        Object.assign({}, base, { url: 'https://c.com', tweetRetweetCount: 0 })
+      ];
+
+      const result = linkAggregator.rankUrls(urls);
+      const ranks = R.fromPairs(result.map((urlObj) => [urlObj.url, urlObj.rank]));
+
+      assert.equal(ranks['https://b.com'], 9);
+      assert.ok(ranks['https://c.com'] < 9);
+    });
+  });
+
+});
@@ -0,0 +1,129 @@
+describe('mastodon', function() {
+  const assert = require('assert');
+  const la = require('../link-aggregator');
+  const Promise = require('promise-polyfill');
+  const { mastodonStub } = require('./stubs');
+
+  let linkAggregator;
+  let requestedUrls;
+
+  const fetchStub = (url, options) => new Promise((resolve) => {
+    requestedUrls.push({ url, options });
+
+    const isLookup = url.indexOf('accounts/lookup') !== -1;
+
+    resolve({
+      ok: 1,
+      json: () => (isLookup ? { id: '42' } : mastodonStub)
+    });
+  });
+
+  beforeEach(function() {
+    linkAggregator = new la({ store: 'memory' });
+    requestedUrls = [];
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('fetchMastodonStatuses', function() {
+    it('gets a hashtag timeline', (done) => {
+      linkAggregator.fetchMastodonStatuses({
+        instance: 'https://mastodon.social/',
+        hashtag: 'css',
+        fetchStub
+      }, (err, statuses) => {
+        assert.equal(err, null);
+        assert.equal(statuses.length, 2);
+        assert.equal(requestedUrls[0].url,
+          'https://mastodon.social/api/v1/timelines/tag/css?limit=40');
+        done();
+      });
+    });
+
+    it('looks up account ids', (done) => {
+      linkAggregator.fetchMastodonStatuses({
+        instance: 'https://mastodon.social',
+        account: 'Gargron',
+        fetchStub
+      }, (err) => {
+        assert.equal(err, null);
+        assert.equal(requestedUrls[1].url,
+          'https://mastodon.social/api/v1/accounts/42/statuses?limit=40');
+        done();
+      });
+    });
+
+    it('sends the access token and pages through list timelines', (done) => {
+      linkAggregator.fetchMastodonStatuses({
+        instance: 'https://mastodon.social',
+        list: '12',
+        accessToken: 'token',
+        pages: 2,
+        fetchStub
+      }, (err, statuses) => {
+        assert.equal(err, null);
+        assert.equal(statuses.length, 4);
+        assert.equal(requestedUrls[0].options.headers.Authorization, 'Bearer token');
+        assert.equal(requestedUrls[1].url,
+          'https://mastodon.social/api/v1/timelines/list/12?limit=40&max_id=109300000000000001');
+        done();
+      });
+    });
+
+    it('requires exactly one timeline', (done) => {
+      linkAggregator.fetchMastodonStatuses({
+        instance: 'https://mastodon.social',
+        list: '12',
+        hashtag: 'css',
+        fetchStub
+      }, (err) => {
+        assert.notEqual(err, null);
+        done();
+      });
+    });
+  });
+
+  describe('getMastodonStatusLinks', function() {
+    it('ignores mentions and hashtags', () => {
+      const result = linkAggregator.getMastodonStatusLinks(mastodonStub[0].reblog);
+
+      assert.deepEqual(result, [ 'https://example.com/grid' ]);
+    });
+  });
+
+  describe('filterMastodonStatuses', function() {
+    it('discards statuses without links', () => {
+      const result = linkAggregator.filterMastodonStatuses(mastodonStub, []);
+
+      assert.deepEqual(result.map((status) => status.id), [ '109300000000000002' ]);
+    });
+
+    it('discards statuses with ignore words', () => {
+      const result = linkAggregator.filterMastodonStatuses(mastodonStub, [ 'grid layouts' ]);
+
+      assert.equal(result.length, 0);
+    });
+  });
+
+  describe('mergeUrls', function() {
+    it('records boosts, favourites and status text', () => {
+      const status = Object.assign({}, mastodonStub[0].reblog, {
+        listLabel: 'mastodon.social/#css'
+      });
+      const result = linkAggregator.mergeUrls({ url: 'https://example.com/grid' }, {
+        sourceName: 'mastodon',
+        item: status
+      });
+
+      assert.deepEqual(result.source, [ 'mastodon' ]);
+      assert.deepEqual(result.sourceDetails, [ 'mastodon.social/#css' ]);
+      assert.equal(result.mastodonBoostCount, 12);
+      assert.equal(result.mastodonFavouriteCount, 30);
+      assert.deepEqual(result.mastodonTexts, [
+        '@author@hachyderm.io: New post on grid layouts https://example.com/grid\nthanks @friend #css'
+      ]);
+    });
+  });
+});
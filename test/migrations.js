@@ -0,0 +1,162 @@
+describe('migrations', function() {
+  const assert = require('assert');
+  const la = require('../link-aggregator');
+
+  const url = 'https://css-tricks.com/grid-and-flexbox/';
+
+  // Cached before schema versions, with a since-renamed field.
+  const oldDetails = {
+    url,
+    title: 'Grid & Flexbox',
+    source: ['twitter'],
+    sourceDetails: ['dave/frontend'],
+    tweetIDs: ['123'],
+    tweetRTCount: 4
+  };
+
+  // Renames tweetRTCount to tweetRetweetCount.
+  const renameRetweets = (urlDetailsObj) => {
+    const migratedObj = Object.assign({}, urlDetailsObj, {
+      tweetRetweetCount: urlDetailsObj.tweetRTCount || 0
+    });
+
+    delete migratedObj.tweetRTCount;
+
+    return migratedObj;
+  };
+
+  let linkAggregator;
+
+  beforeEach(function(done) {
+    linkAggregator = new la({ store: 'memory' });
+
+    linkAggregator.store.set(`la-${url}`, JSON.stringify(oldDetails), () => done());
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  // Gets the raw cached details for a url.
+  const getCached = (cachedUrl, done) => {
+    linkAggregator.store.get(`la-${cachedUrl}`, (err, reply) => done(JSON.parse(reply)));
+  };
+
+  describe('registerMigration', function() {
+    it('raises the schema version', () => {
+      assert.equal(linkAggregator.schemaVersion, 1);
+
+      linkAggregator.registerMigration(3, renameRetweets);
+      assert.equal(linkAggregator.schemaVersion, 3);
+    });
+
+    it('rejects invalid and duplicate versions', () => {
+      assert.throws(() => linkAggregator.registerMigration(0, renameRetweets), /above 0/);
+      assert.throws(() => linkAggregator.registerMigration(2, null), /a function/);
+      assert.throws(() => linkAggregator.registerMigration(1, renameRetweets), /already/);
+    });
+  });
+
+  describe('getUrlDetails', function() {
+    it('migrates old records on read', (done) => {
+      linkAggregator.registerMigration(2, renameRetweets);
+
+      linkAggregator.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.schemaVersion, 2);
+        assert.equal(urlDetailsObj.tweetRetweetCount, 4);
+        assert.equal(urlDetailsObj.tweetRTCount, undefined);
+
+        // Back-filled by the built-in migration.
+        assert.equal(urlDetailsObj.hnPoints, 0);
+
+        getCached(url, (cached) => {
+          assert.equal(cached.schemaVersion, 2);
+          assert.equal(cached.tweetRetweetCount, 4);
+          done();
+        });
+      });
+    });
+
+    it('runs migrations in order', (done) => {
+      linkAggregator.registerMigration(3, (urlDetailsObj) => {
+        return Object.assign(urlDetailsObj, {
+          tweetRetweetCount: urlDetailsObj.tweetRetweetCount * 2
+        });
+      });
+      linkAggregator.registerMigration(2, renameRetweets);
+
+      linkAggregator.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.schemaVersion, 3);
+        assert.equal(urlDetailsObj.tweetRetweetCount, 8);
+        done();
+      });
+    });
+
+    it('stops at the last good version when a migration fails', () => {
+      linkAggregator.registerMigration(2, renameRetweets);
+      linkAggregator.registerMigration(3, () => { throw new Error('Oops'); });
+
+      const migratedObj = linkAggregator.migrateUrlDetails(oldDetails);
+
+      assert.equal(migratedObj.schemaVersion, 2);
+      assert.equal(migratedObj.tweetRetweetCount, 4);
+    });
+
+    it('leaves current records alone', () => {
+      const currentDetails = Object.assign({}, oldDetails, { schemaVersion: 1 });
+
+      assert.equal(linkAggregator.migrateUrlDetails(currentDetails), currentDetails);
+    });
+  });
+
+  describe('migrateCache', function() {
+    const removedUrl = 'https://a.com/spam';
+
+    beforeEach((done) => {
+      const store = linkAggregator.store;
+
+      const pdfDetails = { scraperError: 'application/pdf' };
+
+      store.set('la-https://bit.ly/grid', JSON.stringify({ redirect: url }), () => {
+        store.set('la-https://a.com/pdf', JSON.stringify(pdfDetails), () => {
+          linkAggregator.removeUrl(removedUrl, {}, () => done());
+        });
+      });
+    });
+
+    it('counts outdated records on dry runs', (done) => {
+      linkAggregator.migrateCache({ dryRun: true }, (err, counts) => {
+        assert.equal(err, null);
+        assert.deepEqual(counts, { scanned: 4, migrated: 2 });
+
+        getCached(url, (cached) => {
+          assert.equal(cached.schemaVersion, undefined);
+          done();
+        });
+      });
+    });
+
+    it('migrates every outdated record', (done) => {
+      linkAggregator.registerMigration(2, renameRetweets);
+
+      linkAggregator.migrateCache({}, (err, counts) => {
+        assert.deepEqual(counts, { scanned: 4, migrated: 2 });
+
+        getCached(url, (cached) => {
+          assert.equal(cached.schemaVersion, 2);
+          assert.equal(cached.tweetRetweetCount, 4);
+
+          getCached(removedUrl, (removed) => {
+            assert.equal(removed.schemaVersion, 2);
+            assert.equal(removed.isRemoved, true);
+
+            getCached('https://bit.ly/grid', (redirect) => {
+              assert.deepEqual(redirect, { redirect: url });
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
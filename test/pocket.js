@@ -9,7 +9,7 @@ describe('pocket', function(){
     let pocketConfig = {};
 
     before(function() {
-      linkAggregator = new la(config);
+      linkAggregator = new la(Object.assign({ store: 'memory' }, config));
 
       pocketConfig = {
         // TODO remove keys here - not needed in tests
@@ -24,6 +24,10 @@ describe('pocket', function(){
       };
     });
 
+    after((done) => {
+      linkAggregator.close(done);
+    });
+
     it('gets a Pocket list', function(done){
       this.timeout(10000);
 
@@ -62,4 +66,191 @@ describe('pocket', function(){
       })
     });
 
+    describe('pagination', function() {
+      // Fake Pocket API serving `total` (old) items, recording each request body.
+      const pagedFetchStub = (total, requests) => (url, options) => {
+        const body = JSON.parse(options.body);
+        const list = {};
+
+        requests.push(body);
+
+        for (let i = body.offset; i < Math.min(body.offset + body.count, total); i++) {
+          list[`${i}`] = {
+            item_id: `${i}`,
+            resolved_url: `https://a.com/${i}`,
+            time_added: '1486590673'
+          };
+        }
+
+        return Promise.resolve({ ok: 1, json: () => ({ status: 1, complete: 1, list }) });
+      };
+
+      it('pages through the list until exhausted', function(done) {
+        const requests = [];
+        const config = Object.assign({}, pocketConfig, {
+          count: 10,
+          fetchStub: pagedFetchStub(25, requests)
+        });
+
+        linkAggregator.fetchPocketList(config, (err) => {
+          assert.equal(err, null);
+          assert.deepEqual(requests.map((body) => body.offset), [0, 10, 20]);
+          done();
+        });
+      });
+
+      it('stops at the overall cap', function(done) {
+        const requests = [];
+        const config = Object.assign({}, pocketConfig, {
+          count: 10,
+          maxItems: 15,
+          fetchStub: pagedFetchStub(100, requests)
+        });
+
+        linkAggregator.fetchPocketList(config, (err) => {
+          assert.equal(err, null);
+          assert.deepEqual(requests.map((body) => [body.offset, body.count]), [[0, 10], [10, 5]]);
+          done();
+        });
+      });
+
+      it('passes through Pocket-only options', function(done) {
+        const requests = [];
+        const config = Object.assign({}, pocketConfig, {
+          favorite: true,
+          state: 'archive',
+          contentType: 'article',
+          fetchStub: pagedFetchStub(0, requests)
+        });
+
+        linkAggregator.fetchPocketList(config, (err) => {
+          assert.equal(err, null);
+          assert.equal(requests[0].favorite, 1);
+          assert.equal(requests[0].state, 'archive');
+          assert.equal(requests[0].contentType, 'article');
+          done();
+        });
+      });
+
+      it('fetches the last month by default', function(done) {
+        const requests = [];
+        const config = Object.assign({}, pocketConfig, {
+          fetchStub: pagedFetchStub(0, requests)
+        });
+        const monthAgoS = (Date.now() - 2592000000) / 1000;
+
+        linkAggregator.fetchPocketList(config, (err) => {
+          assert.equal(err, null);
+          assert.ok(Math.abs(requests[0].since - monthAgoS) < 60);
+          done();
+        });
+      });
+
+      it('has a configurable fetch window', function(done) {
+        const requests = [];
+        const sinceConfig = Object.assign({}, pocketConfig, {
+          since: 1486590673000,
+          fetchStub: pagedFetchStub(0, requests)
+        });
+        const fullArchiveConfig = Object.assign({}, pocketConfig, {
+          fullArchive: true,
+          fetchStub: pagedFetchStub(0, requests)
+        });
+
+        linkAggregator.fetchPocketList(sinceConfig, (err) => {
+          assert.equal(err, null);
+          assert.equal(requests[0].since, 1486590673);
+
+          linkAggregator.fetchPocketList(fullArchiveConfig, (err) => {
+            assert.equal(err, null);
+            assert.equal(requests[1].since, undefined);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('favorites and highlights', function() {
+      const pocketObj = {
+        username: 'editor',
+        tag: 'fbfe',
+        item_id: '82753695',
+        time_added: '1486590673',
+        favorite: '1',
+        time_favorited: '1486590700',
+        word_count: '405',
+        annotations: [
+          { annotation_id: 'a1', quote: 'How to be an asshole' }
+        ]
+      };
+
+      it('records favorites, word count and highlights', function() {
+        const result = linkAggregator.mergeUrls({ url: 'https://a.com' }, {
+          sourceName: 'pocket',
+          item: pocketObj
+        });
+
+        assert.equal(result.pocketFavorite, true);
+        assert.equal(result.pocketTimeFavoritedMS, 1486590700000);
+        assert.equal(result.pocketWordCount, 405);
+        assert.deepEqual(result.pocketHighlights, ['How to be an asshole']);
+      });
+
+      it('boosts favorited and highlighted urls', function() {
+        const base = linkAggregator.mergeUrls({}, {});
+        const urls = [
+          Object.assign({}, base, { url: 'https://a.com', pocketTimeAdded: [1] }),
+          Object.assign({}, base, {
+            url: 'https://b.com',
+            pocketTimeAdded: [1],
+            pocketFavorite: true
+          }),
+          Object.assign({}, base, {
+            url: 'https://c.com',
+            pocketTimeAdded: [1],
+            pocketFavorite: true,
+            pocketHighlights: ['quote']
+          })
+        ];
+
+        const result = linkAggregator.rankUrls(urls);
+
+        assert.deepEqual(result.map((urlObj) => urlObj.url),
+          ['https://c.com', 'https://b.com', 'https://a.com']);
+      });
+
+      it('has configurable boosts', function() {
+        const unboosted = new la(Object.assign({ store: 'memory' }, config, {
+          pocketFavoriteBoost: 0,
+          pocketHighlightBoost: 0
+        }));
+        const signalSegments = [{ signal: { key: 'tweetRetweetCount' }, segments: [0, 1] }];
+        const urlObj = { tweetRetweetCount: 1, pocketFavorite: true, pocketHighlights: ['quote'] };
+
+        assert.equal(unboosted.getURLRank(urlObj, signalSegments),
+          unboosted.getURLRank({ tweetRetweetCount: 1 }, signalSegments));
+        assert.ok(linkAggregator.getURLRank(urlObj, signalSegments) >
+          linkAggregator.getURLRank({ tweetRetweetCount: 1 }, signalSegments));
+
+        unboosted.close();
+      });
+
+      it('keeps the priority order of other signals', function() {
+        const signalSegments = [
+          { signal: { key: 'tweetRetweetCount' }, segments: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] },
+          { signal: { key: 'pocketWordCount' }, segments: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] }
+        ];
+        const favorited = { pocketFavorite: true };
+        const getRank = (urlObj) => linkAggregator.getURLRank(urlObj, signalSegments);
+
+        // A higher priority signal outranks a lower one among urls with the same boost.
+        assert.ok(getRank(Object.assign({ tweetRetweetCount: 2, pocketWordCount: 0 }, favorited)) >
+          getRank(Object.assign({ tweetRetweetCount: 1, pocketWordCount: 9 }, favorited)));
+
+        // Boosted urls rank above unboosted ones.
+        assert.ok(getRank(Object.assign({ tweetRetweetCount: 0 }, favorited)) >
+          getRank({ tweetRetweetCount: 9, pocketWordCount: 9 }));
+      });
+    });
+
 });
\ No newline at end of file
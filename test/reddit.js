@@ -0,0 +1,81 @@
+describe('reddit', function() {
+  const assert = require('assert');
+  const la = require('../link-aggregator');
+  const Promise = require('promise-polyfill');
+  const { redditStub } = require('./stubs');
+
+  let linkAggregator;
+  let requestedUrl;
+
+  const fetchStub = (url) => new Promise((resolve) => {
+    requestedUrl = url;
+
+    resolve({
+      ok: 1,
+      json: () => redditStub
+    });
+  });
+
+  beforeEach(function() {
+    linkAggregator = new la({ store: 'memory' });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('fetchRedditPosts', function() {
+    it('gets link posts from a subreddit', (done) => {
+      linkAggregator.fetchRedditPosts({ subreddit: 'javascript', fetchStub }, (err, posts) => {
+        assert.equal(err, null);
+        assert.equal(requestedUrl,
+          'https://www.reddit.com/r/javascript/top.json?limit=50&t=week&raw_json=1');
+        assert.deepEqual(posts.map((post) => post.name), [ 't3_5vbf5r' ]);
+        done();
+      });
+    });
+
+    it('requires a subreddit', (done) => {
+      linkAggregator.fetchRedditPosts({ fetchStub }, (err) => {
+        assert.notEqual(err, null);
+        done();
+      });
+    });
+
+    it('rejects unknown listings', (done) => {
+      linkAggregator.fetchRedditPosts({
+        subreddit: 'javascript',
+        listing: 'controversial',
+        fetchStub
+      }, (err) => {
+        assert.notEqual(err, null);
+        done();
+      });
+    });
+  });
+
+  describe('filterRedditPosts', function() {
+    it('skips self-posts and links back to Reddit', () => {
+      const posts = redditStub.data.children.map((child) => child.data);
+      const result = linkAggregator.filterRedditPosts(posts);
+
+      assert.deepEqual(result.map((post) => post.domain), [ 'medium.com' ]);
+    });
+  });
+
+  describe('mergeUrls', function() {
+    it('records the subreddit, score and comment count', () => {
+      const post = redditStub.data.children[0].data;
+      const result = linkAggregator.mergeUrls({ url: post.url }, {
+        sourceName: 'reddit',
+        item: post
+      });
+
+      assert.deepEqual(result.source, [ 'reddit' ]);
+      assert.deepEqual(result.sourceDetails, [ 'r/javascript' ]);
+      assert.equal(result.redditScore, 412);
+      assert.equal(result.redditCommentCount, 87);
+      assert.equal(result.timestamp, 1487597811000);
+    });
+  });
+});
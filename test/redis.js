@@ -1,5 +1,3 @@
-const redis = require('redis');
-const client = redis.createClient();
 const assert = require('assert');
 
 const redisNSPrefix = 'la-test-';
@@ -7,24 +5,24 @@ const redisNSPrefix = 'la-test-';
 describe('redis', function() {
   const assert = require('assert');
   const la = require('../link-aggregator');
+  const MemoryStore = require('../stores/memory-store');
 
   let linkAggregator;
 
-  const config = {
-    redisPrefix: redisNSPrefix
-  };
-
   beforeEach(function() {
-    linkAggregator = new la(config);
+    linkAggregator = new la({
+      store: 'memory',
+      redisPrefix: redisNSPrefix
+    });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
   });
 
   describe('uniqueLPUSH', function() {
     const listName = `${redisNSPrefix}list`;
 
-    afterEach((done) => {
-      client.del(listName, done);
-    });
-
     it('adds value to empty list', function(done) {
       const insertVal = 'foo';
 
@@ -32,7 +30,7 @@ describe('redis', function() {
         assert.equal(err, null);
         assert.notEqual(reply, null);
 
-        client.lrange(listName, 0, -1, (err, reply) => {
+        linkAggregator.store.listRange(listName, (err, reply) => {
           assert.equal(err, null);
           assert.deepEqual(reply, [ insertVal ]);
 
@@ -45,15 +43,14 @@ describe('redis', function() {
       const insertVal = 'foo';
 
       // Setup list so it's not empty initially.
-      client.lpush(listName, 'bar', (err, reply) => {
+      linkAggregator.store.listPushUnique(listName, 'bar', (err) => {
         assert.equal(err, null);
-        assert.notEqual(reply, null);
 
         linkAggregator.uniqueLPUSH(listName, insertVal, (err, reply) => {
           assert.equal(err, null);
           assert.notEqual(reply, null);
 
-          client.lrange(listName, 0, -1, (err, reply) => {
+          linkAggregator.store.listRange(listName, (err, reply) => {
             assert.equal(err, null);
             assert.deepEqual(reply, [ insertVal, 'bar' ]);
 
@@ -66,15 +63,14 @@ describe('redis', function() {
     it('doesnt add value if dupe', function(done) {
       const insertVal = 'foo';
 
-      client.lpush(listName, insertVal, (err, reply) => {
+      linkAggregator.store.listPushUnique(listName, insertVal, (err) => {
         assert.equal(err, null);
-        assert.notEqual(reply, null);
 
         linkAggregator.uniqueLPUSH(listName, insertVal, (err, reply) => {
           assert.equal(err, null);
           assert.notEqual(reply, null);
 
-          client.lrange(listName, 0, -1, (err, reply) => {
+          linkAggregator.store.listRange(listName, (err, reply) => {
             assert.equal(err, null);
             assert.deepEqual(reply, [ insertVal ]);
 
@@ -84,4 +80,47 @@ describe('redis', function() {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('per-instance config', function() {
+    const otherPrefix = 'la-test-other-';
+    const feed = { url: 'https://css-tricks.com/feed/', name: 'CSS-Tricks' };
+
+    it('keeps each aggregator in its own namespace', function(done) {
+      // Both in the same store, as with a shared Redis server.
+      const store = new MemoryStore();
+      const testAggregator = new la({ store, redisPrefix: redisNSPrefix });
+      const otherAggregator = new la({ store, redisPrefix: otherPrefix });
+
+      otherAggregator.addFeed(feed, () => {
+        testAggregator.getFeeds((err, feeds) => {
+          assert.deepEqual(feeds, []);
+
+          otherAggregator.getFeeds((err, otherFeeds) => {
+            assert.deepEqual(otherFeeds, [ feed ]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('can keep the list fetching lock held by another aggregator', function(done) {
+      const store = new MemoryStore();
+      const lockKey = `${redisNSPrefix}isCurrentlyFetching`;
+
+      store.lock(lockKey, null, () => {
+        new la({ store, redisPrefix: redisNSPrefix, keepFetchingLock: true });
+
+        store.lock(lockKey, null, (err, isLocked) => {
+          assert.equal(isLocked, false);
+
+          new la({ store, redisPrefix: redisNSPrefix });
+
+          store.lock(lockKey, null, (err, isLocked) => {
+            assert.equal(isLocked, true);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+describe('remove', function() {
+  const assert = require('assert');
+  const R = require('ramda');
+  const la = require('../link-aggregator');
+
+  const redisNSPrefix = 'la-test-';
+  const url = 'https://css-tricks.com/grid-and-flexbox/';
+  const shortUrl = 'https://bit.ly/grid';
+
+  // Cached details, so the url isn't scraped.
+  const cachedDetails = {
+    url,
+    title: 'Grid & Flexbox',
+    source: ['manual'],
+    sourceDetails: ['dave'],
+    articleTimestamp: Date.now()
+  };
+
+  let linkAggregator;
+
+  beforeEach(function(done) {
+    linkAggregator = new la({ store: 'memory', redisPrefix: redisNSPrefix });
+
+    const store = linkAggregator.store;
+
+    store.set(`${redisNSPrefix}${url}`, JSON.stringify(cachedDetails), () => {
+      store.set(`${redisNSPrefix}${shortUrl}`, JSON.stringify({ redirect: url }),
+        () => done());
+    });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('removeUrl', function() {
+    it('flags the url as removed', (done) => {
+      linkAggregator.removeUrl(`${url}?utm_source=twitter`, {
+        reason: 'Off topic',
+        removedBy: 'dave'
+      }, (err, urlObj) => {
+        assert.equal(err, null);
+        assert.equal(urlObj.isRemoved, true);
+        assert.equal(urlObj.removedReason, 'Off topic');
+        assert.equal(urlObj.removedBy, 'dave');
+        assert.equal(typeof urlObj.removedAt, 'number');
+
+        linkAggregator.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+          assert.equal(urlDetailsObj, undefined);
+          done();
+        });
+      });
+    });
+
+    it('follows cached redirects', (done) => {
+      linkAggregator.removeUrl(shortUrl, {}, (err, urlObj) => {
+        assert.equal(err, null);
+        assert.equal(urlObj.url, url);
+        assert.equal(urlObj.title, 'Grid & Flexbox');
+
+        linkAggregator.store.get(`${redisNSPrefix}${shortUrl}`, (err, reply) => {
+          assert.deepEqual(JSON.parse(reply), { redirect: url });
+          done();
+        });
+      });
+    });
+
+    it('flags urls that were never scraped', (done) => {
+      linkAggregator.removeUrl('https://a.com/', {}, (err) => {
+        assert.equal(err, null);
+
+        linkAggregator.getUrlDetails('https://a.com/', {}, (err, urlDetailsObj) => {
+          assert.equal(urlDetailsObj, undefined);
+          done();
+        });
+      });
+    });
+
+    it('leaves removed urls out of fetchLists results', (done) => {
+      linkAggregator.addUrl(url, {}, () => {
+        linkAggregator.removeUrl(url, {}, () => {
+          linkAggregator.fetchLists({ oldList: { list: [ cachedDetails ] } }, (err, urls) => {
+            assert.equal(err, null);
+            assert.deepEqual(urls, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('restoreUrl', function() {
+    it('clears the removed flag', (done) => {
+      linkAggregator.removeUrl(url, { reason: 'Oops' }, () => {
+        linkAggregator.restoreUrl(shortUrl, (err) => {
+          assert.equal(err, null);
+
+          linkAggregator.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+            assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+            assert.equal(urlDetailsObj.isRemoved, undefined);
+            assert.equal(urlDetailsObj.removedReason, undefined);
+            done();
+          });
+        });
+      });
+    });
+
+    it('forgets urls that were never scraped', (done) => {
+      linkAggregator.removeUrl('https://a.com/', {}, () => {
+        linkAggregator.restoreUrl('https://a.com/', (err, urlObj) => {
+          assert.equal(err, null);
+          assert.equal(urlObj, null);
+
+          linkAggregator.store.get(`${redisNSPrefix}https://a.com/`, (err, reply) => {
+            assert.equal(reply, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('listRemovedUrls', function() {
+    it('lists removed urls, most recent first', (done) => {
+      linkAggregator.removeUrl('https://a.com/', { reason: 'Spam' }, () => {
+        setTimeout(() => {
+          linkAggregator.removeUrl(url, { reason: 'Off topic', removedBy: 'dave' }, () => {
+            linkAggregator.listRemovedUrls((err, removedUrls) => {
+              assert.equal(err, null);
+              assert.deepEqual(R.pluck('url', removedUrls), [ url, 'https://a.com/' ]);
+              assert.equal(removedUrls[0].removedReason, 'Off topic');
+              assert.equal(removedUrls[0].removedBy, 'dave');
+              assert.equal(removedUrls[1].removedReason, 'Spam');
+              done();
+            });
+          });
+        }, 5);
+      });
+    });
+
+    it('drops restored urls', (done) => {
+      linkAggregator.removeUrl(url, {}, () => {
+        linkAggregator.restoreUrl(url, () => {
+          linkAggregator.listRemovedUrls((err, removedUrls) => {
+            assert.deepEqual(removedUrls, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
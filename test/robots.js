@@ -0,0 +1,237 @@
+describe('robots', function() {
+  const assert = require('assert');
+  const http = require('http');
+  const RobotsTxt = require('../robots-txt');
+  const la = require('../link-aggregator');
+
+  describe('RobotsTxt', function() {
+    const robotsTxt = new RobotsTxt(`
+# Comments are ignored.
+User-agent: *
+Disallow: /private/
+Allow: /private/press/
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: link-aggregator
+User-agent: other-bot
+Disallow: /drafts
+Allow: /drafts/public
+Disallow: /dup
+Allow: /dup
+
+User-agent: blocked-bot
+Disallow: /
+`);
+
+    it('uses the rules for every bot when not named', () => {
+      assert.equal(robotsTxt.isAllowed('some-bot', '/blog/'), true);
+      assert.equal(robotsTxt.isAllowed('some-bot', '/private/plans'), false);
+      assert.equal(robotsTxt.isAllowed('some-bot', '/private/press/release'), true);
+    });
+
+    it('uses only the rules naming the bot', () => {
+      assert.equal(robotsTxt.isAllowed('link-aggregator', '/private/plans'), true);
+      assert.equal(robotsTxt.isAllowed('Link-Aggregator', '/drafts/1'), false);
+      assert.equal(robotsTxt.isAllowed('other-bot', '/drafts/1'), false);
+      assert.equal(robotsTxt.isAllowed('blocked-bot', '/'), false);
+    });
+
+    it('prefers the longest rule, then Allow', () => {
+      assert.equal(robotsTxt.isAllowed('link-aggregator', '/drafts/public/1'), true);
+      assert.equal(robotsTxt.isAllowed('link-aggregator', '/dup'), true);
+    });
+
+    it('supports wildcards and end anchors', () => {
+      assert.equal(robotsTxt.isAllowed('some-bot', '/files/report.pdf'), false);
+      assert.equal(robotsTxt.isAllowed('some-bot', '/files/report.pdf?page=2'), true);
+    });
+
+    it('gets crawl delays', () => {
+      assert.equal(robotsTxt.getCrawlDelayMS('some-bot'), 2000);
+      assert.equal(robotsTxt.getCrawlDelayMS('link-aggregator'), null);
+    });
+
+    it('allows everything when empty', () => {
+      assert.equal(new RobotsTxt('').isAllowed('link-aggregator', '/'), true);
+    });
+  });
+
+  describe('fetchUrlDetails', function() {
+    let server;
+    let baseUrl;
+
+    // robots.txt to serve (or a status code to reply with), and requests for it so far.
+    let robotsTxt;
+    let robotsStatusCode;
+    let robotsRequests;
+
+    let pageRequests;
+
+    // Local site to scrape.
+    before(function(done) {
+      server = http.createServer((req, res) => {
+        if (req.url === '/robots.txt') {
+          robotsRequests++;
+          res.statusCode = robotsStatusCode || 200;
+          res.setHeader('content-type', 'text/plain');
+          res.end(robotsTxt);
+        } else {
+          pageRequests.push({ url: req.url, userAgent: req.headers['user-agent'] });
+          res.setHeader('content-type', 'text/html');
+          res.end('<html><head><title>Scraped title</title></head><body></body></html>');
+        }
+      });
+
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    after((done) => {
+      server.close(done);
+    });
+
+    let linkAggregator;
+
+    beforeEach(function() {
+      robotsTxt = 'User-agent: *\nDisallow: /private/\nCrawl-delay: 1\n';
+      robotsStatusCode = null;
+      robotsRequests = 0;
+      pageRequests = [];
+
+      linkAggregator = new la({
+        store: 'memory',
+        scrapeRetries: 0,
+        scrapeHostDelayMS: 0,
+        botName: 'link-aggregator',
+        botUserAgent: 'link-aggregator (+https://example.com/bot)'
+      });
+    });
+
+    afterEach((done) => {
+      linkAggregator.close(done);
+    });
+
+    const pocketObj = {
+      username: 'dave',
+      tag: 'frontend',
+      time_added: '1487600000',
+      item_id: '1',
+      resolved_title: 'Pocket title',
+      excerpt: 'Pocket excerpt'
+    };
+
+    it('scrapes allowed pages as the bot', (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/blog/post`, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.title, 'Scraped title');
+        assert.equal(urlDetailsObj.scrapeSkipped, undefined);
+        assert.equal(pageRequests[0].userAgent, 'link-aggregator (+https://example.com/bot)');
+        done();
+      });
+    });
+
+    it('falls back to source details for disallowed pages', (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/private/post`, { pocketObj },
+        (err, urlDetailsObj) => {
+          assert.equal(pageRequests.length, 0);
+          assert.equal(urlDetailsObj.scrapeSkipped, 'robots');
+          assert.equal(urlDetailsObj.title, 'Pocket title');
+          assert.equal(urlDetailsObj.excerpt, 'Pocket excerpt');
+          assert.deepEqual(urlDetailsObj.source, ['pocket']);
+
+          linkAggregator.store.listRange('la-urls', (err, urls) => {
+            assert.deepEqual(urls, [`${baseUrl}/private/post`]);
+            done();
+          });
+        });
+    });
+
+    it('expires disallowed pages, so they are checked again', (done) => {
+      const url = `${baseUrl}/private/post`;
+      const getCached = (cb) => linkAggregator.store.get(`la-${url}`, (err, reply) => cb(reply));
+
+      linkAggregator.cacheTTLs.robotsDisallowed = 300;
+
+      // Read (merging in another source's info) every 50 ms, which doesn't restart the expiry.
+      const readUntil = (stopMS) => {
+        linkAggregator.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+          assert.equal(urlDetailsObj.scrapeSkipped, 'robots');
+
+          if (Date.now() < stopMS) return setTimeout(() => readUntil(stopMS), 50);
+
+          return setTimeout(() => {
+            getCached((expired) => {
+              assert.equal(expired, null);
+              done();
+            });
+          }, 200);
+        });
+      };
+
+      linkAggregator.fetchUrlDetails(url, { pocketObj }, () => {
+        getCached((cached) => {
+          assert.notEqual(cached, null);
+          readUntil(Date.now() + 200);
+        });
+      });
+    });
+
+    it('keeps details already cached for disallowed pages', (done) => {
+      const url = `${baseUrl}/private/post`;
+      const cachedDetails = { url, title: 'Cached title', source: ['manual'] };
+
+      linkAggregator.fetchUrlDetails(url, { previousDetails: cachedDetails, pocketObj },
+        (err, urlDetailsObj) => {
+          assert.equal(urlDetailsObj.title, 'Cached title');
+          assert.equal(urlDetailsObj.scrapeSkipped, 'robots');
+          done();
+        });
+    });
+
+    it('caches robots.txt per site', (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/a`, {}, () => {
+        linkAggregator.fetchUrlDetails(`${baseUrl}/private/b`, {}, () => {
+          assert.equal(robotsRequests, 1);
+          done();
+        });
+      });
+    });
+
+    it('passes crawl delays on to the scheduler', (done) => {
+      linkAggregator.fetchUrlDetails(`${baseUrl}/a`, {}, () => {
+        assert.equal(linkAggregator.scrapeScheduler.hostDelayByHost['127.0.0.1'], 1000);
+        done();
+      });
+    });
+
+    it('allows everything when robots.txt is missing', (done) => {
+      robotsStatusCode = 404;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/private/post`, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.title, 'Scraped title');
+        done();
+      });
+    });
+
+    it("disallows everything when robots.txt can't be fetched", (done) => {
+      robotsStatusCode = 503;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/blog/post`, {}, (err, urlDetailsObj) => {
+        assert.equal(urlDetailsObj.scrapeSkipped, 'robots');
+        done();
+      });
+    });
+
+    it('can be turned off', (done) => {
+      linkAggregator.respectRobotsTxt = false;
+
+      linkAggregator.fetchUrlDetails(`${baseUrl}/private/post`, {}, (err, urlDetailsObj) => {
+        assert.equal(robotsRequests, 0);
+        assert.equal(urlDetailsObj.title, 'Scraped title');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+describe('scrape-scheduler', function() {
+  const assert = require('assert');
+  const ScrapeScheduler = require('../scrape-scheduler');
+  const la = require('../link-aggregator');
+
+  // Schedules a task that takes durationMS, recording when it ran.
+  const scheduleTask = (scheduler, url, durationMS, runs, done) => {
+    scheduler.schedule(url, (release) => {
+      const run = { url, startMS: Date.now() };
+      runs.push(run);
+
+      setTimeout(() => {
+        run.endMS = Date.now();
+        release();
+        if (done) done();
+      }, durationMS);
+    });
+  };
+
+  it('caps requests in flight per host', (done) => {
+    const scheduler = new ScrapeScheduler({ maxPerHost: 2, hostDelayMS: 0 });
+    const runs = [];
+    let finished = 0;
+
+    const onDone = () => {
+      if (++finished < 3) return;
+
+      // The third request to medium.com waited for one of the first two.
+      assert(runs[2].startMS >= Math.min(runs[0].endMS, runs[1].endMS));
+      done();
+    };
+
+    scheduleTask(scheduler, 'https://medium.com/a', 50, runs, onDone);
+    scheduleTask(scheduler, 'https://medium.com/b', 50, runs, onDone);
+    scheduleTask(scheduler, 'https://medium.com/c', 50, runs, onDone);
+
+    assert.equal(scheduler.active, 2);
+    assert.equal(scheduler.queue.length, 1);
+  });
+
+  it("doesn't hold up other hosts", () => {
+    const scheduler = new ScrapeScheduler({ maxPerHost: 1, hostDelayMS: 0 });
+    const runs = [];
+
+    scheduleTask(scheduler, 'https://medium.com/a', 10, runs);
+    scheduleTask(scheduler, 'https://medium.com/b', 10, runs);
+    scheduleTask(scheduler, 'https://css-tricks.com/a', 10, runs);
+
+    assert.deepEqual(runs.map((run) => run.url),
+      ['https://medium.com/a', 'https://css-tricks.com/a']);
+  });
+
+  it('spaces out requests to the same host', (done) => {
+    const scheduler = new ScrapeScheduler({ maxPerHost: 5, hostDelayMS: 100 });
+    const runs = [];
+    let finished = 0;
+
+    const onDone = () => {
+      if (++finished < 3) return;
+
+      const startMS = {};
+      runs.forEach((run) => { startMS[run.url] = run.startMS; });
+
+      assert(startMS['https://medium.com/b'] - startMS['https://medium.com/a'] >= 95);
+
+      // Other hosts start right away.
+      assert(startMS['https://css-tricks.com/a'] - startMS['https://medium.com/a'] < 50);
+      done();
+    };
+
+    scheduleTask(scheduler, 'https://medium.com/a', 0, runs, onDone);
+    scheduleTask(scheduler, 'https://medium.com/b', 0, runs, onDone);
+    scheduleTask(scheduler, 'https://css-tricks.com/a', 0, runs, onDone);
+  });
+
+  it('caps requests in flight overall', () => {
+    const scheduler = new ScrapeScheduler({ maxConcurrency: 2, hostDelayMS: 0 });
+    const runs = [];
+
+    scheduleTask(scheduler, 'https://a.com/', 10, runs);
+    scheduleTask(scheduler, 'https://b.com/', 10, runs);
+    scheduleTask(scheduler, 'https://c.com/', 10, runs);
+
+    assert.equal(runs.length, 2);
+    assert.equal(scheduler.queue.length, 1);
+  });
+
+  it('only counts the first release', (done) => {
+    const scheduler = new ScrapeScheduler({ hostDelayMS: 0 });
+
+    scheduler.schedule('https://a.com/', (release) => {
+      release();
+      release();
+
+      assert.equal(scheduler.active, 0);
+      done();
+    });
+  });
+
+  it('is configured on the aggregator', (done) => {
+    const linkAggregator = new la({
+      store: 'memory',
+      scrapeConcurrency: 4,
+      scrapeHostConcurrency: 1,
+      scrapeHostDelayMS: 250
+    });
+
+    assert.equal(linkAggregator.scrapeScheduler.maxConcurrency, 4);
+    assert.equal(linkAggregator.scrapeScheduler.maxPerHost, 1);
+    assert.equal(linkAggregator.scrapeScheduler.hostDelayMS, 250);
+
+    linkAggregator.close(done);
+  });
+});
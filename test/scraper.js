@@ -8,7 +8,11 @@ describe('scraper', function() {
   let linkAggregator;
 
   beforeEach(function() {
-    linkAggregator = new la();
+    linkAggregator = new la({ store: 'memory' });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
   });
 
   describe('filterUrlsWithIgnoreWords', function() {
@@ -970,5 +974,37 @@ describe('scraper', function() {
     
   });
 
-  
-});
\ No newline at end of file
+  describe('getCanonicalUrl', function() {
+    const pageUrl = 'https://m.css-tricks.com/grid/?utm_source=twitter';
+
+    it('reads link rel=canonical', () => {
+      const $ = cheerio.load(`<head>
+<link rel="canonical" href="https://css-tricks.com/grid/">
+<meta property="og:url" content="https://css-tricks.com/og-grid/">
+</head>`);
+
+      assert.equal(linkAggregator.getCanonicalUrl($, pageUrl), 'https://css-tricks.com/grid/');
+    });
+
+    it('falls back to og:url', () => {
+      const $ = cheerio.load('<meta property="og:url" content="https://css-tricks.com/grid/">');
+
+      assert.equal(linkAggregator.getCanonicalUrl($, pageUrl), 'https://css-tricks.com/grid/');
+    });
+
+    it('resolves relative urls and removes junk params', () => {
+      const $ = cheerio.load('<link rel="canonical" href="/grid/?utm_medium=amp">');
+
+      assert.equal(linkAggregator.getCanonicalUrl($, pageUrl), 'https://m.css-tricks.com/grid/');
+    });
+
+    it('ignores home pages and non-web urls', () => {
+      const homePage$ = cheerio.load('<link rel="canonical" href="https://css-tricks.com/">');
+      const mailto$ = cheerio.load('<link rel="canonical" href="mailto:chris@css-tricks.com">');
+
+      assert.equal(linkAggregator.getCanonicalUrl(homePage$, pageUrl), null);
+      assert.equal(linkAggregator.getCanonicalUrl(mailto$, pageUrl), null);
+      assert.equal(linkAggregator.getCanonicalUrl(cheerio.load('<p></p>'), pageUrl), null);
+    });
+  });
+});
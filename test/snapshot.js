@@ -0,0 +1,213 @@
+describe('snapshot', function() {
+  const assert = require('assert');
+  const stream = require('stream');
+  const la = require('../link-aggregator');
+
+  const url = 'https://css-tricks.com/grid-and-flexbox/';
+  const shortUrl = 'https://bit.ly/grid';
+  const removedUrl = 'https://a.com/spam';
+
+  const cachedDetails = {
+    url,
+    title: 'Grid & Flexbox',
+    source: ['manual'],
+    sourceDetails: ['dave']
+  };
+
+  let source;
+  let target;
+
+  beforeEach(function(done) {
+    source = new la({ store: 'memory', redisPrefix: 'la-prod-' });
+    target = new la({ store: 'memory', redisPrefix: 'la-staging-' });
+
+    source.store.set(`la-prod-${url}`, JSON.stringify(cachedDetails), () => {
+      source.store.set(`la-prod-${shortUrl}`, JSON.stringify({ redirect: url }), () => {
+        source.uniqueLPUSH('la-prod-urls', url, () => {
+          source.removeUrl(removedUrl, { reason: 'Spam' }, () => done());
+        });
+      });
+    });
+  });
+
+  afterEach((done) => {
+    source.close(() => target.close(done));
+  });
+
+  // Exports the source cache, calling back with the snapshot's lines.
+  const exportLines = (done) => {
+    const output = new stream.PassThrough();
+    let snapshot = '';
+
+    output.on('data', (chunk) => { snapshot += chunk; });
+
+    source.exportCache(output, (err, counts) => {
+      assert.equal(err, null);
+      done(snapshot.trim().split('\n').map((line) => JSON.parse(line)), counts);
+    });
+  };
+
+  // Imports lines into the target cache.
+  const importLines = (lines, args, done) => {
+    const input = new stream.PassThrough();
+
+    target.importCache(input, args, done);
+
+    input.end(lines.map((line) => (typeof line === 'string' ? line : JSON.stringify(line)))
+      .join('\n'));
+  };
+
+  describe('exportCache', function() {
+    it('writes url details, redirects and the urls list', (done) => {
+      exportLines((lines, counts) => {
+        assert.deepEqual(counts, { urls: 2, redirects: 1, listed: 1 });
+
+        assert.equal(lines[0].type, 'snapshot');
+        assert.equal(lines[0].namespace, 'la-prod-');
+
+        const urlLine = lines.find((line) => line.url === url);
+        assert.equal(urlLine.type, 'url');
+        assert.equal(urlLine.details.title, 'Grid & Flexbox');
+
+        const redirectLine = lines.find((line) => line.url === shortUrl);
+        assert.deepEqual(redirectLine, { type: 'redirect', url: shortUrl, redirect: url });
+
+        assert.deepEqual(lines[lines.length - 1], { type: 'urls', urls: [url] });
+        done();
+      });
+    });
+  });
+
+  describe('importCache', function() {
+    it('restores a snapshot into another namespace', (done) => {
+      exportLines((lines) => {
+        importLines(lines, {}, (err, counts) => {
+          assert.equal(err, null);
+          assert.deepEqual(counts, { urls: 2, redirects: 1, listed: 1, skipped: 0 });
+
+          target.getUrlDetails(shortUrl, {}, (err, urlDetailsObj) => {
+            assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+
+            target.listRemovedUrls((err, removedUrls) => {
+              assert.deepEqual(removedUrls.map((removed) => removed.url), [removedUrl]);
+
+              target.store.listRange('la-staging-urls', (err, urls) => {
+                assert.deepEqual(urls, [url]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('keeps removed urls without a ttl', (done) => {
+      target.cacheTTLs.success = 50;
+
+      exportLines((lines) => {
+        importLines(lines, {}, () => {
+          setTimeout(() => {
+            target.store.mget([`la-staging-${url}`, `la-staging-${removedUrl}`], (err, replies) => {
+              assert.equal(replies[0], null);
+              assert.equal(JSON.parse(replies[1]).removedReason, 'Spam');
+              done();
+            });
+          }, 100);
+        });
+      });
+    });
+
+    it('keeps cached entries when merging', (done) => {
+      const stagingDetails = Object.assign({}, cachedDetails, { title: 'Staging title' });
+
+      target.store.set(`la-staging-${url}`, JSON.stringify(stagingDetails), () => {
+        target.uniqueLPUSH('la-staging-urls', 'https://b.com/', () => {
+          exportLines((lines) => {
+            importLines(lines, {}, (err, counts) => {
+              assert.equal(counts.skipped, 1);
+
+              target.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+                assert.equal(urlDetailsObj.title, 'Staging title');
+
+                target.store.listRange('la-staging-urls', (err, urls) => {
+                  assert.deepEqual(urls.sort(), ['https://b.com/', url]);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('replaces cached entries and the urls list when overwriting', (done) => {
+      const stagingDetails = Object.assign({}, cachedDetails, { title: 'Staging title' });
+      const stagingUrl = 'https://b.com/';
+      const stagingRemovedUrl = 'https://b.com/spam';
+
+      target.store.set(`la-staging-${url}`, JSON.stringify(stagingDetails), () => {
+        target.store.set(`la-staging-${stagingUrl}`, JSON.stringify({ url: stagingUrl }), () => {
+          target.uniqueLPUSH('la-staging-urls', stagingUrl, () => {
+            target.removeUrl(stagingRemovedUrl, {}, () => {
+              exportLines((lines) => {
+                importLines(lines, { overwrite: true }, (err, counts) => {
+                  assert.equal(counts.skipped, 0);
+
+                  target.getUrlDetails(url, {}, (err, urlDetailsObj) => {
+                    assert.equal(urlDetailsObj.title, 'Grid & Flexbox');
+
+                    target.store.mget([`la-staging-${stagingUrl}`,
+                      `la-staging-${stagingRemovedUrl}`], (err, replies) => {
+                      assert.deepEqual(replies, [null, null]);
+
+                      target.listRemovedUrls((err, removedUrls) => {
+                        assert.deepEqual(removedUrls.map((removed) => removed.url), [removedUrl]);
+
+                        target.store.listRange('la-staging-urls', (err, urls) => {
+                          assert.deepEqual(urls, [url]);
+                          done();
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('migrates records from before the latest schema version', (done) => {
+      target.registerMigration(2, (urlDetailsObj) => Object.assign({}, urlDetailsObj, {
+        title: urlDetailsObj.title.toUpperCase()
+      }));
+
+      exportLines((lines) => {
+        importLines(lines, {}, () => {
+          target.store.get(`la-staging-${url}`, (err, reply) => {
+            const cached = JSON.parse(reply);
+
+            assert.equal(cached.schemaVersion, 2);
+            assert.equal(cached.title, 'GRID & FLEXBOX');
+
+            // Back-filled by the built-in migration.
+            assert.equal(cached.hnPoints, 0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('writes nothing from invalid snapshots', (done) => {
+      importLines([{ type: 'url', url, details: cachedDetails }, '{"type":'], {}, (err) => {
+        assert(err.match(/invalid JSON on line 2/));
+
+        target.store.get(`la-staging-${url}`, (err, reply) => {
+          assert.equal(reply, null);
+          done();
+        });
+      });
+    });
+  });
+});
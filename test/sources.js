@@ -0,0 +1,104 @@
+describe('sources', function() {
+  const assert = require('assert');
+  const la = require('../link-aggregator');
+
+  let linkAggregator;
+
+  const bookmarkSource = {
+    fields: {
+      bookmarkCount: 0,
+      bookmarkIDs: []
+    },
+    signals: [
+      { key: 'bookmarkCount', priority: 50 }
+    ],
+    fetch: (listConfig, done) => done(null, []),
+    map: (item, urlObj) => {
+      if (urlObj.bookmarkIDs.indexOf(item.id) !== -1) return null;
+
+      return {
+        sourceDetails: item.folder,
+        timestamp: item.addedMS,
+        fields: {
+          bookmarkCount: urlObj.bookmarkCount + 1,
+          bookmarkIDs: R.union(urlObj.bookmarkIDs, [ item.id ])
+        }
+      };
+    }
+  };
+
+  const R = require('ramda');
+
+  beforeEach(function() {
+    linkAggregator = new la({ store: 'memory' });
+  });
+
+  afterEach((done) => {
+    linkAggregator.close(done);
+  });
+
+  describe('registerSource', function() {
+    it('registers built-in sources', () => {
+      assert.equal(typeof linkAggregator.getSource('twitter').fetch, 'function');
+      assert.equal(typeof linkAggregator.getSource('pocket').fetch, 'function');
+      assert.equal(linkAggregator.getSource('feeds').source, 'feed');
+    });
+
+    it('requires fetch and map functions', () => {
+      assert.throws(() => linkAggregator.registerSource('broken', { fetch: () => {} }));
+    });
+
+    it('defaults the source label to the name', () => {
+      linkAggregator.registerSource('bookmarks', bookmarkSource);
+
+      assert.equal(linkAggregator.getSource('bookmarks').source, 'bookmarks');
+    });
+  });
+
+  describe('mergeUrls', function() {
+    it('maps items from a registered source', () => {
+      linkAggregator.registerSource('bookmarks', bookmarkSource);
+
+      const item = { id: 'b1', folder: 'Reading', addedMS: 1487597811000 };
+      const result = linkAggregator.mergeUrls({ url: 'https://a.com' }, {
+        sourceName: 'bookmarks',
+        item
+      });
+
+      assert.deepEqual(result.source, [ 'bookmarks' ]);
+      assert.deepEqual(result.sourceDetails, [ 'Reading' ]);
+      assert.equal(result.bookmarkCount, 1);
+      assert.equal(result.timestamp, 1487597811000);
+
+      // Merging the same item again is a no-op.
+      const again = linkAggregator.mergeUrls(result, { sourceName: 'bookmarks', item });
+      assert.equal(again.bookmarkCount, 1);
+    });
+
+    it('back-fills fields of sources registered later', () => {
+      const cached = linkAggregator.mergeUrls({ url: 'https://a.com' }, {});
+
+      linkAggregator.registerSource('bookmarks', bookmarkSource);
+      const result = linkAggregator.mergeUrls(cached, {});
+
+      assert.equal(result.bookmarkCount, 0);
+      assert.deepEqual(result.bookmarkIDs, []);
+    });
+  });
+
+  describe('rankUrls', function() {
+    it('ranks by registered source signals', () => {
+      linkAggregator.registerSource('bookmarks', bookmarkSource);
+
+      const base = linkAggregator.mergeUrls({}, {});
+      const urls = [
+        Object.assign({}, base, { url: 'https://a.com', tweetRetweetCount: 100 }),
+        Object.assign({}, base, { url: 'https://b.com', bookmarkCount: 3 })
+      ];
+
+      const result = linkAggregator.rankUrls(urls);
+
+      assert.equal(result[0].url, 'https://b.com');
+    });
+  });
+});
@@ -0,0 +1,352 @@
+describe('stores', function() {
+  const assert = require('assert');
+  const redis = require('redis');
+  const la = require('../link-aggregator');
+  const RedisStore = require('../stores/redis-store');
+  const MemoryStore = require('../stores/memory-store');
+  const SqliteStore = require('../stores/sqlite-store');
+
+  const redisNSPrefix = 'la-test-store-';
+
+  // The same tests for every store.
+  const testStore = (createStore) => {
+    const key = `${redisNSPrefix}key`;
+    const otherKey = `${redisNSPrefix}otherKey`;
+
+    let store;
+
+    beforeEach(function() {
+      store = createStore();
+    });
+
+    afterEach((done) => {
+      store.del([key, otherKey], () => store.close(done));
+    });
+
+    it('gets and sets values', (done) => {
+      store.set(key, 'foo', (err) => {
+        assert.equal(err, null);
+
+        store.get(key, (err, value) => {
+          assert.equal(err, null);
+          assert.equal(value, 'foo');
+
+          store.mget([key, otherKey], (err, values) => {
+            assert.deepEqual(values, ['foo', null]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('deletes values', (done) => {
+      store.set(key, 'foo', () => {
+        store.del([key], () => {
+          store.get(key, (err, value) => {
+            assert.equal(value, null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('expires values with a ttl', (done) => {
+      store.set(key, 'foo', { ttlMS: 50 }, (err) => {
+        assert.equal(err, null);
+
+        store.set(otherKey, 'bar', {}, () => {
+          setTimeout(() => {
+            store.mget([key, otherKey], (err, values) => {
+              assert.deepEqual(values, [null, 'bar']);
+              done();
+            });
+          }, 100);
+        });
+      });
+    });
+
+    it('keeps the ttl when asked to', (done) => {
+      store.set(key, 'foo', { ttlMS: 100 }, () => {
+        setTimeout(() => {
+          store.set(key, 'bar', { keepTTL: true }, (err) => {
+            assert.equal(err, null);
+
+            // Not set once expired, so it can't be brought back without a ttl.
+            store.set(otherKey, 'baz', { keepTTL: true }, () => {
+              store.mget([key, otherKey], (err, values) => {
+                assert.deepEqual(values, ['bar', null]);
+
+                setTimeout(() => {
+                  store.get(key, (err, value) => {
+                    assert.equal(value, null);
+                    done();
+                  });
+                }, 100);
+              });
+            });
+          });
+        }, 50);
+      });
+    });
+
+    it('scans keys by prefix', (done) => {
+      const keys = [];
+
+      const scanBatch = (cursor) => {
+        store.scan(redisNSPrefix, cursor, 1, (err, nextCursor, batch) => {
+          assert.equal(err, null);
+
+          batch.forEach((batchKey) => keys.push(batchKey));
+
+          if (nextCursor !== '0') return scanBatch(nextCursor);
+
+          assert.deepEqual(keys.sort(), [key, otherKey]);
+          return done();
+        });
+      };
+
+      store.set(key, 'foo', () => {
+        store.listPushUnique(otherKey, 'bar', () => {
+          store.set('la-test-other-ns-key', 'baz', { ttlMS: 1000 }, () => scanBatch('0'));
+        });
+      });
+    });
+
+    it('pushes unique values onto lists', (done) => {
+      store.listPushUnique(key, 'bar', () => {
+        store.listPushUnique(key, 'foo', () => {
+          store.listPushUnique(key, 'bar', () => {
+            store.listRange(key, (err, values) => {
+              assert.equal(err, null);
+              assert.deepEqual(values, ['foo', 'bar']);
+
+              store.listLength(key, (err, length) => {
+                assert.equal(length, 2);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('removes values from lists', (done) => {
+      store.listPushUnique(key, 'bar', () => {
+        store.listPushUnique(key, 'foo', () => {
+          store.listRemove(key, 'bar', () => {
+            store.listRange(key, (err, values) => {
+              assert.deepEqual(values, ['foo']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('gets and sets hash fields', (done) => {
+      store.hashSet(key, 'a', 1, () => {
+        store.hashSet(key, 'b', 'two', () => {
+          store.hashDel(key, 'a', () => {
+            store.hashGetAll(key, (err, hash) => {
+              assert.equal(err, null);
+              assert.deepEqual(hash, { b: 'two' });
+
+              store.hashGetAll(otherKey, (err, otherHash) => {
+                assert.equal(otherHash, null);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('replaces and increments hashes', (done) => {
+      store.hashReplace(key, { limit: 900, remaining: 2 }, Date.now() + 60000, () => {
+        store.hashIncrement(key, 'remaining', -1, (err, remaining) => {
+          assert.equal(err, null);
+          assert.equal(remaining, 1);
+
+          store.hashGetAll(key, (err, hash) => {
+            assert.deepEqual(hash, { limit: '900', remaining: '1' });
+            done();
+          });
+        });
+      });
+    });
+
+    it('doesn\'t increment missing or expired hashes', (done) => {
+      store.hashReplace(key, { remaining: 2 }, Date.now() - 1, () => {
+        store.hashIncrement(key, 'remaining', -1, (err, remaining) => {
+          assert.equal(err, null);
+          assert.equal(remaining, null);
+
+          store.hashIncrement(otherKey, 'remaining', -1, (err, otherRemaining) => {
+            assert.equal(otherRemaining, null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('takes locks once', (done) => {
+      store.lock(key, null, (err, isLocked) => {
+        assert.equal(err, null);
+        assert.equal(isLocked, true);
+
+        store.lock(key, null, (err, isLockedAgain) => {
+          assert.equal(isLockedAgain, false);
+
+          store.unlock(key, () => {
+            store.lock(key, null, (err, isRelocked) => {
+              assert.equal(isRelocked, true);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('expires locks', (done) => {
+      store.lock(key, 10, () => {
+        setTimeout(() => {
+          store.lock(key, null, (err, isLocked) => {
+            assert.equal(isLocked, true);
+            done();
+          });
+        }, 30);
+      });
+    });
+  };
+
+  describe('redis', function() {
+    // Only the Redis store needs a server running, so these are skipped without one.
+    let client;
+    let isRedisUp = false;
+
+    before(function(done) {
+      client = redis.createClient({ retry_strategy: () => undefined });
+
+      client.once('ready', () => {
+        isRedisUp = true;
+        done();
+      });
+
+      // Connections aren't retried, so this ends straight away without a server.
+      client.once('end', () => {
+        if (!isRedisUp) done();
+      });
+    });
+
+    beforeEach(function() {
+      if (!isRedisUp) this.skip();
+    });
+
+    after((done) => {
+      if (!isRedisUp) return done();
+
+      return client.quit(() => done());
+    });
+
+    testStore(() => new RedisStore({ client }));
+
+    describe('aggregator', function() {
+      const feed = { url: 'https://css-tricks.com/feed/', name: 'CSS-Tricks' };
+
+      afterEach((done) => {
+        client.del(`${redisNSPrefix}feeds`, done);
+      });
+
+      it('is the default store', (done) => {
+        const linkAggregator = new la({ redisPrefix: redisNSPrefix });
+
+        assert.ok(linkAggregator.store instanceof RedisStore);
+
+        linkAggregator.close(done);
+      });
+
+      it('uses a client passed in', function(done) {
+        const injectedAggregator = new la({ redisPrefix: redisNSPrefix, redisClient: client });
+
+        assert.equal(injectedAggregator.store.client, client);
+
+        injectedAggregator.addFeed(feed, () => {
+          injectedAggregator.getFeeds((err, feeds) => {
+            assert.deepEqual(feeds, [ feed ]);
+
+            // Closing leaves clients passed in open.
+            injectedAggregator.close(() => {
+              assert.equal(client.connected, true);
+              done();
+            });
+          });
+        });
+      });
+
+      it('connects to a Redis url', function(done) {
+        const urlAggregator = new la({
+          redisUrl: 'redis://127.0.0.1:6379',
+          redisPrefix: redisNSPrefix
+        });
+
+        urlAggregator.store.client.ping((err, reply) => {
+          assert.equal(err, null);
+          assert.equal(reply, 'PONG');
+
+          urlAggregator.close(() => {
+            assert.equal(urlAggregator.store.client.closing, true);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('memory', function() {
+    testStore(() => new MemoryStore());
+  });
+
+  describe('sqlite', function() {
+    testStore(() => new SqliteStore());
+  });
+
+  describe('aggregator', function() {
+    it('uses the store chosen in config', () => {
+      const memoryAggregator = new la({ store: 'memory' });
+      const sqliteAggregator = new la({ store: 'sqlite' });
+      const customStore = new MemoryStore();
+
+      assert.ok(memoryAggregator.store instanceof MemoryStore);
+      assert.ok(sqliteAggregator.store instanceof SqliteStore);
+      assert.equal((new la({ store: customStore })).store, customStore);
+      assert.throws(() => new la({ store: 'floppy' }));
+
+      memoryAggregator.close();
+      sqliteAggregator.close();
+    });
+
+    it('works without Redis', (done) => {
+      const linkAggregator = new la({ store: 'memory' });
+      const feed = { url: 'https://css-tricks.com/feed/', name: 'CSS-Tricks' };
+
+      linkAggregator.addFeed(feed, () => {
+        linkAggregator.getFeeds((err, feeds) => {
+          assert.equal(err, null);
+          assert.deepEqual(feeds, [ feed ]);
+          done();
+        });
+      });
+    });
+
+    it('locks list fetching', (done) => {
+      const linkAggregator = new la({ store: 'memory' });
+
+      linkAggregator.store.lock(`la-isCurrentlyFetching`, null, () => {
+        linkAggregator.fetchLists({}, (err) => {
+          assert.ok(err.match(/already active/));
+          done();
+        });
+      });
+    });
+  });
+});
@@ -281,7 +281,221 @@ const pocketStub = {
   }
 };
 
+const rssStub = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>CSS-Tricks</title>
+    <link>https://css-tricks.com</link>
+    <description>Tips, Tricks, and Techniques on using Cascading Style Sheets.</description>
+    <item>
+      <title>Grid &amp; Flexbox</title>
+      <link>https://css-tricks.com/grid-and-flexbox/</link>
+      <guid isPermaLink="false">https://css-tricks.com/?p=255005</guid>
+      <pubDate>Mon, 20 Feb 2017 13:36:51 +0000</pubDate>
+      <description><![CDATA[<p>When to use <strong>which</strong>.</p>]]></description>
+    </item>
+    <item>
+      <title>Undated post</title>
+      <guid>https://css-tricks.com/undated/</guid>
+      <dc:date>2017-02-19T10:00:00Z</dc:date>
+    </item>
+    <item>
+      <title>No link at all</title>
+    </item>
+  </channel>
+</rss>`;
+
+const atomStub = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Jake Archibald's blog</title>
+  <link href="https://jakearchibald.com/posts.rss" rel="self"/>
+  <id>https://jakearchibald.com/</id>
+  <updated>2017-02-20T00:00:00Z</updated>
+  <entry>
+    <title>Service workers: the basics</title>
+    <link href="https://jakearchibald.com/comments/sw" rel="replies"/>
+    <link href="https://jakearchibald.com/2017/service-workers/" rel="alternate"/>
+    <id>tag:jakearchibald.com,2017:service-workers</id>
+    <published>2017-02-18T12:00:00Z</published>
+    <updated>2017-02-20T12:00:00Z</updated>
+    <summary>An introduction.</summary>
+  </entry>
+  <entry>
+    <title>Streams</title>
+    <link href="https://jakearchibald.com/2017/streams/"/>
+    <id>tag:jakearchibald.com,2017:streams</id>
+    <updated>2017-02-10T12:00:00Z</updated>
+  </entry>
+</feed>`;
+
+const hackerNewsStub = {
+  'https://hacker-news.firebaseio.com/v0/topstories.json': [ 8863, 121003, 192327, 8952 ],
+  'https://hacker-news.firebaseio.com/v0/item/8863.json': {
+    by: 'dhouston',
+    descendants: 71,
+    id: 8863,
+    score: 111,
+    time: 1175714200,
+    title: 'My YC app: Dropbox - Throw away your USB drive',
+    type: 'story',
+    url: 'http://www.getdropbox.com/u/2/screencast.html'
+  },
+  'https://hacker-news.firebaseio.com/v0/item/121003.json': {
+    by: 'tel',
+    descendants: 16,
+    id: 121003,
+    score: 25,
+    text: '<i>or</i> HN: the Next Iteration',
+    time: 1203647620,
+    title: 'Ask HN: The Arc Effect',
+    type: 'story'
+  },
+  'https://hacker-news.firebaseio.com/v0/item/192327.json': {
+    by: 'justin',
+    id: 192327,
+    score: 6,
+    time: 1210981217,
+    title: 'Justin.tv is looking for a Lead Flash Engineer!',
+    type: 'job',
+    url: ''
+  }
+};
+
+const redditStub = {
+  kind: 'Listing',
+  data: {
+    children: [
+      {
+        kind: 't3',
+        data: {
+          name: 't3_5vbf5r',
+          subreddit: 'javascript',
+          title: 'Webpack 2.2: The Final Release',
+          domain: 'medium.com',
+          url: 'https://medium.com/webpack/webpack-2-2-the-final-release-7d8d6f5fda0c?source=rss',
+          is_self: false,
+          score: 412,
+          num_comments: 87,
+          created_utc: 1487597811
+        }
+      },
+      {
+        kind: 't3',
+        data: {
+          name: 't3_5vb1xx',
+          subreddit: 'javascript',
+          title: 'What are you working on this week?',
+          domain: 'self.javascript',
+          url: 'https://www.reddit.com/r/javascript/comments/5vb1xx/what_are_you_working_on/',
+          is_self: true,
+          score: 12,
+          num_comments: 40,
+          created_utc: 1487597000
+        }
+      },
+      {
+        kind: 't3',
+        data: {
+          name: 't3_5vb2yy',
+          subreddit: 'javascript',
+          title: 'Crosspost',
+          domain: 'reddit.com',
+          url: 'https://www.reddit.com/r/webdev/comments/5vb2yy/crosspost/',
+          is_self: false,
+          score: 30,
+          num_comments: 2,
+          created_utc: 1487596000
+        }
+      },
+      {
+        kind: 't3',
+        data: {
+          name: 't3_5vb3zz',
+          subreddit: 'javascript',
+          title: 'Screenshot',
+          domain: 'i.redd.it',
+          url: 'https://i.redd.it/abc123.png',
+          is_self: false,
+          score: 90,
+          num_comments: 5,
+          created_utc: 1487595000
+        }
+      }
+    ]
+  }
+};
+
+const mastodonStub = [
+  {
+    id: '109300000000000002',
+    uri: 'https://mastodon.social/users/someone/statuses/109300000000000002',
+    created_at: '2017-02-20T13:36:51.000Z',
+    account: { id: '2', acct: 'someone' },
+    content: '<p>Booster seat</p>',
+    reblogs_count: 0,
+    favourites_count: 0,
+    reblog: {
+      id: '109299999999999999',
+      uri: 'https://hachyderm.io/users/author/statuses/109299999999999999',
+      created_at: '2017-02-20T12:00:00.000Z',
+      account: { id: '3', acct: 'author@hachyderm.io' },
+      content: '<p>New post on grid layouts <a href="https://example.com/grid" rel="nofollow noopener noreferrer" target="_blank"><span class="invisible">https://</span><span class="">example.com/grid</span></a><br />thanks <span class="h-card"><a href="https://mastodon.social/@friend" class="u-url mention">@<span>friend</span></a></span> <a href="https://mastodon.social/tags/css" class="mention hashtag" rel="tag">#<span>css</span></a></p>',
+      reblogs_count: 12,
+      favourites_count: 30,
+      card: { url: 'https://example.com/grid' }
+    }
+  },
+  {
+    id: '109300000000000001',
+    uri: 'https://mastodon.social/users/someone/statuses/109300000000000001',
+    created_at: '2017-02-20T11:00:00.000Z',
+    account: { id: '2', acct: 'someone' },
+    content: '<p>Just a thought, no links. <a href="https://mastodon.social/tags/musing" class="mention hashtag" rel="tag">#<span>musing</span></a></p>',
+    reblogs_count: 1,
+    favourites_count: 2
+  }
+];
+
+const bookmarksStub = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1486590000" LAST_MODIFIED="1486590674">Reading</H3>
+    <DL><p>
+        <DT><A HREF="https://css-tricks.com/grid-and-flexbox/" ADD_DATE="1486590673">Grid &amp; Flexbox</A>
+        <DT><H3 ADD_DATE="1486590000">CSS</H3>
+        <DL><p>
+            <DT><A HREF="https://jakearchibald.com/2017/service-workers/" ADD_DATE="1486590674" TAGS="pwa,offline">Service workers</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+    <DT><A HREF="https://superherojs.com/">Superhero.js</A>
+</DL><p>
+`;
+
+const opmlStub = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="1.0">
+  <head>
+    <title>Frontend blogs</title>
+  </head>
+  <body>
+    <outline text="CSS" title="CSS">
+      <outline type="rss" text="CSS-Tricks" title="CSS-Tricks" xmlUrl="https://css-tricks.com/feed/" htmlUrl="https://css-tricks.com"/>
+    </outline>
+    <outline type="rss" text="Jake Archibald" xmlUrl="https://jakearchibald.com/posts.rss"/>
+  </body>
+</opml>
+`;
+
 module.exports = {
+    atomStub,
+    bookmarksStub,
+    hackerNewsStub,
+    mastodonStub,
+    opmlStub,
+    redditStub,
     pocketStub,
+    rssStub,
     twitterStub
 }
\ No newline at end of file
@@ -0,0 +1,432 @@
+describe('twitter-client', function() {
+  const assert = require('assert');
+  const http = require('http');
+  const url = require('url');
+  const TwitterClient = require('../twitter-client');
+  const la = require('../link-aggregator');
+  const { twitterStub } = require('./stubs');
+
+  let server;
+  let baseUrl;
+  let requests;
+
+  // Status codes to reply with for upcoming timeline requests (200 once empty), the rate limit
+  // reset time to send, and the tweets on the timeline (newest first).
+  let statusCodes;
+  let rateLimitReset;
+  let timeline;
+
+  // Tweets with ids counting down from newestID, copied from the stub tweets.  Ids are strings, as
+  // they're too big for Numbers.
+  const makeTweets = (count, newestID) => Array.from({ length: count }, (value, index) => {
+    const idStr = (BigInt(newestID) - BigInt(index)).toString();
+    return Object.assign({}, twitterStub[index % twitterStub.length], { id_str: idStr });
+  });
+
+  const timelinePaths = /^\/1\.1\/(lists\/statuses|statuses\/user_timeline|search\/tweets)/;
+
+  // Local mock of the Twitter API.
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+
+        res.setHeader('content-type', 'application/json');
+
+        if (req.url === '/oauth2/token') {
+          res.end(JSON.stringify({ token_type: 'bearer', access_token: 'app-token' }));
+        } else if (req.url.match(timelinePaths)) {
+          res.statusCode = statusCodes.shift() || 200;
+          res.setHeader('x-rate-limit-limit', '900');
+          res.setHeader('x-rate-limit-remaining', (res.statusCode === 429) ? '0' : '899');
+          res.setHeader('x-rate-limit-reset', `${rateLimitReset}`);
+
+          // Tweets newer than since_id, up to and including max_id (20 by default).
+          const query = url.parse(req.url, true).query;
+          const page = timeline.filter((tweet) => (
+            (!query.since_id || BigInt(tweet.id_str) > BigInt(query.since_id)) &&
+            (!query.max_id || BigInt(tweet.id_str) <= BigInt(query.max_id))
+          )).slice(0, parseInt(query.count, 10) || 20);
+
+          let reply = page;
+          if (res.statusCode === 429) {
+            reply = { errors: [ { code: 88, message: 'Rate limit exceeded' } ] };
+          } else if (req.url.indexOf('/1.1/search/tweets.json') === 0) {
+            reply = { statuses: reply };
+          }
+
+          requests[requests.length - 1].tweetIDs = page.map((tweet) => tweet.id_str);
+
+          res.end(JSON.stringify(reply));
+        } else {
+          res.statusCode = 404;
+          res.end(JSON.stringify({ errors: [ { code: 34, message: 'Page does not exist.' } ] }));
+        }
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = [];
+    statusCodes = [];
+    rateLimitReset = 1487600000;
+    timeline = makeTweets(30, '833671763586347010');
+  });
+
+  it('uses app-only auth with a bearer token', (done) => {
+    const client = new TwitterClient({ baseUrl });
+    client.setBearerToken('my-token');
+
+    client.get('lists/statuses', { owner_screen_name: 'franksvalli', slug: 'frontend' },
+      (err, reply, rate) => {
+        assert.equal(err, null);
+        assert.equal(reply.length, 20);
+        assert.equal(requests[0].headers.authorization, 'Bearer my-token');
+        assert.equal(requests[0].url,
+          '/1.1/lists/statuses.json?owner_screen_name=franksvalli&slug=frontend');
+        assert.deepEqual(rate, { limit: 900, remaining: 899, reset: 1487600000 });
+        done();
+      });
+  });
+
+  it('uses user auth with a token', (done) => {
+    const client = new TwitterClient({ baseUrl });
+    client.setConsumerKey('key', 'secret');
+    client.setToken('token', 'token-secret');
+
+    client.get('lists/statuses', { slug: 'frontend' }, (err) => {
+      assert.equal(err, null);
+      assert.ok(requests[0].headers.authorization.match(/^OAuth /));
+      assert.ok(requests[0].headers.authorization.match(/oauth_token="token"/));
+      assert.ok(requests[0].headers.authorization.match(/oauth_signature="/));
+      done();
+    });
+  });
+
+  it('requests a bearer token with only a consumer key', (done) => {
+    const client = new TwitterClient({ baseUrl });
+    client.setConsumerKey('key', 'secret');
+
+    client.get('lists/statuses', { slug: 'frontend' }, (err) => {
+      assert.equal(err, null);
+      assert.equal(requests[0].url, '/oauth2/token');
+      assert.equal(requests[0].body, 'grant_type=client_credentials');
+      assert.equal(requests[0].headers.authorization,
+        `Basic ${Buffer.from('key:secret').toString('base64')}`);
+      assert.equal(requests[1].headers.authorization, 'Bearer app-token');
+      done();
+    });
+  });
+
+  it('returns API errors', (done) => {
+    const client = new TwitterClient({ baseUrl });
+    client.setBearerToken('my-token');
+
+    client.get('lists/nope', {}, (err, reply, rate) => {
+      assert.equal(err.statusCode, 404);
+      assert.equal(err.errors[0].code, 34);
+      assert.equal(rate, null);
+      done();
+    });
+  });
+
+  it('requires credentials', (done) => {
+    const client = new TwitterClient({ baseUrl });
+
+    client.get('lists/statuses', {}, (err) => {
+      assert.notEqual(err, null);
+      assert.equal(requests.length, 0);
+      done();
+    });
+  });
+
+  describe('aggregator', function() {
+    const redisNSPrefix = 'la-test-';
+    const rateLimitKey = `${redisNSPrefix}twitterRateLimit:lists/statuses`;
+    const sinceIDKey = `${redisNSPrefix}twitterSinceID:franksvalli/frontend`;
+    const list = { owner: 'franksvalli', name: 'frontend', count: 2 };
+
+    let linkAggregator;
+
+    beforeEach(function() {
+      linkAggregator = new la({
+        store: 'memory',
+        twitterBaseUrl: baseUrl,
+        redisPrefix: redisNSPrefix
+      });
+      linkAggregator.setTwitterBearerToken('my-token');
+    });
+
+    afterEach((done) => {
+      linkAggregator.close(done);
+    });
+
+    it('fetches Twitter lists with the client', (done) => {
+      linkAggregator._asyncGetTwitterList(list, (err, tweets) => {
+        assert.equal(err, null);
+        assert.equal(tweets.length, 10);
+        assert.equal(requests.length, 5);
+        assert.ok(requests[1].url.match('max_id=833671763586347008'));
+        assert.deepEqual(tweets.map((tweet) => tweet.id_str),
+          timeline.slice(0, 10).map((tweet) => tweet.id_str));
+        done();
+      });
+    });
+
+    it('shares the rate limit budget in Redis', (done) => {
+      rateLimitReset = Math.floor(Date.now() / 1000) + 900;
+
+      linkAggregator._asyncGetTwitterList(list, (err) => {
+        assert.equal(err, null);
+
+        linkAggregator.getTwitterRateLimit('lists/statuses', (err, budget) => {
+          assert.equal(err, null);
+          assert.deepEqual(budget, { limit: 900, remaining: 899, reset: rateLimitReset });
+          done();
+        });
+      });
+    });
+
+    it('doesn\'t call the API when the budget is used up', (done) => {
+      const reset = Math.floor(Date.now() / 1000) + 900;
+
+      const budget = { limit: 900, remaining: 0, reset };
+
+      linkAggregator.store.hashReplace(rateLimitKey, budget, (reset + 1) * 1000, () => {
+        linkAggregator._asyncGetTwitterList(list, (err) => {
+          assert.ok(err instanceof la.RateLimitedError);
+          assert.equal(err.name, 'RateLimited');
+          assert.equal(err.resetTime, reset * 1000);
+          assert.equal(requests.length, 0);
+          done();
+        });
+      });
+    });
+
+    it('passes back a RateLimited error on HTTP 429', (done) => {
+      rateLimitReset = Math.floor(Date.now() / 1000) + 900;
+      statusCodes = [ 429 ];
+
+      linkAggregator._asyncGetTwitterList(list, (err) => {
+        assert.ok(err instanceof la.RateLimitedError);
+        assert.equal(err.resetTime, rateLimitReset * 1000);
+
+        linkAggregator.getTwitterRateLimit('lists/statuses', (err, budget) => {
+          assert.equal(budget.remaining, 0);
+          done();
+        });
+      });
+    });
+
+    it('skips rate limited lists when fetching lists', (done) => {
+      const reset = Math.floor(Date.now() / 1000) + 900;
+
+      const budget = { limit: 900, remaining: 0, reset };
+
+      linkAggregator.store.hashReplace(rateLimitKey, budget, (reset + 1) * 1000, () => {
+        linkAggregator.fetchLists({ twitter: [ list ] }, (err, urls, fetchInfo) => {
+          assert.equal(err, null);
+          assert.deepEqual(urls, []);
+          assert.deepEqual(fetchInfo.rateLimited, {
+            endpoint: 'lists/statuses',
+            resetTime: reset * 1000
+          });
+          done();
+        });
+      });
+    });
+
+    it('reports no rate limit when fetching lists within it', (done) => {
+      linkAggregator.fetchLists({ twitter: [ Object.assign({ pages: 1 }, list) ] },
+        (err, urls, fetchInfo) => {
+          assert.equal(err, null);
+          assert.equal(fetchInfo.rateLimited, null);
+          done();
+        });
+    });
+
+    it('defers remaining pages when rate limited mid-list', (done) => {
+      rateLimitReset = Math.floor(Date.now() / 1000) + 900;
+      statusCodes = [ 200, 200, 429 ];
+
+      linkAggregator._asyncGetTwitterList(list, (err, tweets) => {
+        assert.equal(err, null);
+        assert.equal(tweets.length, 4);
+        assert.equal(requests.length, 3);
+        done();
+      });
+    });
+
+    it('pauses until the limit resets if that\'s soon enough', (done) => {
+      rateLimitReset = Math.floor(Date.now() / 1000);
+      statusCodes = [ 429 ];
+
+      linkAggregator._asyncGetTwitterList(Object.assign({ maxRateLimitWaitMS: 1000 }, list),
+        (err, tweets) => {
+          assert.equal(err, null);
+          assert.equal(tweets.length, 10);
+          assert.equal(requests.length, 6);
+          done();
+        });
+    });
+
+    it('only fetches tweets since the last fetch', (done) => {
+      linkAggregator.fetchTwitterList(list, (err) => {
+        assert.equal(err, null);
+        assert.ok(!requests[0].url.match(/since_id=/));
+
+        linkAggregator.getTwitterSinceID('franksvalli/frontend', (err, sinceID) => {
+          assert.equal(sinceID, timeline[0].id_str);
+
+          requests = [];
+          linkAggregator._asyncGetTwitterList(list, (err, tweets, fetchInfo) => {
+            assert.equal(err, null);
+            assert.ok(requests[0].url.match(`since_id=${timeline[0].id_str}`));
+            assert.equal(fetchInfo.sinceID, timeline[0].id_str);
+            assert.deepEqual(tweets, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('ignores the checkpoint for a full refresh', (done) => {
+      linkAggregator.store.set(sinceIDKey, '1234', () => {
+        linkAggregator._asyncGetTwitterList(Object.assign({ fullRefresh: true }, list), (err) => {
+          assert.equal(err, null);
+          assert.ok(!requests[0].url.match(/since_id=/));
+          done();
+        });
+      });
+    });
+
+    it('fetches the configured number of pages', (done) => {
+      linkAggregator._asyncGetTwitterList(Object.assign({ pages: 2 }, list), (err, tweets) => {
+        assert.equal(err, null);
+        assert.equal(requests.length, 2);
+        assert.equal(tweets.length, 4);
+        done();
+      });
+    });
+
+    it('stops at the end of the list', (done) => {
+      timeline = timeline.slice(0, 5);
+
+      linkAggregator._asyncGetTwitterList(list, (err, tweets) => {
+        assert.equal(err, null);
+        assert.equal(requests.length, 3);
+        assert.equal(tweets.length, 5);
+        done();
+      });
+    });
+
+    it('fetches tweets matching a search query', (done) => {
+      const search = { search: 'webpack filter:links', count: 2, pages: 1 };
+
+      linkAggregator._asyncGetTwitterList(search, (err, tweets) => {
+        assert.equal(err, null);
+        assert.equal(tweets.length, 2);
+        assert.ok(requests[0].url.match(/search\/tweets\.json\?q=webpack%20filter%3Alinks/));
+
+        linkAggregator.fetchTwitterList(search, (err) => {
+          assert.equal(err, null);
+
+          linkAggregator.getTwitterSinceID('search:webpack filter:links', (err, sinceID) => {
+            assert.equal(sinceID, timeline[0].id_str);
+            done();
+          });
+        });
+      });
+    });
+
+    it('fetches a user timeline', (done) => {
+      linkAggregator._asyncGetTwitterList({ user: '@franksvalli', count: 2, pages: 1 },
+        (err, tweets) => {
+          assert.equal(err, null);
+          assert.equal(tweets.length, 2);
+          assert.ok(requests[0].url.match(/user_timeline\.json\?screen_name=franksvalli&/));
+          done();
+        });
+    });
+
+    it('describes search and user timeline sources', () => {
+      assert.equal(linkAggregator._getTwitterListLabel({ search: '"webpack" min_faves:20' }),
+        'search:"webpack" min_faves:20');
+      assert.equal(linkAggregator._getTwitterListLabel({ user: '@franksvalli' }),
+        'user:franksvalli');
+      assert.equal(linkAggregator._getTwitterListLabel(list), 'franksvalli/frontend');
+    });
+
+    it('pages with tweet ids too big for Numbers', () => {
+      assert.equal(linkAggregator._decrementTwitterID('833671763586347010'),
+        '833671763586347009');
+      assert.equal(linkAggregator._decrementTwitterID('833671763586347000'),
+        '833671763586346999');
+      assert.equal(linkAggregator._decrementTwitterID('10'), '9');
+    });
+
+    it('doesn\'t move the checkpoint forward when pages are deferred', (done) => {
+      rateLimitReset = Math.floor(Date.now() / 1000) + 900;
+      statusCodes = [ 200, 429 ];
+
+      linkAggregator.store.set(sinceIDKey, '1234', () => {
+        linkAggregator.fetchTwitterList(list, (err) => {
+          assert.equal(err, null);
+
+          linkAggregator.getTwitterSinceID('franksvalli/frontend', (err, sinceID) => {
+            assert.equal(sinceID, '1234');
+            done();
+          });
+        });
+      });
+    });
+
+    it('checkpoints lists only once their tweets are processed', (done) => {
+      linkAggregator._asyncGetTwitterList(list, (err) => {
+        assert.equal(err, null);
+
+        linkAggregator.getTwitterSinceID('franksvalli/frontend', (err, sinceID) => {
+          assert.equal(sinceID, null);
+          done();
+        });
+      });
+    });
+
+    it('picks up new tweets each run as the list grows', (done) => {
+      const capped = Object.assign({ pages: 2 }, list);
+      const servedIDs = () => [].concat(...requests.map((request) => request.tweetIDs));
+
+      // Stopped by the page limit, well short of the end of the list.
+      linkAggregator.fetchTwitterList(capped, (err) => {
+        assert.equal(err, null);
+        assert.deepEqual(servedIDs(), timeline.slice(0, 4).map((tweet) => tweet.id_str));
+
+        const newTweets = makeTweets(3, '833671763586347013');
+        timeline = newTweets.concat(timeline);
+
+        requests = [];
+        linkAggregator.fetchTwitterList(capped, (err) => {
+          assert.equal(err, null);
+          assert.equal(requests.length, 2);
+          assert.deepEqual(servedIDs(), newTweets.map((tweet) => tweet.id_str));
+
+          linkAggregator.getTwitterSinceID('franksvalli/frontend', (err, sinceID) => {
+            assert.equal(sinceID, '833671763586347013');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
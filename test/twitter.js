@@ -8,7 +8,11 @@ describe('twitter', function(){
     var linkAggregator;
 
     before(function() {
-      linkAggregator = new la(config);
+      linkAggregator = new la(Object.assign({ store: 'memory' }, config));
+    });
+
+    after((done) => {
+      linkAggregator.close(done);
     });
 
     it('gets a Twitter list', function(done){
@@ -89,4 +93,14 @@ describe('twitter', function(){
       });
     });
 
+    it('records search queries and user timelines as source details', function(){
+      const tweetObj = Object.assign({}, twitterStub[0], { listLabel: 'search:webpack' });
+      const result = linkAggregator.mergeUrls({ url: 'https://a.com' }, {
+        sourceName: 'twitter',
+        item: tweetObj
+      });
+
+      assert.deepEqual(result.sourceDetails, ['search:webpack']);
+    });
+
 });
\ No newline at end of file
@@ -0,0 +1,176 @@
+/*
+ * twitter-client
+ * Minimal Twitter REST API client, supporting app-only (bearer token) and user (OAuth 1.0a)
+ * authentication.  Rate limit headers are passed back to the caller with each reply.
+ */
+const request = require('request');
+const winston = require('winston');
+
+// Keep track of module name for logging purposes.
+const moduleName = 'twitter-client';
+
+const defaultBaseUrl = 'https://api.twitter.com/';
+const apiVersion = '1.1';
+
+class TwitterClient {
+  constructor(options) {
+    const optionsCopy = Object.assign({}, options);
+
+    // Allows pointing the client at a mock server for tests.
+    this.baseUrl = optionsCopy.baseUrl || defaultBaseUrl;
+    if (this.baseUrl[this.baseUrl.length - 1] !== '/') this.baseUrl = `${this.baseUrl}/`;
+
+    this.timeout = optionsCopy.timeout || 15000;
+
+    this.consumerKey = null;
+    this.consumerSecret = null;
+    this.token = null;
+    this.tokenSecret = null;
+    this.bearerToken = null;
+  }
+
+  /**
+   * Sets consumer key and secret (needed for user auth, or for requesting a bearer token).
+   */
+  setConsumerKey(key, secret) {
+    this.consumerKey = key;
+    this.consumerSecret = secret;
+  }
+
+  /**
+   * Sets user token and secret, for user (OAuth 1.0a) auth.
+   */
+  setToken(token, secret) {
+    this.token = token;
+    this.tokenSecret = secret;
+  }
+
+  /**
+   * Sets a bearer token, for app-only auth.  Takes precedence over user auth.
+   */
+  setBearerToken(token) {
+    this.bearerToken = token;
+  }
+
+  /**
+   * Pulls rate limit info out of response headers, e.g. { limit: 900, remaining: 899,
+   * reset: 1487600000 } (reset is in epoch seconds).  Null if the headers are missing.
+   */
+  getRateLimit(headers) {
+    const headersCopy = headers || {};
+
+    if (typeof headersCopy['x-rate-limit-remaining'] === 'undefined') return null;
+
+    return {
+      limit: parseInt(headersCopy['x-rate-limit-limit'], 10),
+      remaining: parseInt(headersCopy['x-rate-limit-remaining'], 10),
+      reset: parseInt(headersCopy['x-rate-limit-reset'], 10)
+    };
+  }
+
+  /**
+   * Requests an app-only bearer token using the consumer key and secret.
+   * https://developer.twitter.com/en/docs/authentication/oauth-2-0/bearer-tokens
+   */
+  fetchBearerToken(done) {
+    const fnName = `${moduleName}/fetchBearerToken`;
+
+    if (!this.consumerKey || !this.consumerSecret) {
+      return done(new Error(`${fnName}: consumer key and secret are required`));
+    }
+
+    return request.post({
+      url: `${this.baseUrl}oauth2/token`,
+      auth: {
+        user: encodeURIComponent(this.consumerKey),
+        pass: encodeURIComponent(this.consumerSecret)
+      },
+      form: { grant_type: 'client_credentials' },
+      json: true,
+      timeout: this.timeout
+    }, (err, response, body) => {
+      if (err) return done(err);
+
+      if (response.statusCode !== 200 || !body || body.token_type !== 'bearer') {
+        const tokenError = new Error(`${fnName}: HTTP ${response.statusCode} \
+${JSON.stringify(body && body.errors)}`);
+        tokenError.statusCode = response.statusCode;
+        return done(tokenError);
+      }
+
+      this.bearerToken = body.access_token;
+
+      return done(null, this.bearerToken);
+    });
+  }
+
+  /**
+   * Gets request auth options, preferring app-only auth, then user auth, then fetching a bearer
+   * token with the consumer key.
+   */
+  _getAuthOptions(done) {
+    const fnName = `${moduleName}/_getAuthOptions`;
+
+    if (this.bearerToken) return done(null, { auth: { bearer: this.bearerToken } });
+
+    if (this.token && this.consumerKey) {
+      return done(null, {
+        oauth: {
+          consumer_key: this.consumerKey,
+          consumer_secret: this.consumerSecret,
+          token: this.token,
+          token_secret: this.tokenSecret
+        }
+      });
+    }
+
+    if (this.consumerKey) {
+      return this.fetchBearerToken((err, bearerToken) => {
+        if (err) return done(err);
+        return done(null, { auth: { bearer: bearerToken } });
+      });
+    }
+
+    return done(new Error(`${fnName}: no Twitter credentials set`));
+  }
+
+  /**
+   * GETs an API endpoint, e.g. get('lists/statuses', { slug: 'frontend' }, cb).  Calls back with
+   * (err, reply, rate), where rate is the endpoint's rate limit info (see getRateLimit).
+   */
+  get(endpoint, params, done) {
+    const fnName = `${moduleName}/get`;
+
+    return this._getAuthOptions((authErr, authOptions) => {
+      if (authErr) return done(authErr);
+
+      const requestOptions = Object.assign({
+        url: `${this.baseUrl}${apiVersion}/${endpoint}.json`,
+        qs: params || {},
+        json: true,
+        timeout: this.timeout
+      }, authOptions);
+
+      winston.debug(`${fnName}: ${endpoint}`);
+
+      return request.get(requestOptions, (err, response, reply) => {
+        if (err) return done(err);
+
+        const rate = this.getRateLimit(response.headers);
+
+        if (response.statusCode !== 200) {
+          const errors = reply && reply.errors;
+          const replyError = new Error(`${fnName}: ${endpoint} HTTP ${response.statusCode} \
+${JSON.stringify(errors)}`);
+          replyError.statusCode = response.statusCode;
+          replyError.errors = errors;
+          return done(replyError, reply, rate);
+        }
+
+        return done(null, reply, rate);
+      });
+    });
+  }
+}
+
+module.exports = TwitterClient;
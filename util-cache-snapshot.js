@@ -0,0 +1,83 @@
+/*
+ * util-cache-snapshot
+ * Exports a namespace's cache to a JSON Lines file, or imports one (e.g. to move a curated cache
+ * from staging to production, or to back up before big config changes).
+ *
+ * Usage: node util-cache-snapshot <export|import> <file> [options]
+ *   --namespace <prefix>   Namespace (redisPrefix) to export from or import into (default la-).
+ *   --redis-url <url>      Redis server (default localhost).
+ *   --overwrite            On import, clear the namespace's cached urls (removed urls too) and
+ *                          urls list first, instead of merging.
+ */
+const fs = require('fs');
+const Aggregator = require('./link-aggregator');
+
+const usage = `Usage: node util-cache-snapshot <export|import> <file> [--namespace <prefix>]
+  [--redis-url <url>] [--overwrite]`;
+
+/**
+ * Parses command line args, e.g. { command: 'export', file: 'cache.jsonl', namespace: 'la-' }.
+ */
+const parseArgs = (argv) => {
+  const options = {
+    command: argv[0],
+    file: argv[1]
+  };
+
+  if (['export', 'import'].indexOf(options.command) === -1 || !options.file) return null;
+
+  for (let i = 2; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--namespace':
+        options.namespace = argv[++i];
+        break;
+      case '--redis-url':
+        options.redisUrl = argv[++i];
+        break;
+      case '--overwrite':
+        options.overwrite = true;
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return options;
+};
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!options) {
+  console.log(usage);
+  process.exit(1);
+}
+
+const linkAggregator = new Aggregator({
+  redisPrefix: options.namespace,
+  redisUrl: options.redisUrl,
+  keepFetchingLock: true
+});
+
+const finish = (err, counts) => {
+  if (err) {
+    console.error(err);
+    return linkAggregator.close(() => process.exit(1));
+  }
+
+  console.log(`${options.command === 'export' ? 'Exported' : 'Imported'} ${counts.urls} urls, \
+${counts.redirects} redirects and ${counts.listed} listed urls.`);
+
+  if (counts.skipped) console.log(`Kept ${counts.skipped} urls already cached.`);
+
+  return linkAggregator.close(() => process.exit());
+};
+
+if (options.command === 'export') {
+  const output = fs.createWriteStream(options.file);
+
+  linkAggregator.exportCache(output, (err, counts) => {
+    output.end(() => finish(err, counts));
+  });
+} else {
+  linkAggregator.importCache(fs.createReadStream(options.file), options, finish);
+}
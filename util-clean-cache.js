@@ -1,35 +1,82 @@
-const redis = require('redis');
+/*
+ * util-clean-cache
+ * Prunes cached url details from a namespace.  Urls removed by editors are kept unless
+ * --include-removed is passed.
+ *
+ * Usage: node util-clean-cache [options]
+ *   --namespace <prefix>   Namespace (redisPrefix) to clean (default la-).
+ *   --redis-url <url>      Redis server (default localhost).
+ *   --older-than <days>    Prune entries scraped more than this many days ago.
+ *   --errors               Prune only failed scrapes.
+ *   --orphans              Prune entries for urls missing from the urls list.
+ *   --include-removed      Also prune urls removed by editors.
+ *   --dry-run              Only list what would be pruned.
+ */
+const Aggregator = require('./link-aggregator');
 
-const client = redis.createClient();
+const usage = `Usage: node util-clean-cache [--namespace <prefix>] [--redis-url <url>]
+  [--older-than <days>] [--errors] [--orphans] [--include-removed] [--dry-run]`;
 
-const laPrefix = 'la-';
+/**
+ * Parses command line args into pruneCache options.
+ */
+const parseArgs = (argv) => {
+  const options = {};
 
-client.lrange(`${laPrefix}urls`, 0, -1, (err, urls) => {
-	// Delete url list.
-	client.del(`${laPrefix}urls`);
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--namespace':
+        options.namespace = argv[++i];
+        break;
+      case '--redis-url':
+        options.redisUrl = argv[++i];
+        break;
+      case '--older-than':
+        options.olderThanDays = parseFloat(argv[++i]);
+        break;
+      case '--errors':
+        options.errorsOnly = true;
+        break;
+      case '--orphans':
+        options.orphans = true;
+        break;
+      case '--include-removed':
+        options.includeRemoved = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        return null;
+    }
+  }
 
-	deleteURLs(urls, (err, reply) => {
-		console.log(`Deleted ${reply.length} urls from list.`);
+  return options;
+};
 
-		// Find orphaned urls not appearing on list.
-		client.keys(`${laPrefix}*`, (err, orphanedURLs) => {
-			deleteURLs(orphanedURLs, (err, reply) => {
-				console.log(`Deleted ${reply.length} orphaned urls.`);
-				process.exit();
-			});
-		});
-	})
-});
+const options = parseArgs(process.argv.slice(2));
+
+if (!options || !(options.olderThanDays || options.errorsOnly || options.orphans)) {
+  console.log(usage);
+  process.exit(1);
+}
 
+const linkAggregator = new Aggregator({
+  redisPrefix: options.namespace,
+  redisUrl: options.redisUrl,
+  keepFetchingLock: true
+});
 
+linkAggregator.pruneCache(options, (err, result) => {
+  if (err) {
+    console.error(err);
+    return linkAggregator.close(() => process.exit(1));
+  }
 
-const deleteURLs = (urls, done) => {
-	const deleteMulti = client.multi();
+  result.deleted.forEach((url) => console.log(url));
 
-	// Delete each url's cache.
-	urls.forEach((url) => {
-		deleteMulti.del(url);
-	});
+  console.log(`${options.dryRun ? 'Would delete' : 'Deleted'} ${result.deleted.length} of \
+${result.scanned} cached urls.`);
 
-	deleteMulti.exec(done);
-};
\ No newline at end of file
+  return linkAggregator.close(() => process.exit());
+});
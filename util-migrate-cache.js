@@ -0,0 +1,73 @@
+/*
+ * util-migrate-cache
+ * Migrates every cached url record in a namespace to the latest schema version, rather than
+ * waiting for each to be read.
+ *
+ * Usage: node util-migrate-cache [options]
+ *   --namespace <prefix>   Namespace (redisPrefix) to migrate (default la-).
+ *   --redis-url <url>      Redis server (default localhost).
+ *   --migrations <file>    Module registering your own migrations, exporting a function that's
+ *                          called with the aggregator, e.g.
+ *                          module.exports = (aggregator) => aggregator.registerMigration(2, fn);
+ *   --dry-run              Only count the records that need migrating.
+ */
+const path = require('path');
+const Aggregator = require('./link-aggregator');
+
+const usage = `Usage: node util-migrate-cache [--namespace <prefix>] [--redis-url <url>]
+  [--migrations <file>] [--dry-run]`;
+
+/**
+ * Parses command line args into migrateCache options.
+ */
+const parseArgs = (argv) => {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--namespace':
+        options.namespace = argv[++i];
+        break;
+      case '--redis-url':
+        options.redisUrl = argv[++i];
+        break;
+      case '--migrations':
+        options.migrations = argv[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return options;
+};
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!options) {
+  console.log(usage);
+  process.exit(1);
+}
+
+const linkAggregator = new Aggregator({
+  redisPrefix: options.namespace,
+  redisUrl: options.redisUrl,
+  keepFetchingLock: true
+});
+
+if (options.migrations) require(path.resolve(options.migrations))(linkAggregator);
+
+linkAggregator.migrateCache(options, (err, counts) => {
+  if (err) {
+    console.error(err);
+    return linkAggregator.close(() => process.exit(1));
+  }
+
+  console.log(`${options.dryRun ? 'Would migrate' : 'Migrated'} ${counts.migrated} of \
+${counts.scanned} cached urls to version ${linkAggregator.schemaVersion}.`);
+
+  return linkAggregator.close(() => process.exit());
+});